@@ -30,6 +30,30 @@ export const POPUP_DELAY = 100;
 /** @constant {number} Layer restore delay in milliseconds */
 export const LAYER_RESTORE_DELAY = 500;
 
+/** @constant {string} Version of the saved data format (see migrations.js) */
+export const DATA_VERSION = '4.1';
+
+/** @constant {number} Maximum number of undoable actions kept in history */
+export const HISTORY_LIMIT = 50;
+
+/** @constant {number} Delay before pending changes are written to IndexedDB, in milliseconds */
+export const STORAGE_SAVE_DELAY = 500;
+
+/** @constant {number} Storage usage ratio above which a warning is shown */
+export const STORAGE_WARNING_RATIO = 0.9;
+
+/** @constant {number} Maximum number of tiles in one offline area download */
+export const OFFLINE_MAX_TILES = 20000;
+
+/** @constant {number} Number of tiles fetched in parallel during an offline area download */
+export const OFFLINE_DOWNLOAD_CONCURRENCY = 4;
+
+/** @constant {number} Distance in pixels within which clicks snap to a vertex or an edge */
+export const SNAP_TOLERANCE = 12;
+
+/** @constant {string} Separator between levels in nested folder names ("Parent / Child") */
+export const FOLDER_PATH_SEPARATOR = ' / ';
+
 export const CONFIG = {
     ignApiKey: localStorage.getItem('ignApiKey') || 'xxx_xxx_xxx',
     defaultCenter: DEFAULT_CENTER,
@@ -47,6 +71,10 @@ export const CONFIG = {
         'drawing-line': '#3498db',
         'drawing-bearing': '#f39c12',
         'drawing-polygon': '#2ecc71',
+        'drawing-rectangle': '#1abc9c',
+        'drawing-ellipse': '#e67e22',
+        'drawing-sector': '#d35400',
+        'drawing-regular-polygon': '#27ae60',
         // Measurement type colors
         'measurement-distance': '#16a085',
         'measurement-bearing': '#8e44ad',
@@ -60,7 +88,8 @@ export const CONFIG = {
         wmtsPublic: 'https://data.geopf.fr/wmts',
         wmtsPrivate: 'https://data.geopf.fr/private/wmts',
         wfs: 'https://data.geopf.fr/wfs/ows',
-        nominatim: 'https://nominatim.openstreetmap.org/search'
+        nominatim: 'https://nominatim.openstreetmap.org/search',
+        altimetry: 'https://data.geopf.fr/altimetrie/1.0/calcul/alti/rest/elevation.json'
     },
 
     /** Layer styles for consistent rendering */
@@ -101,6 +130,19 @@ export const CONFIG = {
             color: '#16a085',
             weight: 2,
             interactive: false
+        },
+        elevationCursor: {
+            radius: 7,
+            color: '#ffffff',
+            weight: 2,
+            fillColor: '#e67e22',
+            fillOpacity: 1,
+            interactive: false
+        },
+        slopeSection: {
+            weight: 5,
+            opacity: 0.9,
+            interactive: false
         }
     }
 };
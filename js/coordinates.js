@@ -0,0 +1,692 @@
+/**
+ * Coordinate formats - read and write positions as decimal degrees, degrees-minutes-seconds,
+ * degrees and decimal minutes, UTM, MGRS and Lambert-93; single-point converter and
+ * batch conversion of pasted lists (markers or CSV)
+ * @module coordinates
+ */
+
+import { CONFIG, DEBOUNCE_DELAY } from './config.js';
+import { toCSV } from './csv.js';
+import { formatPosition, fromWGS84, getCRS, getDisplayCRS, getUTMCode, isProjected, toWGS84 } from './crs.js';
+import { createElement, updateElementList } from './elements.js';
+import { elementToGeoJSON, restoreFeature } from './geojson.js';
+import { withHistory } from './history.js';
+import { saveState } from './persistence.js';
+import { state } from './state.js';
+import { closeModal, downloadFile, escapeXML, generateId, openModal } from './utils.js';
+
+/** @constant {number} Zoom level when going to converted coordinates */
+const GOTO_ZOOM = 14;
+
+/** @constant {number} Copy feedback duration in ms */
+const COPY_FEEDBACK_DURATION = 1500;
+
+/** @constant {string} EPSG code of Lambert-93 */
+const LAMBERT_93 = 'EPSG:2154';
+
+/** @constant {{minX: number, maxX: number, minY: number, maxY: number}} Lambert-93 coordinates of metropolitan France */
+const LAMBERT_93_BOUNDS = { minX: 0, maxX: 1300000, minY: 6000000, maxY: 7200000 };
+
+/** @constant {number} Southernmost latitude of the UTM grid */
+const UTM_MIN_LAT = -80;
+
+/** @constant {number} Northernmost latitude of the UTM grid */
+const UTM_MAX_LAT = 84;
+
+/** @constant {string} Latitude band letters, 8° each from 80°S (X spans 12°) */
+const MGRS_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+/** @constant {Array<string>} Column letters of the 100 km squares, by zone number modulo 3 */
+const MGRS_COLUMNS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+
+/** @constant {string} Row letters of the 100 km squares (shifted by five in even zones) */
+const MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+
+/** @constant {number} Northing cycle of the MGRS row letters in meters */
+const MGRS_ROW_CYCLE = 2000000;
+
+/** @constant {number} Northing margin below the start of a latitude band, in meters */
+const MGRS_BAND_MARGIN = 100000;
+
+/** @constant {RegExp} UTM coordinates such as "31T 712059 5008715" */
+const UTM_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s*[,;]?\s*(\d+(?:\.\d+)?)\s*(?:m\s*)?E?\s*[,;]?\s*(\d+(?:\.\d+)?)\s*(?:m\s*)?N?$/i;
+
+/** @constant {RegExp} MGRS reference such as "31T GL 12059 08715" */
+const MGRS_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])\s*([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/i;
+
+/** @constant {RegExp} Signed number with a dot or comma decimal separator */
+const NUMBER_PATTERN = /-?\d+(?:[.,]\d+)?/g;
+
+/** @constant {RegExp} Minutes with decimals, as written in degrees and decimal minutes */
+const DECIMAL_MINUTES = /\d[.,]\d+\s*[′']/;
+
+/** @constant {RegExp} Signed coordinate written with a degree sign, such as "-5°42′30″" */
+const SIGNED_DMS_PATTERN = /(-?\d+(?:\.\d+)?)\s*°\s*(?:(\d+(?:\.\d+)?)\s*[′']\s*)?(?:(\d+(?:\.\d+)?)\s*[″"]\s*)?/g;
+
+/**
+ * @typedef {Object} CoordinateFormat
+ * @property {string} id - Format identifier
+ * @property {string} label - Name shown in the converter
+ */
+
+/** @constant {Array<CoordinateFormat>} Supported formats */
+export const COORDINATE_FORMATS = [
+    { id: 'dd', label: 'Degrés décimaux' },
+    { id: 'dms', label: 'Degrés, minutes, secondes' },
+    { id: 'ddm', label: 'Degrés, minutes décimales' },
+    { id: 'utm', label: 'UTM' },
+    { id: 'mgrs', label: 'MGRS' },
+    { id: 'lambert93', label: 'Lambert-93' }
+];
+
+/* ==========================================================================
+   Degrees, minutes and seconds
+   ========================================================================== */
+
+/** @constant {string} DMS number pattern - matches integers or decimals */
+const DMS_NUMBER = String.raw`\d+(?:[.,]\d+)?`;
+
+/** @constant {string} DMS direction pattern */
+const DMS_DIR = 'nord?|sud?|est?|west|ouest?|[nsewo]';
+
+/**
+ * Build regex pattern for DMS coordinates
+ * @returns {RegExp} Compiled DMS pattern
+ */
+// biome-ignore lint/complexity/useRegexLiterals: Complex pattern built from parts for readability
+function buildDMSPattern() {
+    const deg = String.raw`(${DMS_NUMBER})[\s°]*?`;
+    const min = String.raw`(${DMS_NUMBER})?[\s′']*?`;
+    const sec = String.raw`(${DMS_NUMBER})?[\s″"]*?`;
+    const dir = String.raw`\s*(${DMS_DIR})`;
+    return new RegExp(deg + min + sec + dir, 'gi');
+}
+
+/** @constant {RegExp} DMS coordinate pattern */
+const DMS_PATTERN = buildDMSPattern();
+
+/** @constant {Set<string>} Southern/Western direction prefixes */
+const NEGATIVE_DIRECTIONS = new Set(['s', 'o', 'w']);
+
+/** @constant {Set<string>} Latitude direction prefixes */
+const LATITUDE_DIRECTIONS = new Set(['n', 's']);
+
+/**
+ * Parse a single DMS coordinate match
+ * @param {Array} match - Regex match array
+ * @returns {Object} Parsed coordinate with decimal and isLatitude
+ */
+function parseDMSCoord(match) {
+    const deg = Number.parseFloat(match[1].replace(',', '.')) || 0;
+    const min = Number.parseFloat((match[2] || '0').replace(',', '.')) || 0;
+    const sec = Number.parseFloat((match[3] || '0').replace(',', '.')) || 0;
+    const dirPrefix = match[4].toLowerCase()[0];
+
+    let decimal = deg + (min / 60) + (sec / 3600);
+    if (NEGATIVE_DIRECTIONS.has(dirPrefix)) {
+        decimal = -decimal;
+    }
+
+    return { decimal, isLatitude: LATITUDE_DIRECTIONS.has(dirPrefix) };
+}
+
+/**
+ * Normalize DMS input string for parsing
+ * @param {string} input - Raw DMS string
+ * @returns {string} Normalized string
+ */
+function normalizeDMSInput(input) {
+    return input
+        .toLowerCase()
+        .replaceAll(/[,;]/g, ' ')
+        .replaceAll(/['’]/g, '′')
+        .replaceAll(/["”]/g, '″')
+        .replaceAll(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse DMS string to decimal coordinates
+ * @param {string} input - DMS string like "39° 50′ 27″ nord, 0° 30′ 26″ ouest"
+ * @returns {Object|null} {lat, lng} or null if parsing fails
+ */
+export function parseDMSString(input) {
+    const normalized = normalizeDMSInput(input);
+    const matches = [...normalized.matchAll(DMS_PATTERN)];
+
+    if (matches.length < 2) return parseSignedDMS(input);
+
+    const coord1 = parseDMSCoord(matches[0]);
+    const coord2 = parseDMSCoord(matches[1]);
+
+    // Determine lat/lng based on direction
+    const lat = coord1.isLatitude ? coord1.decimal : coord2.decimal;
+    const lng = coord1.isLatitude ? coord2.decimal : coord1.decimal;
+
+    return { lat, lng };
+}
+
+/**
+ * Parse a latitude and a longitude written with degree signs and no hemisphere letters,
+ * negative values being south and west, such as "45°11′18″, -0°30′26″"
+ * @param {string} input - Coordinates
+ * @returns {{lat: number, lng: number}|null} Point, or null if parsing fails
+ */
+function parseSignedDMS(input) {
+    const matches = [...input.replaceAll(/’/g, '′').replaceAll(/”/g, '″').matchAll(SIGNED_DMS_PATTERN)];
+    if (matches.length !== 2) return null;
+
+    const [lat, lng] = matches.map(match => {
+        const deg = Number.parseFloat(match[1]);
+        const value = Math.abs(deg) + (Number.parseFloat(match[2] ?? '0') / 60) + (Number.parseFloat(match[3] ?? '0') / 3600);
+        return match[1].startsWith('-') ? -value : value;
+    });
+    return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+}
+
+/**
+ * Write an angle in degrees, minutes and seconds to the tenth of a second
+ * @param {number} value - Angle in decimal degrees
+ * @param {string} positive - Hemisphere letter of positive values
+ * @param {string} negative - Hemisphere letter of negative values
+ * @returns {string} Angle such as "45°11′18.2″ N"
+ */
+function formatDMS(value, positive, negative) {
+    const tenths = Math.round(Math.abs(value) * 36000);
+    const degrees = Math.floor(tenths / 36000);
+    const minutes = Math.floor((tenths % 36000) / 600);
+    const seconds = (tenths % 600) / 10;
+    return `${degrees}°${String(minutes).padStart(2, '0')}′${seconds.toFixed(1).padStart(4, '0')}″ ${value < 0 ? negative : positive}`;
+}
+
+/**
+ * Write an angle in degrees and decimal minutes to the thousandth of a minute
+ * @param {number} value - Angle in decimal degrees
+ * @param {string} positive - Hemisphere letter of positive values
+ * @param {string} negative - Hemisphere letter of negative values
+ * @returns {string} Angle such as "45°11.303′ N"
+ */
+function formatDDM(value, positive, negative) {
+    const thousandths = Math.round(Math.abs(value) * 60000);
+    const degrees = Math.floor(thousandths / 60000);
+    const minutes = (thousandths % 60000) / 1000;
+    return `${degrees}°${minutes.toFixed(3).padStart(6, '0')}′ ${value < 0 ? negative : positive}`;
+}
+
+/* ==========================================================================
+   UTM and MGRS
+   ========================================================================== */
+
+/**
+ * Get the UTM zone of a point, with the Norway and Svalbard exceptions
+ * @param {{lat: number, lng: number}} point - WGS84 point
+ * @returns {number} Zone number, 1 to 60
+ */
+export function getUTMZone({ lat, lng }) {
+    if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) return 32;
+    if (lat >= 72 && lat < 84 && lng >= 0 && lng < 42) {
+        if (lng < 9) return 31;
+        if (lng < 21) return 33;
+        if (lng < 33) return 35;
+        return 37;
+    }
+    return Math.min(Math.floor((lng + 180) / 6) + 1, 60);
+}
+
+/**
+ * Get the UTM coordinates of a point in its own zone
+ * @param {{lat: number, lng: number}} point - WGS84 point
+ * @returns {{zone: number, band: string, easting: number, northing: number}|null} Coordinates, or null outside the UTM grid
+ */
+function toUTM(point) {
+    if (point.lat < UTM_MIN_LAT || point.lat > UTM_MAX_LAT) return null;
+    const zone = getUTMZone(point);
+    const band = MGRS_BANDS[Math.min(Math.floor((point.lat - UTM_MIN_LAT) / 8), MGRS_BANDS.length - 1)];
+    const { x, y } = fromWGS84(point, getUTMCode(zone, point.lat < 0));
+    return { zone, band, easting: x, northing: y };
+}
+
+/**
+ * Check whether a latitude band letter is in the southern hemisphere
+ * @param {string} band - Band letter
+ * @returns {boolean} True south of the equator
+ */
+function isSouthernBand(band) {
+    return band.toUpperCase() < 'N';
+}
+
+/**
+ * Parse UTM coordinates: zone, latitude band letter, easting and northing in meters
+ * @param {string} text - Coordinates such as "31T 712059 5008715"
+ * @returns {{lat: number, lng: number}|null} Point, or null if parsing fails
+ */
+function parseUTM(text) {
+    const match = UTM_PATTERN.exec(text.trim());
+    const zone = Number(match?.[1]);
+    if (!match || zone < 1 || zone > 60) return null;
+    return toWGS84({ x: Number(match[3]), y: Number(match[4]) }, getUTMCode(zone, isSouthernBand(match[2])));
+}
+
+/**
+ * Write the MGRS reference of a point to the meter
+ * @param {{lat: number, lng: number}} point - WGS84 point
+ * @returns {string|null} Reference such as "31T GL 12059 08715", or null outside the UTM grid
+ */
+function formatMGRS(point) {
+    const utm = toUTM(point);
+    if (!utm) return null;
+    const easting = Math.floor(utm.easting);
+    const northing = Math.floor(utm.northing);
+    const column = MGRS_COLUMNS[(utm.zone - 1) % 3][Math.floor(easting / 100000) - 1];
+    const row = MGRS_ROWS[(Math.floor(northing / 100000) + (utm.zone % 2 === 0 ? 5 : 0)) % MGRS_ROWS.length];
+    const digits = value => String(value % 100000).padStart(5, '0');
+    return `${utm.zone}${utm.band} ${column}${row} ${digits(easting)} ${digits(northing)}`;
+}
+
+/**
+ * Parse an MGRS reference, from the 100 km square alone to the meter
+ * @param {string} text - Reference such as "31TGL1205908715" or "31T GL 120 087"
+ * @returns {{lat: number, lng: number}|null} South-west corner of the designated square, or null if parsing fails
+ */
+function parseMGRS(text) {
+    const match = MGRS_PATTERN.exec(text.trim());
+    if (!match) return null;
+
+    const zone = Number(match[1]);
+    const band = match[2].toUpperCase();
+    let digits = match[5] + match[6];
+    if (zone < 1 || zone > 60 || digits.length % 2 !== 0 || digits.length > 10) return null;
+    if (match[6] && match[5].length !== match[6].length) return null;
+
+    const columnIndex = MGRS_COLUMNS[(zone - 1) % 3].indexOf(match[3].toUpperCase());
+    if (columnIndex < 0) return null;
+    const rowIndex = MGRS_ROWS.indexOf(match[4].toUpperCase());
+    const half = digits.length / 2;
+    const scale = 10 ** (5 - half);
+    digits = digits || '00';
+    const east = Number(digits.slice(0, half || 1)) * scale;
+    const north = Number(digits.slice(half || 1)) * scale;
+
+    const south = isSouthernBand(band);
+    const code = getUTMCode(zone, south);
+    const easting = (columnIndex + 1) * 100000 + east;
+    let northing = ((rowIndex - (zone % 2 === 0 ? 5 : 0) + MGRS_ROWS.length) % MGRS_ROWS.length) * 100000 + north;
+
+    // The row letters repeat every 2000 km: pick the cycle that falls in the latitude band
+    const bandSouth = UTM_MIN_LAT + MGRS_BANDS.indexOf(band) * 8;
+    const minNorthing = fromWGS84({ lat: bandSouth, lng: zone * 6 - 183 }, code).y - MGRS_BAND_MARGIN;
+    while (northing < minNorthing) northing += MGRS_ROW_CYCLE;
+    return toWGS84({ x: easting, y: northing }, code);
+}
+
+/* ==========================================================================
+   Reading and writing any format
+   ========================================================================== */
+
+/**
+ * Read exactly two numbers separated by a comma, a semicolon or spaces.
+ * Decimal commas are accepted when the numbers are separated by a semicolon or spaces.
+ * @param {string} text - Text
+ * @returns {Array<number>|null} The two numbers, or null
+ */
+function parseNumberPair(text) {
+    const numbers = text.match(NUMBER_PATTERN) ?? [];
+    if (numbers.length !== 2 || text.replaceAll(NUMBER_PATTERN, '').trim().replaceAll(/[\s,;]/g, '')) return null;
+    return numbers.map(number => Number.parseFloat(number.replace(',', '.')));
+}
+
+/**
+ * Check whether Lambert-93 coordinates fall around metropolitan France
+ * @param {number} x - Easting
+ * @param {number} y - Northing
+ * @returns {boolean} True inside the usual bounds
+ */
+function isInLambert93Bounds(x, y) {
+    const { minX, maxX, minY, maxY } = LAMBERT_93_BOUNDS;
+    return x >= minX && x <= maxX && y >= minY && y <= maxY;
+}
+
+/**
+ * Read a pair of numbers as decimal degrees or as projected coordinates
+ * @param {string} text - Text
+ * @param {string} format - 'dd', 'lambert93' or 'auto'
+ * @returns {{point: {lat: number, lng: number}, format: string}|null} Result
+ */
+function parseNumbers(text, format) {
+    const pair = parseNumberPair(text);
+    if (!pair) return null;
+    const [first, second] = pair;
+
+    if (format !== 'lambert93' && Math.abs(first) <= 90 && Math.abs(second) <= 180) {
+        return { point: { lat: first, lng: second }, format: 'dd' };
+    }
+    if (format === 'dd') return null;
+
+    // Meters are read in the display system when it is projected, else in Lambert-93
+    const display = getDisplayCRS();
+    const code = format === 'auto' && isProjected(display) && !isInLambert93Bounds(first, second) ? display : LAMBERT_93;
+    if (code === LAMBERT_93 && format === 'auto' && !isInLambert93Bounds(first, second)) return null;
+    const point = toWGS84({ x: first, y: second }, code);
+    if (!Number.isFinite(point.lat) || Math.abs(point.lat) > 90) return null;
+    return { point, format: code === LAMBERT_93 ? 'lambert93' : code };
+}
+
+/**
+ * Read coordinates in a given format, or in any format
+ * @param {string} text - Coordinates
+ * @param {string} [format='auto'] - Format identifier, or 'auto' to detect it
+ * @returns {{point: {lat: number, lng: number}, format: string}|null} WGS84 point and the format read
+ *     (an EPSG code for meters read in the display system), or null if the text is not understood
+ */
+export function parseCoordinate(text, format = 'auto') {
+    const input = text.trim();
+    if (!input) return null;
+
+    const parsers = {
+        mgrs: () => parseMGRS(input),
+        utm: () => parseUTM(input),
+        dms: () => (/[°′″'"]|[a-z]/i.test(input) ? parseDMSString(input) : null),
+        ddm: () => (/[°′'"]|[a-z]/i.test(input) ? parseDMSString(input) : null)
+    };
+    const tried = format === 'auto' ? ['mgrs', 'utm', 'dms'] : [format].filter(id => parsers[id]);
+    for (const id of tried) {
+        const point = parsers[id]();
+        if (point && Number.isFinite(point.lat) && Number.isFinite(point.lng)) {
+            // Both angular formats share a parser: tell them apart by the way minutes are written
+            const decimalMinutes = !/[″"]/.test(input) && DECIMAL_MINUTES.test(input);
+            const detected = format === 'auto' && id === 'dms' && decimalMinutes ? 'ddm' : id;
+            return { point, format: detected };
+        }
+    }
+    return parsers[format] ? null : parseNumbers(input, format);
+}
+
+/**
+ * Write a point in a format
+ * @param {{lat: number, lng: number}} point - WGS84 point
+ * @param {string} format - Format identifier
+ * @returns {string|null} Coordinates, or null if the point cannot be written in this format
+ */
+export function formatCoordinate(point, format) {
+    switch (format) {
+        case 'dd':
+            return `${point.lat.toFixed(6)}, ${point.lng.toFixed(6)}`;
+        case 'dms':
+            return `${formatDMS(point.lat, 'N', 'S')}, ${formatDMS(point.lng, 'E', 'O')}`;
+        case 'ddm':
+            return `${formatDDM(point.lat, 'N', 'S')}, ${formatDDM(point.lng, 'E', 'O')}`;
+        case 'utm': {
+            const utm = toUTM(point);
+            return utm && `${utm.zone}${utm.band} ${Math.floor(utm.easting)} ${Math.floor(utm.northing)}`;
+        }
+        case 'mgrs':
+            return formatMGRS(point);
+        case 'lambert93':
+            return formatPosition(point, 6, LAMBERT_93);
+        default:
+            return getCRS(format) ? formatPosition(point, 6, format) : null;
+    }
+}
+
+/**
+ * Name a format read by parseCoordinate
+ * @param {string} format - Format identifier or EPSG code
+ * @returns {string} Name
+ */
+function formatLabel(format) {
+    return COORDINATE_FORMATS.find(f => f.id === format)?.label ?? getCRS(format)?.name ?? format;
+}
+
+/**
+ * List the formats shown by the converter: every format, plus the display system when it is
+ * projected and not Lambert-93
+ * @returns {Array<CoordinateFormat>} Formats
+ */
+function outputFormats() {
+    const display = getDisplayCRS();
+    return isProjected(display) && display !== LAMBERT_93
+        ? [...COORDINATE_FORMATS, { id: display, label: getCRS(display).name }]
+        : COORDINATE_FORMATS;
+}
+
+/* ==========================================================================
+   Single-point converter
+   ========================================================================== */
+
+/**
+ * Initialize the coordinate converter: any format in, every format out
+ */
+export function initCoordinateConverter() {
+    const input = document.getElementById('converter-input');
+    const formatSelect = document.getElementById('converter-format');
+    const resultDiv = document.getElementById('converter-result');
+    const outputs = document.getElementById('converter-outputs');
+
+    let lastPoint = null;
+    let debounceTimer = null;
+
+    if (formatSelect) {
+        formatSelect.innerHTML = '<option value="auto">Détection automatique</option>' +
+            COORDINATE_FORMATS.map(f => `<option value="${f.id}">${f.label}</option>`).join('');
+    }
+
+    function doConvert() {
+        const result = parseCoordinate(input?.value ?? '', formatSelect?.value ?? 'auto');
+        lastPoint = result?.point ?? null;
+        if (!result) {
+            resultDiv?.classList.add('hidden');
+            return;
+        }
+
+        outputs.innerHTML = outputFormats().map(({ id, label }) => {
+            const value = formatCoordinate(result.point, id);
+            return `
+                <tr${id === result.format ? ' class="converter-source"' : ''}>
+                    <th>${label}</th>
+                    <td class="converter-value">${value ? escapeXML(value) : '—'}</td>
+                    <td>${value ? `<button class="icon-btn" data-copy="${escapeXML(value)}" title="Copier"><i class="fas fa-copy"></i></button>` : ''}</td>
+                </tr>`;
+        }).join('');
+        resultDiv?.classList.remove('hidden');
+    }
+
+    // Auto-convert on input with debounce
+    input?.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(doConvert, DEBOUNCE_DELAY);
+    });
+
+    input?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            clearTimeout(debounceTimer);
+            doConvert();
+        }
+    });
+
+    formatSelect?.addEventListener('change', doConvert);
+
+    // Typed meters are read in the display coordinate system
+    document.getElementById('crs-select')?.addEventListener('change', doConvert);
+
+    outputs?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-copy]');
+        if (!button) return;
+        navigator.clipboard.writeText(button.dataset.copy).then(() => {
+            const originalIcon = button.innerHTML;
+            button.innerHTML = '<i class="fas fa-check"></i>';
+            setTimeout(() => {
+                button.innerHTML = originalIcon;
+            }, COPY_FEEDBACK_DURATION);
+        });
+    });
+
+    document.getElementById('btn-goto-coords')?.addEventListener('click', () => {
+        if (lastPoint) state.map.setView([lastPoint.lat, lastPoint.lng], GOTO_ZOOM);
+    });
+
+    document.getElementById('btn-marker-coords')?.addEventListener('click', () => {
+        if (lastPoint) {
+            createElement('marker', {
+                lat: lastPoint.lat,
+                lng: lastPoint.lng,
+                title: 'Marqueur'
+            });
+        }
+    });
+
+    initBatchConverter();
+}
+
+/* ==========================================================================
+   Batch conversion
+   ========================================================================== */
+
+/**
+ * @typedef {Object} BatchEntry
+ * @property {number} line - Line number in the pasted text, from 1
+ * @property {string} title - Title given before a tab, or empty
+ * @property {string} text - Coordinates as typed
+ * @property {{lat: number, lng: number}|null} point - WGS84 point, or null if not understood
+ * @property {string|null} format - Format read
+ */
+
+/**
+ * Read the pasted list: one point per line, optionally preceded by a title and a tab
+ * (as pasted from a spreadsheet). Blank lines are skipped.
+ * @param {string} text - Pasted text
+ * @param {string} format - Format identifier, or 'auto'
+ * @returns {Array<BatchEntry>} Entries
+ */
+export function parseBatch(text, format) {
+    const entries = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        if (!raw.trim()) return;
+        const cells = raw.split('\t').map(cell => cell.trim());
+        const title = cells.length > 1 ? cells[0] : '';
+        const coordinates = cells.length > 1 ? cells.slice(1).join(' ') : cells[0];
+        const result = parseCoordinate(coordinates, format);
+        entries.push({ line: i + 1, title, text: coordinates, point: result?.point ?? null, format: result?.format ?? null });
+    });
+    return entries;
+}
+
+/**
+ * Write the entries as CSV
+ * @param {Array<BatchEntry>} entries - Entries
+ * @returns {string} CSV text
+ */
+export function batchToCSV(entries) {
+    const header = ['ligne', 'titre', 'saisie', 'format', 'latitude', 'longitude', 'dms', 'ddm', 'utm', 'mgrs', 'lambert93_x', 'lambert93_y'];
+    const rows = entries.map(entry => {
+        if (!entry.point) return [entry.line, entry.title, entry.text, 'non reconnu'];
+        const { x, y } = fromWGS84(entry.point, LAMBERT_93);
+        return [
+            entry.line, entry.title, entry.text, formatLabel(entry.format),
+            entry.point.lat.toFixed(7), entry.point.lng.toFixed(7),
+            formatCoordinate(entry.point, 'dms'), formatCoordinate(entry.point, 'ddm'),
+            formatCoordinate(entry.point, 'utm'), formatCoordinate(entry.point, 'mgrs'),
+            x.toFixed(2), y.toFixed(2)
+        ];
+    });
+    return toCSV([header, ...rows]);
+}
+
+/**
+ * Read the batch dialog
+ * @returns {Array<BatchEntry>} Entries
+ */
+function readBatch() {
+    return parseBatch(document.getElementById('batch-input').value, document.getElementById('batch-format').value);
+}
+
+/**
+ * Show how many lines are understood and the converted points
+ */
+function updateBatchPreview() {
+    const entries = readBatch();
+    const valid = entries.filter(entry => entry.point);
+    const invalid = entries.filter(entry => !entry.point);
+
+    let summary = `${valid.length} point(s) reconnu(s)`;
+    if (invalid.length) summary += `, ${invalid.length} ligne(s) non reconnue(s) : ${invalid.map(entry => entry.line).join(', ')}`;
+    document.getElementById('batch-summary').textContent = entries.length ? summary : '';
+
+    document.getElementById('batch-preview').innerHTML = entries.map(entry => `
+        <tr${entry.point ? '' : ' class="batch-invalid"'}>
+            <td class="traverse-index">${entry.line}</td>
+            <td>${escapeXML(entry.title)}</td>
+            <td>${entry.point ? escapeXML(formatLabel(entry.format)) : 'non reconnu'}</td>
+            <td>${entry.point ? formatCoordinate(entry.point, 'dd') : escapeXML(entry.text)}</td>
+        </tr>`).join('');
+}
+
+/**
+ * Create a marker for every understood line, in a new folder
+ * @returns {Array<string>|null} IDs of the new markers, or null if nothing was created
+ */
+export function createBatchMarkers() {
+    const entries = readBatch().filter(entry => entry.point);
+    if (!entries.length) {
+        alert('Aucune coordonnée reconnue.');
+        return null;
+    }
+
+    const folder = { id: `folder-${generateId()}`, name: 'Conversion par lot', collapsed: false, visible: true };
+    const color = CONFIG.colors['drawing-marker'] || CONFIG.colors.default;
+    const features = entries.map((entry, i) => elementToGeoJSON({
+        id: generateId(),
+        type: 'marker',
+        data: {
+            ...entry.point,
+            title: entry.title || `Point ${i + 1}`,
+            description: `Saisi : ${entry.text}`,
+            color,
+            folderId: folder.id
+        }
+    }));
+
+    const ids = withHistory('Conversion de coordonnées par lot', [], () => {
+        state.folders.push(folder);
+        features.forEach(feature => restoreFeature(feature));
+        updateElementList();
+        saveState();
+        return features.map(f => f.id);
+    });
+
+    closeModal('modal-batch-convert');
+    state.map.fitBounds(L.geoJSON(turf.featureCollection(features)).getBounds(), { padding: [40, 40], maxZoom: GOTO_ZOOM });
+    return ids;
+}
+
+/**
+ * Download the converted list as CSV
+ */
+function exportBatchCSV() {
+    const entries = readBatch();
+    if (!entries.length) {
+        alert('Collez au moins une coordonnée.');
+        return;
+    }
+    // The byte order mark lets spreadsheets read the file as UTF-8
+    downloadFile(`﻿${batchToCSV(entries)}`, 'coordonnees.csv', 'text/csv;charset=utf-8');
+}
+
+/**
+ * Initialize the batch conversion dialog
+ */
+function initBatchConverter() {
+    const formatSelect = document.getElementById('batch-format');
+    if (!formatSelect) return;
+    formatSelect.innerHTML = '<option value="auto">Détection automatique</option>' +
+        COORDINATE_FORMATS.map(f => `<option value="${f.id}">${f.label}</option>`).join('');
+
+    document.getElementById('btn-batch-convert')?.addEventListener('click', () => {
+        updateBatchPreview();
+        openModal('modal-batch-convert');
+    });
+    document.getElementById('batch-input')?.addEventListener('input', updateBatchPreview);
+    formatSelect.addEventListener('change', updateBatchPreview);
+    document.getElementById('btn-cancel-batch')?.addEventListener('click', () => closeModal('modal-batch-convert'));
+    document.getElementById('btn-export-batch')?.addEventListener('click', exportBatchCSV);
+    document.getElementById('btn-create-batch')?.addEventListener('click', createBatchMarkers);
+}
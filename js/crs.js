@@ -0,0 +1,381 @@
+/**
+ * Coordinate reference systems - proj4-style definitions bundled with the app,
+ * conversions between WGS84 and projected coordinates (Lambert-93, CC zones, UTM)
+ * and the coordinate system chosen for display and input
+ * @module crs
+ */
+
+/** @constant {string} localStorage key of the display coordinate system */
+const STORAGE_KEY = 'ignMapDisplayCrs';
+
+/** @constant {string} Code of WGS84 geographic coordinates */
+export const WGS84 = 'EPSG:4326';
+
+/** @constant {Object<string, {a: number, rf: number}>} Ellipsoids: semi-major axis and inverse flattening */
+const ELLIPSOIDS = {
+    GRS80: { a: 6378137, rf: 298.257222101 },
+    WGS84: { a: 6378137, rf: 298.257223563 }
+};
+
+/** @constant {number} Number of iterations of the inverse Lambert latitude */
+const LCC_ITERATIONS = 10;
+
+/**
+ * @typedef {Object} CrsDefinition
+ * @property {string} code - EPSG code
+ * @property {string} name - Name shown in the selector
+ * @property {string} label - Short name shown next to coordinates
+ * @property {string} proj4 - Definition in proj4 syntax
+ */
+
+/**
+ * @constant {Array<CrsDefinition>} Supported coordinate systems. RGF93 is taken as equal to WGS84
+ * (they differ by a few centimeters), so no datum shift is applied.
+ */
+export const CRS_LIST = [
+    { code: WGS84, name: 'WGS84 (degrés décimaux)', label: 'WGS84', proj4: '+proj=longlat +datum=WGS84 +no_defs' },
+    {
+        code: 'EPSG:2154', name: 'Lambert-93 (RGF93)', label: 'Lambert-93',
+        proj4: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +units=m +no_defs'
+    },
+    ...[42, 43, 44, 45, 46, 47, 48, 49, 50].map(zone => ({
+        code: `EPSG:39${zone}`,
+        name: `Lambert CC${zone} (RGF93)`,
+        label: `CC${zone}`,
+        proj4: `+proj=lcc +lat_0=${zone} +lon_0=3 +lat_1=${zone - 0.75} +lat_2=${zone + 0.75} ` +
+            `+x_0=1700000 +y_0=${(zone - 41) * 1000000 + 200000} +ellps=GRS80 +units=m +no_defs`
+    })),
+    ...[30, 31, 32].map(zone => ({
+        code: `EPSG:326${zone}`,
+        name: `UTM ${zone}N (WGS84)`,
+        label: `UTM ${zone}N`,
+        proj4: `+proj=utm +zone=${zone} +datum=WGS84 +units=m +no_defs`
+    }))
+];
+
+/** @constant {RegExp} EPSG code of a WGS84 UTM zone, north (326xx) or south (327xx) */
+const UTM_CODE = /^EPSG:32([67])(\d\d)$/;
+
+/** @constant {number} Number of UTM zones */
+const UTM_ZONES = 60;
+
+/** @type {Map<string, Object>} Projections built from the definitions, by code */
+const projections = new Map();
+
+/**
+ * Read the parameters of a proj4 definition
+ * @param {string} definition - Definition such as "+proj=lcc +lat_0=46.5 ..."
+ * @returns {Object<string, string|boolean>} Parameters by name, flags set to true
+ */
+export function parseProj4(definition) {
+    const params = {};
+    definition.trim().split(/\s+/).forEach(token => {
+        const [name, value] = token.replace(/^\+/, '').split('=');
+        params[name] = value ?? true;
+    });
+    return params;
+}
+
+/**
+ * Get the ellipsoid of a definition
+ * @param {Object} params - proj4 parameters
+ * @returns {{a: number, e: number, n: number}} Semi-major axis, eccentricity and third flattening
+ */
+function getEllipsoid(params) {
+    const { a, rf } = ELLIPSOIDS[params.ellps] ?? ELLIPSOIDS[params.datum] ?? ELLIPSOIDS.WGS84;
+    const f = 1 / rf;
+    return { a, e: Math.sqrt(f * (2 - f)), n: f / (2 - f) };
+}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Isometric latitude function of the Lambert projection
+ * @param {number} phi - Latitude in radians
+ * @param {number} e - Eccentricity
+ * @returns {number} t(phi)
+ */
+function lambertT(phi, e) {
+    const sin = e * Math.sin(phi);
+    return Math.tan(Math.PI / 4 - phi / 2) / ((1 - sin) / (1 + sin)) ** (e / 2);
+}
+
+/**
+ * Build a Lambert conformal conic projection (one or two standard parallels)
+ * @param {Object} params - proj4 parameters
+ * @returns {{forward: Function, inverse: Function}} Projection
+ */
+function lambertConformalConic(params) {
+    const { a, e } = getEllipsoid(params);
+    const m = phi => Math.cos(phi) / Math.sqrt(1 - (e * Math.sin(phi)) ** 2);
+    const lat0 = toRadians(Number(params.lat_0 ?? 0));
+    const lat1 = toRadians(Number(params.lat_1 ?? params.lat_0 ?? 0));
+    const lat2 = toRadians(Number(params.lat_2 ?? params.lat_1 ?? params.lat_0 ?? 0));
+    const lon0 = toRadians(Number(params.lon_0 ?? 0));
+    const x0 = Number(params.x_0 ?? 0);
+    const y0 = Number(params.y_0 ?? 0);
+    const k0 = Number(params.k_0 ?? params.k ?? 1);
+
+    const n = Math.abs(lat1 - lat2) < 1e-10
+        ? Math.sin(lat1)
+        : (Math.log(m(lat1)) - Math.log(m(lat2))) / (Math.log(lambertT(lat1, e)) - Math.log(lambertT(lat2, e)));
+    const scale = a * k0 * m(lat1) / (n * lambertT(lat1, e) ** n);
+    const rho0 = scale * lambertT(lat0, e) ** n;
+
+    return {
+        forward(lng, lat) {
+            const rho = scale * lambertT(toRadians(lat), e) ** n;
+            const theta = n * (toRadians(lng) - lon0);
+            return [x0 + rho * Math.sin(theta), y0 + rho0 - rho * Math.cos(theta)];
+        },
+        inverse(x, y) {
+            const dx = x - x0;
+            const dy = rho0 - (y - y0);
+            const sign = Math.sign(n);
+            const rho = sign * Math.hypot(dx, dy);
+            const theta = Math.atan2(sign * dx, sign * dy);
+            const t = (rho / scale) ** (1 / n);
+            let phi = Math.PI / 2 - 2 * Math.atan(t);
+            for (let i = 0; i < LCC_ITERATIONS; i++) {
+                const sin = e * Math.sin(phi);
+                phi = Math.PI / 2 - 2 * Math.atan(t * ((1 - sin) / (1 + sin)) ** (e / 2));
+            }
+            return [toDegrees(theta / n + lon0), toDegrees(phi)];
+        }
+    };
+}
+
+/**
+ * Build a transverse Mercator projection with Krüger's series (millimeter accuracy within a few zones)
+ * @param {Object} params - proj4 parameters
+ * @returns {{forward: Function, inverse: Function}} Projection
+ */
+function transverseMercator(params) {
+    const { a, e, n } = getEllipsoid(params);
+    const utm = params.proj === 'utm';
+    const lon0 = toRadians(utm ? Number(params.zone) * 6 - 183 : Number(params.lon_0 ?? 0));
+    const k0 = utm ? 0.9996 : Number(params.k_0 ?? params.k ?? 1);
+    const x0 = utm ? 500000 : Number(params.x_0 ?? 0);
+    const y0 = utm ? (params.south ? 10000000 : 0) : Number(params.y_0 ?? 0);
+
+    const [n2, n3, n4] = [n ** 2, n ** 3, n ** 4];
+    const radius = a / (1 + n) * (1 + n2 / 4 + n4 / 64);
+    const alpha = [n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180,
+        13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440,
+        61 * n3 / 240 - 103 * n4 / 140,
+        49561 * n4 / 161280];
+    const beta = [n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360,
+        n2 / 48 + n3 / 15 - 437 * n4 / 1440,
+        17 * n3 / 480 - 37 * n4 / 840,
+        4397 * n4 / 161280];
+    const delta = [2 * n - 2 * n2 / 3 - 2 * n3 + 116 * n4 / 45,
+        7 * n2 / 3 - 8 * n3 / 5 - 227 * n4 / 45,
+        56 * n3 / 15 - 136 * n4 / 35,
+        4279 * n4 / 630];
+
+    const project = (lambda, phi) => {
+        const t = Math.sinh(Math.atanh(Math.sin(phi)) - e * Math.atanh(e * Math.sin(phi)));
+        const xiPrime = Math.atan2(t, Math.cos(lambda));
+        const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+        let xi = xiPrime;
+        let eta = etaPrime;
+        alpha.forEach((coef, j) => {
+            const k = 2 * (j + 1);
+            xi += coef * Math.sin(k * xiPrime) * Math.cosh(k * etaPrime);
+            eta += coef * Math.cos(k * xiPrime) * Math.sinh(k * etaPrime);
+        });
+        return [eta, xi];
+    };
+    // Northing of the latitude of origin on the central meridian
+    const xi0 = project(0, toRadians(Number(utm ? 0 : params.lat_0 ?? 0)))[1];
+
+    return {
+        forward(lng, lat) {
+            const [eta, xi] = project(toRadians(lng) - lon0, toRadians(lat));
+            return [x0 + k0 * radius * eta, y0 + k0 * radius * (xi - xi0)];
+        },
+        inverse(x, y) {
+            const xi = (y - y0) / (k0 * radius) + xi0;
+            const eta = (x - x0) / (k0 * radius);
+            let xiPrime = xi;
+            let etaPrime = eta;
+            beta.forEach((coef, j) => {
+                const k = 2 * (j + 1);
+                xiPrime -= coef * Math.sin(k * xi) * Math.cosh(k * eta);
+                etaPrime -= coef * Math.cos(k * xi) * Math.sinh(k * eta);
+            });
+            const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+            let phi = chi;
+            delta.forEach((coef, j) => {
+                phi += coef * Math.sin(2 * (j + 1) * chi);
+            });
+            return [toDegrees(lon0 + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime))), toDegrees(phi)];
+        }
+    };
+}
+
+/** @constant {Object<string, function(Object): Object>} Projection builders by proj4 name */
+const PROJECTION_BUILDERS = {
+    longlat: () => ({ forward: (lng, lat) => [lng, lat], inverse: (x, y) => [x, y] }),
+    lcc: lambertConformalConic,
+    tmerc: transverseMercator,
+    utm: transverseMercator
+};
+
+/**
+ * Get a supported coordinate system
+ * @param {string} code - EPSG code
+ * @returns {CrsDefinition|undefined} Definition
+ */
+export function getCRS(code) {
+    return CRS_LIST.find(crs => crs.code === code);
+}
+
+/**
+ * Check whether a coordinate system is projected (coordinates in meters)
+ * @param {string} code - EPSG code
+ * @returns {boolean} True for every system but WGS84
+ */
+export function isProjected(code) {
+    return code !== WGS84;
+}
+
+/**
+ * Get the EPSG code of a WGS84 UTM zone
+ * @param {number} zone - Zone number, 1 to 60
+ * @param {boolean} south - True for the southern hemisphere
+ * @returns {string} EPSG code such as "EPSG:32631"
+ */
+export function getUTMCode(zone, south) {
+    return `EPSG:32${south ? 7 : 6}${String(zone).padStart(2, '0')}`;
+}
+
+/**
+ * Get the proj4 definition of a coordinate system: a supported one, or any WGS84 UTM zone
+ * @param {string} code - EPSG code
+ * @returns {string|null} Definition, or null if unknown
+ */
+function getDefinition(code) {
+    const crs = getCRS(code);
+    if (crs) return crs.proj4;
+
+    const match = UTM_CODE.exec(code);
+    const zone = Number(match?.[2]);
+    if (!match || zone < 1 || zone > UTM_ZONES) return null;
+    return `+proj=utm +zone=${zone}${match[1] === '7' ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`;
+}
+
+/**
+ * Get the projection of a coordinate system, building it on first use
+ * @param {string} code - EPSG code
+ * @returns {{forward: Function, inverse: Function}} Projection
+ */
+function getProjection(code) {
+    if (!projections.has(code)) {
+        const definition = getDefinition(code);
+        if (!definition) throw new Error(`Système de coordonnées inconnu : ${code}`);
+        const params = parseProj4(definition);
+        const builder = PROJECTION_BUILDERS[params.proj];
+        if (!builder) throw new Error(`Projection non prise en charge : ${params.proj}`);
+        projections.set(code, builder(params));
+    }
+    return projections.get(code);
+}
+
+/**
+ * Convert WGS84 coordinates to a coordinate system
+ * @param {{lat: number, lng: number}} point - WGS84 point
+ * @param {string} code - EPSG code of the target system
+ * @returns {{x: number, y: number}} Easting and northing in meters (longitude and latitude for WGS84)
+ */
+export function fromWGS84(point, code) {
+    const [x, y] = getProjection(code).forward(point.lng, point.lat);
+    return { x, y };
+}
+
+/**
+ * Convert coordinates of a coordinate system to WGS84
+ * @param {{x: number, y: number}} position - Easting and northing in meters (longitude and latitude for WGS84)
+ * @param {string} code - EPSG code of the source system
+ * @returns {{lat: number, lng: number}} WGS84 point
+ */
+export function toWGS84(position, code) {
+    const [lng, lat] = getProjection(code).inverse(position.x, position.y);
+    return { lat, lng };
+}
+
+/** @type {string} Code of the coordinate system used for display and input */
+let displayCRS = getCRS(localStorage.getItem(STORAGE_KEY)) ? localStorage.getItem(STORAGE_KEY) : WGS84;
+
+/**
+ * Get the coordinate system used for display and input
+ * @returns {string} EPSG code
+ */
+export function getDisplayCRS() {
+    return displayCRS;
+}
+
+/**
+ * Change the coordinate system used for display and input
+ * @param {string} code - EPSG code of a supported system
+ */
+export function setDisplayCRS(code) {
+    if (!getCRS(code)) return;
+    displayCRS = code;
+    localStorage.setItem(STORAGE_KEY, code);
+}
+
+/**
+ * Describe the axes of a coordinate system for field labels
+ * @param {string} [code] - EPSG code (display system by default)
+ * @returns {string} "Lat, Lng" or e.g. "X, Y Lambert-93"
+ */
+export function describeAxes(code = displayCRS) {
+    return isProjected(code) ? `X, Y ${getCRS(code).label}` : 'Lat, Lng';
+}
+
+/**
+ * Format a point in a coordinate system: "lat, lng" in degrees or "X, Y" in meters
+ * @param {{lat: number, lng: number}} point - WGS84 point
+ * @param {number} [precision=6] - Decimals of degrees (meters get two decimals)
+ * @param {string} [code] - EPSG code (display system by default)
+ * @returns {string} Formatted coordinates
+ */
+export function formatPosition(point, precision = 6, code = displayCRS) {
+    if (!isProjected(code)) return `${point.lat.toFixed(precision)}, ${point.lng.toFixed(precision)}`;
+    const { x, y } = fromWGS84(point, code);
+    return `${x.toFixed(2)}, ${y.toFixed(2)}`;
+}
+
+/**
+ * Parse a point written as "lat, lng" in degrees or "X, Y" in meters (further values are ignored).
+ * Projected coordinates may also be separated by spaces or a semicolon.
+ * @param {string} text - Coordinates
+ * @param {string} [code] - EPSG code (display system by default)
+ * @returns {{lat: number, lng: number}|null} WGS84 point, or null if invalid
+ */
+export function parsePosition(text, code = displayCRS) {
+    const values = isProjected(code)
+        ? text.trim().split(/\s*[,;]\s*|\s+/)
+        : text.split(',').map(s => s.trim());
+    if (values.length < 2) return null;
+
+    const [first, second] = values.map(Number.parseFloat);
+    if (!Number.isFinite(first) || !Number.isFinite(second)) return null;
+    if (!isProjected(code)) return Math.abs(first) <= 90 && Math.abs(second) <= 180 ? { lat: first, lng: second } : null;
+
+    const point = toWGS84({ x: first, y: second }, code);
+    return Number.isFinite(point.lat) && Number.isFinite(point.lng) && Math.abs(point.lat) <= 90 ? point : null;
+}
+
+/**
+ * Format a point for read-only display, naming the coordinate system when it is projected
+ * @param {{lat: number, lng: number}} point - WGS84 point
+ * @param {number} [precision=6] - Decimals of degrees
+ * @returns {string} Coordinates such as "45.188380, 5.712727" or "911957.48, 6459255.52 (Lambert-93)"
+ */
+export function describePosition(point, precision = 6) {
+    const text = formatPosition(point, precision);
+    return isProjected(displayCRS) ? `${text} (${getCRS(displayCRS).label})` : text;
+}
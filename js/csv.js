@@ -0,0 +1,662 @@
+/**
+ * CSV/TSV - import points from spreadsheets with a column mapping dialog, export point
+ * elements and measurement results
+ * @module csv
+ */
+
+import { FOLDER_PATH_SEPARATOR } from './config.js';
+import { CRS_LIST, WGS84, describePosition, fromWGS84, getCRS, getDisplayCRS, isProjected, toWGS84 } from './crs.js';
+import { createElement, updateElementList } from './elements.js';
+import { groupChanges } from './history.js';
+import { saveState } from './persistence.js';
+import { state } from './state.js';
+import { closeModal, escapeXML, generateId, openModal } from './utils.js';
+
+/** @constant {Array<{value: string, label: string}>} Delimiters tried, in order of preference */
+const DELIMITERS = [
+    { value: '\t', label: 'Tabulation' },
+    { value: ';', label: 'Point-virgule' },
+    { value: ',', label: 'Virgule' },
+    { value: '|', label: 'Barre verticale' }
+];
+
+/** @constant {number} Number of lines read to detect the delimiter */
+const DETECTION_LINES = 20;
+
+/** @constant {number} Number of rows shown in the preview */
+const PREVIEW_ROWS = 20;
+
+/** @constant {number} Number of ignored line numbers listed in the summary */
+const LISTED_ERRORS = 10;
+
+/** @constant {string} Coordinate system of projected columns while degrees are displayed */
+const DEFAULT_PROJECTED_CRS = 'EPSG:2154';
+
+/** @constant {RegExp} Hexadecimal color, with or without the leading "#" */
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * @typedef {Object} ColumnField
+ * @property {string} key - Field name in the mapping
+ * @property {string} label - Label in the dialog
+ * @property {string} [projectedLabel] - Label when the coordinates are projected
+ * @property {Array<string>} names - Lower-case headers recognized for this field
+ */
+
+/** @constant {Array<ColumnField>} Mapped fields */
+const FIELDS = [
+    { key: 'x', label: 'Longitude', projectedLabel: 'X (est)', names: ['longitude', 'lon', 'lng', 'long', 'x', 'est', 'easting', 'e'] },
+    { key: 'y', label: 'Latitude', projectedLabel: 'Y (nord)', names: ['latitude', 'lat', 'y', 'nord', 'northing', 'n'] },
+    { key: 'title', label: 'Titre', names: ['titre', 'title', 'nom', 'name', 'libelle', 'libellé', 'espece', 'espèce'] },
+    { key: 'description', label: 'Description', names: ['description', 'desc', 'commentaire', 'commentaires', 'remarque', 'notes', 'note'] },
+    { key: 'color', label: 'Couleur', names: ['couleur', 'color', 'colour', 'marker-color'] },
+    { key: 'folder', label: 'Dossier', names: ['dossier', 'folder', 'groupe', 'group', 'categorie', 'catégorie'] }
+];
+
+/** @constant {Array<string>} Lower-case headers that mark projected coordinates */
+const PROJECTED_HEADERS = ['x', 'y', 'est', 'nord', 'easting', 'northing', 'e', 'n'];
+
+/* ==========================================================================
+   Reading and writing CSV
+   ========================================================================== */
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting: quoted fields may contain the
+ * delimiter, line breaks and doubled quotes). Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows
+ */
+export function parseCSV(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim()) rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    const input = text.replace(/^﻿/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && !field.trim()) {
+            quoted = true;
+            field = '';
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) endRow();
+    return rows;
+}
+
+/**
+ * Guess the delimiter of CSV text: the one splitting the first lines into the same
+ * number of fields, the largest number winning (ties go to tab, then semicolon). Commas
+ * only found between digits are taken as decimal commas when another delimiter splits
+ * the lines, so that French files ("45,1883;5,7127") are read correctly
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+export function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, DETECTION_LINES).join('\n');
+    const candidates = DELIMITERS.map(({ value }) => {
+        const counts = parseCSV(sample, value).map(row => row.length);
+        const score = counts.length > 0 && counts.every(count => count === counts[0]) ? counts[0] : 0;
+        return { delimiter: value, score };
+    }).filter(({ score }) => score > 1);
+
+    const decimalCommas = sample.includes(',') && !sample.replaceAll(/\d,(?=\d)/g, '').includes(',');
+    const others = candidates.filter(({ delimiter }) => delimiter !== ',');
+    const scored = decimalCommas && others.length ? others : candidates;
+    return scored.reduce((best, candidate) => (candidate.score > best.score ? candidate : best), { delimiter: ',', score: 0 }).delimiter;
+}
+
+/**
+ * Read a number written with a decimal point or a decimal comma, and optional spaces
+ * or dots as thousands separators ("45,1883", "912 000,25", "1.234,5")
+ * @param {string} text - Cell value
+ * @returns {number} Value, or NaN
+ */
+export function parseNumber(text) {
+    let value = String(text ?? '').trim().replaceAll(/\s/g, '');
+    if (!value) return Number.NaN;
+    if (value.includes(',')) {
+        // The last separator is the decimal one
+        value = value.lastIndexOf(',') > value.lastIndexOf('.')
+            ? value.replaceAll('.', '').replace(',', '.')
+            : value.replaceAll(',', '');
+    }
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(value) ? Number(value) : Number.NaN;
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Field
+ */
+function csvField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.includes(delimiter) || /["\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV
+ * @param {Array<Array<*>>} rows - Rows of fields
+ * @param {string} [delimiter=';'] - Field delimiter (semicolon, for spreadsheets in French locale)
+ * @returns {string} CSV text
+ */
+export function toCSV(rows, delimiter = ';') {
+    return rows.map(row => row.map(value => csvField(value, delimiter)).join(delimiter)).join('\r\n');
+}
+
+/* ==========================================================================
+   Export
+   ========================================================================== */
+
+/** @constant {Set<string>} Element properties written in their own columns */
+const NATIVE_PROPERTIES = new Set(['type', 'title', 'description', 'color', 'folderId', 'radius', '_visible']);
+
+/** @constant {Set<string>} Element types exported as points */
+const POINT_TYPES = new Set(['marker', 'circle']);
+
+/** @constant {Array<string>} Columns of the measurement results */
+const RESULT_COLUMNS = ['rayon_m', 'distance_m', 'azimut_deg', 'surface_m2', 'perimetre_m', 'largeur_m', 'hauteur_m', 'position_m'];
+
+/**
+ * Get the location and results of a measurement
+ * @param {Object} feature - Measurement feature
+ * @returns {{point: {lat: number, lng: number}, results: Object}} Point the results refer to
+ *     (start, centroid, center or point along the line) and results by column
+ */
+function measurementResults(feature) {
+    const props = feature.properties;
+    const geom = feature.geometry;
+    const first = (geom.type === 'GeometryCollection' ? geom.geometries[0] : geom).coordinates;
+
+    switch (props.type) {
+        case 'measurement-distance':
+        case 'measurement-bearing':
+            return {
+                point: { lat: first[0][1], lng: first[0][0] },
+                results: { distance_m: props.distanceM, azimut_deg: props.bearing }
+            };
+        case 'measurement-area': {
+            const [lng, lat] = turf.centroid(feature).geometry.coordinates;
+            return { point: { lat, lng }, results: { surface_m2: props.areaM2, perimetre_m: props.perimeterM } };
+        }
+        case 'measurement-centroid':
+            return { point: props.centroid, results: { surface_m2: props.areaM2 } };
+        case 'measurement-bbox':
+            return {
+                point: props.bboxCenter,
+                results: { surface_m2: props.areaM2, largeur_m: props.width, hauteur_m: props.height }
+            };
+        case 'measurement-along':
+            return { point: props.alongPoint, results: { distance_m: props.lengthM, position_m: props.alongDistance } };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Round a number for export
+ * @param {number|undefined} value - Value
+ * @param {number} decimals - Decimals kept
+ * @returns {string} Rounded value, or an empty string
+ */
+function round(value, decimals) {
+    return Number.isFinite(value) ? value.toFixed(decimals) : '';
+}
+
+/**
+ * Get the values of the extra columns of a point: its attributes and its other plain properties
+ * @param {Object} props - Feature properties
+ * @returns {Object} Values by column name
+ */
+function extraColumns(props) {
+    const plain = Object.entries(props)
+        .filter(([key, value]) => !NATIVE_PROPERTIES.has(key) && value !== null && typeof value !== 'object');
+    return { ...Object.fromEntries(plain), ...props.attributes };
+}
+
+/**
+ * Write the point elements (markers, circles) and the measurement results as CSV, with
+ * their position in degrees and, when the display system is projected, in meters. Extra
+ * attributes of the points (e.g. imported from a spreadsheet) and their other plain
+ * properties get their own columns.
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Array<Object>} folders - Folders
+ * @returns {string|null} CSV text, or null if there is nothing to export
+ */
+export function featuresToCSV(features, folders) {
+    const folderNames = new Map(folders.map(folder => [folder.id, folder.name]));
+    const code = getDisplayCRS();
+    const projected = isProjected(code);
+
+    const records = features.flatMap(feature => {
+        const props = feature.properties;
+        if (POINT_TYPES.has(props.type)) {
+            const [lng, lat] = feature.geometry.coordinates;
+            return [{ feature, point: { lat, lng }, results: { rayon_m: props.radius } }];
+        }
+        const measurement = props.type.startsWith('measurement-') && measurementResults(feature);
+        return measurement ? [{ feature, ...measurement }] : [];
+    });
+    if (records.length === 0) {
+        alert('Aucun point ni résultat de mesure à exporter.');
+        return null;
+    }
+
+    const attributes = [...new Set(records
+        .filter(({ feature }) => POINT_TYPES.has(feature.properties.type))
+        .flatMap(({ feature }) => Object.keys(extraColumns(feature.properties))))];
+
+    const { label } = getCRS(code);
+    const header = [
+        'type', 'titre', 'description', 'couleur', 'dossier', 'latitude', 'longitude',
+        ...(projected ? [`x (${label})`, `y (${label})`] : []),
+        ...RESULT_COLUMNS,
+        ...attributes
+    ];
+    const rows = records.map(({ feature, point, results }) => {
+        const props = feature.properties;
+        const { x, y } = projected ? fromWGS84(point, code) : {};
+        const extra = POINT_TYPES.has(props.type) ? extraColumns(props) : {};
+        return [
+            props.type, props.title, props.description, props.color, folderNames.get(props.folderId) ?? '',
+            round(point.lat, 7), round(point.lng, 7),
+            ...(projected ? [round(x, 2), round(y, 2)] : []),
+            ...RESULT_COLUMNS.map(column => round(results[column], column === 'azimut_deg' ? 1 : 2)),
+            ...attributes.map(key => extra[key] ?? '')
+        ];
+    });
+
+    // The byte order mark lets spreadsheets read the file as UTF-8
+    return `﻿${toCSV([header, ...rows])}`;
+}
+
+/* ==========================================================================
+   Import dialog
+   ========================================================================== */
+
+/**
+ * @typedef {Object} CsvImport
+ * @property {string} text - File content
+ * @property {string} fileName - File name
+ * @property {Array<Array<string>>} rows - Rows with the selected delimiter
+ */
+
+/** @type {CsvImport|null} File waiting for the column mapping */
+let pendingCSV = null;
+
+/**
+ * Normalize a header for matching
+ * @param {string} header - Header
+ * @returns {string} Lower-case header without surrounding spaces or units in brackets
+ */
+function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/\s*[([].*$/, '');
+}
+
+/**
+ * Find the column of a field from the headers
+ * @param {Array<string>} headers - Normalized headers
+ * @param {ColumnField} field - Field
+ * @param {Set<number>} used - Columns already mapped
+ * @returns {number} Column index, or -1
+ */
+function guessColumn(headers, field, used) {
+    for (const name of field.names) {
+        const index = headers.findIndex((header, i) => header === name && !used.has(i));
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+/**
+ * Tell whether the first row holds headers: it has fewer numbers than the second one
+ * @param {Array<Array<string>>} rows - Rows
+ * @returns {boolean} True if the first row looks like headers
+ */
+function hasHeaderRow(rows) {
+    if (rows.length < 2) return false;
+    const numbers = row => row.filter(cell => Number.isFinite(parseNumber(cell))).length;
+    return numbers(rows[0]) < numbers(rows[1]);
+}
+
+/**
+ * Get the column names: the headers, or "Colonne 1", "Colonne 2"…
+ * @returns {Array<string>} Column names
+ */
+function getColumnNames() {
+    const width = Math.max(0, ...pendingCSV.rows.map(row => row.length));
+    const headers = document.getElementById('csv-has-header').checked ? pendingCSV.rows[0] ?? [] : [];
+    return Array.from({ length: width }, (_, i) => headers[i]?.trim() || `Colonne ${i + 1}`);
+}
+
+/**
+ * Fill the column selects and the attribute checkboxes, guessing the mapping from the headers
+ */
+function renderMapping() {
+    const names = getColumnNames();
+    const headers = names.map(normalizeHeader);
+    const used = new Set();
+    const options = ['<option value="-1">—</option>', ...names.map((name, i) => `<option value="${i}">${escapeXML(name)}</option>`)].join('');
+
+    FIELDS.forEach(field => {
+        const select = document.getElementById(`csv-col-${field.key}`);
+        select.innerHTML = options;
+        const index = guessColumn(headers, field, used);
+        if (index !== -1) used.add(index);
+        select.value = String(index);
+    });
+
+    const xSelect = document.getElementById('csv-col-x');
+    const ySelect = document.getElementById('csv-col-y');
+    let projected = PROJECTED_HEADERS.includes(headers[Number(xSelect.value)]);
+
+    // Without recognized headers, the first two numeric columns hold "lat, lng" or "X, Y"
+    if (xSelect.value === '-1' && ySelect.value === '-1') {
+        const row = pendingCSV.rows[document.getElementById('csv-has-header').checked ? 1 : 0] ?? [];
+        const numeric = row.map((cell, i) => ({ i, value: parseNumber(cell) })).filter(cell => Number.isFinite(cell.value));
+        if (numeric.length >= 2) {
+            const [first, second] = numeric;
+            projected = Math.abs(first.value) > 90 || Math.abs(second.value) > 180;
+            xSelect.value = String(projected ? first.i : second.i);
+            ySelect.value = String(projected ? second.i : first.i);
+        }
+    }
+
+    // Meters in the coordinate columns: the display system if it is projected, else Lambert-93
+    const display = getDisplayCRS();
+    document.getElementById('csv-crs').value = projected ? (isProjected(display) ? display : DEFAULT_PROJECTED_CRS) : WGS84;
+
+    updateFieldLabels();
+    renderAttributes();
+}
+
+/**
+ * List the columns that are not mapped to a field, to keep as extra attributes
+ * (all of them by default)
+ */
+function renderAttributes() {
+    const container = document.getElementById('csv-attributes');
+    const unchecked = new Set([...container.querySelectorAll('input:not(:checked)')].map(input => input.value));
+    const mapped = new Set(FIELDS.map(field => document.getElementById(`csv-col-${field.key}`).value));
+    const columns = getColumnNames()
+        .map((name, i) => ({ name, value: String(i) }))
+        .filter(column => !mapped.has(column.value));
+
+    container.innerHTML = columns.length
+        ? columns.map(({ name, value }) => `
+            <label class="radio-option"><input type="checkbox" value="${value}"${unchecked.has(value) ? '' : ' checked'}> ${escapeXML(name)}</label>`).join('')
+        : '<p class="modal-info">Toutes les colonnes sont utilisées.</p>';
+}
+
+/**
+ * Name the coordinate fields after the selected coordinate system
+ */
+function updateFieldLabels() {
+    const projected = isProjected(document.getElementById('csv-crs').value);
+    FIELDS.forEach(field => {
+        document.querySelector(`label[for="csv-col-${field.key}"]`).textContent =
+            `${projected && field.projectedLabel ? field.projectedLabel : field.label}:`;
+    });
+}
+
+/**
+ * @typedef {Object} CsvMapping
+ * @property {string} crs - EPSG code of the coordinate columns
+ * @property {Object<string, number>} columns - Column index of each field, -1 if not mapped
+ * @property {Array<number>} attributes - Columns kept as extra attributes
+ * @property {Array<string>} names - Column names
+ * @property {boolean} header - True if the first row holds headers
+ * @property {string} folderName - Destination folder, empty for the root
+ */
+
+/**
+ * Read the mapping chosen in the dialog
+ * @returns {CsvMapping} Mapping
+ */
+function readMapping() {
+    const columns = Object.fromEntries(FIELDS.map(field => [field.key, Number(document.getElementById(`csv-col-${field.key}`).value)]));
+    const attributes = [...document.querySelectorAll('#csv-attributes input:checked')].map(input => Number(input.value));
+    return {
+        crs: document.getElementById('csv-crs').value,
+        columns,
+        attributes,
+        names: getColumnNames(),
+        header: document.getElementById('csv-has-header').checked,
+        folderName: document.getElementById('csv-folder-name').value.trim()
+    };
+}
+
+/**
+ * @typedef {Object} CsvPoint
+ * @property {number} line - Row number in the file, from 1
+ * @property {Object} data - createElement data of the marker, with a folder name instead of an ID
+ */
+
+/**
+ * Build the markers described by the rows
+ * @param {Array<Array<string>>} rows - Rows
+ * @param {CsvMapping} mapping - Column mapping
+ * @returns {{points: Array<CsvPoint>, errors: Array<{line: number, message: string}>}} Markers and ignored rows
+ */
+export function buildPoints(rows, mapping) {
+    const { columns, crs } = mapping;
+    const cell = (row, key) => (columns[key] >= 0 ? (row[columns[key]] ?? '').trim() : '');
+    const points = [];
+    const errors = [];
+
+    rows.forEach((row, i) => {
+        if (mapping.header && i === 0) return;
+        const line = i + 1;
+        const x = parseNumber(cell(row, 'x'));
+        const y = parseNumber(cell(row, 'y'));
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            errors.push({ line, message: 'coordonnées manquantes ou illisibles' });
+            return;
+        }
+
+        const { lat, lng } = isProjected(crs) ? toWGS84({ x, y }, crs) : { lat: y, lng: x };
+        if (!Number.isFinite(lat) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            errors.push({ line, message: 'coordonnées hors limites' });
+            return;
+        }
+
+        const attributes = {};
+        mapping.attributes.forEach(index => {
+            const value = (row[index] ?? '').trim();
+            if (value) attributes[mapping.names[index]] = value;
+        });
+        points.push({
+            line,
+            data: {
+                lat,
+                lng,
+                title: cell(row, 'title') || `Point ${points.length + 1}`,
+                description: cell(row, 'description'),
+                color: parseColor(cell(row, 'color')),
+                folder: cell(row, 'folder'),
+                attributes
+            }
+        });
+    });
+    return { points, errors };
+}
+
+/**
+ * Read a hexadecimal color cell
+ * @param {string} text - Cell value such as "#ff0000", "ff0000" or "#f00"
+ * @returns {string|undefined} Color as "#rrggbb", or undefined for the default color
+ */
+function parseColor(text) {
+    const match = HEX_COLOR.exec(text);
+    if (!match) return undefined;
+    const hex = match[1].length === 3 ? [...match[1]].map(digit => digit + digit).join('') : match[1];
+    return `#${hex.toLowerCase()}`;
+}
+
+/**
+ * Show the number of markers to create, the ignored rows and the first markers
+ */
+function updatePreview() {
+    const mapping = readMapping();
+    const { points, errors } = buildPoints(pendingCSV.rows, mapping);
+
+    let summary = `${points.length} marqueur(s) à créer`;
+    if (errors.length) {
+        const listed = errors.slice(0, LISTED_ERRORS).map(error => `ligne ${error.line} (${error.message})`).join(', ');
+        summary += `, ${errors.length} ligne(s) ignorée(s) : ${listed}${errors.length > LISTED_ERRORS ? '…' : ''}`;
+    }
+    document.getElementById('csv-summary').textContent = summary;
+
+    document.getElementById('csv-preview').innerHTML = points.slice(0, PREVIEW_ROWS).map(({ line, data }) => `
+        <tr>
+            <td>${line}</td>
+            <td>${escapeXML(data.title)}</td>
+            <td>${describePosition(data)}</td>
+            <td>${escapeXML(destinationFolder(mapping.folderName, data.folder) || '—')}</td>
+            <td>${escapeXML(Object.entries(data.attributes).map(([key, value]) => `${key} : ${value}`).join(', '))}</td>
+        </tr>`).join('');
+    document.getElementById('btn-confirm-csv').disabled = points.length === 0;
+}
+
+/**
+ * Name the folder of a marker: the folder column as a sub-folder of the destination folder
+ * @param {string} folderName - Destination folder, empty for the root
+ * @param {string} folder - Value of the folder column
+ * @returns {string} Folder name, empty for the root
+ */
+function destinationFolder(folderName, folder) {
+    if (folderName && folder) return `${folderName}${FOLDER_PATH_SEPARATOR}${folder}`;
+    return folderName || folder;
+}
+
+/**
+ * Get the ID of a folder by name, creating it if needed
+ * @param {string} name - Folder name, empty for the root
+ * @returns {string|null} Folder ID
+ */
+function getFolderId(name) {
+    if (!name) return null;
+    let folder = state.folders.find(f => f.name === name);
+    if (!folder) {
+        folder = { id: `folder-${generateId()}`, name, collapsed: false, visible: true };
+        state.folders.push(folder);
+    }
+    return folder.id;
+}
+
+/**
+ * Split the file with the selected delimiter and rebuild the mapping
+ */
+function readRows() {
+    document.getElementById('csv-attributes').innerHTML = '';
+    pendingCSV.rows = parseCSV(pendingCSV.text, document.getElementById('csv-delimiter').value);
+    document.getElementById('csv-has-header').checked = hasHeaderRow(pendingCSV.rows);
+    renderMapping();
+    updatePreview();
+}
+
+/**
+ * Open the column mapping dialog for a CSV or TSV file
+ * @param {string} text - File content
+ * @param {string} fileName - File name
+ */
+export function openCSVImport(text, fileName) {
+    pendingCSV = { text, fileName, rows: [] };
+    document.getElementById('csv-file-info').textContent = fileName;
+    document.getElementById('csv-delimiter').value = detectDelimiter(text);
+    document.getElementById('csv-folder-name').value = fileName.replace(/\.[^.]+$/, '');
+    readRows();
+    openModal('modal-csv-import');
+}
+
+/**
+ * Create the markers through createElement, as a single history entry
+ * @returns {Array<Object>} Created features
+ */
+export function confirmCSVImport() {
+    if (!pendingCSV) return [];
+    const mapping = readMapping();
+    const { points } = buildPoints(pendingCSV.rows, mapping);
+    if (points.length === 0) return [];
+
+    const features = groupChanges(`Import CSV de « ${pendingCSV.fileName} »`, () => points.map(({ data }) => {
+        const { folder, ...marker } = data;
+        return createElement('marker', {
+            ...marker,
+            folderId: getFolderId(destinationFolder(mapping.folderName, folder)),
+            silent: true
+        });
+    }));
+    updateElementList();
+    saveState();
+
+    pendingCSV = null;
+    closeModal('modal-csv-import');
+    state.map.fitBounds(L.latLngBounds(features.map(f => [f.geometry.coordinates[1], f.geometry.coordinates[0]])), {
+        padding: [40, 40],
+        maxZoom: 16
+    });
+    return features;
+}
+
+/**
+ * Initialize the CSV import dialog
+ */
+export function initCSVImport() {
+    const delimiterSelect = document.getElementById('csv-delimiter');
+    const crsSelect = document.getElementById('csv-crs');
+    if (!delimiterSelect || !crsSelect) return;
+
+    delimiterSelect.innerHTML = DELIMITERS.map(d => `<option value="${d.value}">${d.label}</option>`).join('');
+    crsSelect.innerHTML = CRS_LIST.map(crs => `<option value="${crs.code}">${crs.name}</option>`).join('');
+    document.getElementById('csv-mapping').innerHTML = FIELDS.map(field => `
+        <label for="csv-col-${field.key}">${field.label}:</label>
+        <select id="csv-col-${field.key}"></select>`).join('');
+
+    delimiterSelect.addEventListener('change', readRows);
+    document.getElementById('csv-has-header')?.addEventListener('change', () => {
+        renderMapping();
+        updatePreview();
+    });
+    crsSelect.addEventListener('change', () => {
+        updateFieldLabels();
+        updatePreview();
+    });
+    document.getElementById('csv-mapping').addEventListener('change', () => {
+        renderAttributes();
+        updatePreview();
+    });
+    document.getElementById('csv-attributes')?.addEventListener('change', updatePreview);
+    document.getElementById('csv-folder-name')?.addEventListener('input', updatePreview);
+    document.getElementById('btn-cancel-csv')?.addEventListener('click', () => {
+        pendingCSV = null;
+        closeModal('modal-csv-import');
+    });
+    document.getElementById('btn-confirm-csv')?.addEventListener('click', confirmCSVImport);
+}
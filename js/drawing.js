@@ -1,12 +1,30 @@
 /**
- * Drawing tools - marker, circle, line, polygon, bearing
+ * Drawing tools - marker, circle, line, polygon, bearing and parametric shapes
  * @module drawing
  */
 
 import { CONFIG } from './config.js';
-import { createElement } from './elements.js';
+import { stopEditing } from './editing.js';
+import { addPartToElement, createElement } from './elements.js';
+import { updateFreehandCursor } from './freehand.js';
+import { isValidShape, SHAPE_FIELDS } from './shapes.js';
 import { clearCursorLayer, resetDrawingState as resetState, state } from './state.js';
-import { calculateDestination, closeModal } from './utils.js';
+import { stopTransform } from './transform.js';
+import { calculateDestination, closeModal, escapeXML, openModal } from './utils.js';
+
+/** @constant {Object<string, string>} Title of the creation dialog of each shape */
+const SHAPE_DIALOG_TITLES = {
+    'rectangle': 'Nouveau rectangle',
+    'ellipse': 'Nouvelle ellipse',
+    'sector': 'Nouveau secteur circulaire',
+    'regular-polygon': 'Nouveau polygone régulier'
+};
+
+/** @constant {number} Smallest drag in pixels that draws a rectangle (shorter drags are clicks) */
+const MIN_RECTANGLE_DRAG = 5;
+
+/** @type {Object<string, Object<string, number>>} Last values entered in the dialog of each shape */
+const lastShapeValues = {};
 
 /**
  * Set the active drawing tool
@@ -20,13 +38,23 @@ export function setActiveTool(tool) {
         state.map.doubleClickZoom.enable();
         resetDrawingState();
     }
+    if (state.activeTool === 'rectangle') {
+        state.map.dragging.enable();
+        state.drawing.startPoint = null;
+    }
 
     state.activeTool = tool;
+    state.drawing.target = null;
+    document.getElementById('part-banner')?.classList.add('hidden');
 
     // Setup new tool state
     if (tool === 'polygon' || tool === 'line') {
         state.map.doubleClickZoom.disable();
     }
+    // Rectangles are drawn by dragging, so the map must not pan
+    if (tool === 'rectangle') {
+        state.map.dragging.disable();
+    }
 
     // Update UI
     document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
@@ -37,6 +65,7 @@ export function setActiveTool(tool) {
     } else {
         document.querySelector('.leaflet-container')?.classList.remove('drawing-cursor');
     }
+    updateFreehandCursor();
 }
 
 /**
@@ -110,11 +139,16 @@ export function updateLineTempLayer() {
  * Finish line drawing
  */
 export function finishLine() {
+    const target = state.drawing.target;
     if (state.drawing.points.length >= 2) {
-        createElement('line', {
-            points: state.drawing.points,
-            title: 'Ligne'
-        });
+        if (target) {
+            addPartToElement(target.id, target.kind, state.drawing.points);
+        } else {
+            createElement('line', {
+                points: state.drawing.points,
+                title: 'Ligne'
+            });
+        }
     }
     resetDrawingState();
     setActiveTool(null);
@@ -144,14 +178,45 @@ export function updateTempLayer() {
  * Finish polygon drawing
  */
 export function finishPolygon() {
-    createElement('polygon', {
-        points: state.drawing.points,
-        title: 'Polygone'
-    });
+    const target = state.drawing.target;
+    if (target) {
+        addPartToElement(target.id, target.kind, state.drawing.points);
+    } else {
+        createElement('polygon', {
+            points: state.drawing.points,
+            title: 'Polygone'
+        });
+    }
     resetDrawingState();
     setActiveTool(null);
 }
 
+/**
+ * Start drawing a hole or an extra part for an existing line or polygon
+ * @param {string} id - Feature ID
+ * @param {string} kind - 'hole' (polygons only) or 'part'
+ */
+export function startPartDrawing(id, kind) {
+    const feature = state.features.find(f => f.id === id);
+    if (!feature) return;
+
+    if (state.featureVisibility.get(id) === false) {
+        alert('Affichez l\'élément avant de le compléter.');
+        return;
+    }
+
+    stopEditing(true);
+    stopTransform(true);
+    state.map.closePopup();
+    setActiveTool(feature.properties.type === 'line' ? 'line' : 'polygon');
+    state.drawing.target = { id, kind };
+
+    const what = kind === 'hole' ? 'un trou dans' : 'une nouvelle partie de';
+    document.getElementById('part-banner-text').textContent =
+        `Tracez ${what} « ${feature.properties.title || ''} » : double-cliquez pour terminer`;
+    document.getElementById('part-banner')?.classList.remove('hidden');
+}
+
 /**
  * Create circle from modal
  */
@@ -190,12 +255,87 @@ export function createBearingLine() {
     }
 }
 
+/**
+ * Open the creation dialog of a shape centered on a point
+ * @param {string} type - Shape type
+ * @param {{lat: number, lng: number}} center - Center of the shape
+ */
+export function openShapeModal(type, center) {
+    state.drawing.center = center;
+    state.drawing.shape = type;
+    const values = lastShapeValues[type] || {};
+    document.getElementById('shape-modal-title').textContent = SHAPE_DIALOG_TITLES[type];
+    document.getElementById('shape-fields').innerHTML = SHAPE_FIELDS[type].map(field => `
+        <label for="shape-${field.key}">${escapeXML(field.label)}:</label>
+        <input type="number" id="shape-${field.key}" step="any" value="${values[field.key] ?? field.value}">`).join('');
+    openModal('modal-shape');
+}
+
+/**
+ * Create the shape described in the dialog
+ */
+export function createShape() {
+    const type = state.drawing.shape;
+    if (!type || !state.drawing.center) return;
+
+    const data = { center: state.drawing.center };
+    SHAPE_FIELDS[type].forEach(({ key }) => {
+        data[key] = Number.parseFloat(document.getElementById(`shape-${key}`).value);
+    });
+    if (!isValidShape(type, data)) {
+        alert('Dimensions invalides : les longueurs doivent être positives et le nombre de côtés un entier entre 3 et 360.');
+        return;
+    }
+
+    lastShapeValues[type] = Object.fromEntries(SHAPE_FIELDS[type].map(({ key }) => [key, data[key]]));
+    createElement(type, data);
+    closeModal('modal-shape');
+    setActiveTool(null);
+    state.drawing.center = null;
+    state.drawing.shape = null;
+}
+
+/**
+ * Start dragging a rectangle from one corner
+ * @param {L.LatLng} latlng - First corner
+ */
+export function startRectangleDrag(latlng) {
+    state.drawing.startPoint = latlng;
+}
+
+/**
+ * Finish dragging a rectangle at the opposite corner. A drag shorter than a few pixels is a click,
+ * which opens the dialog instead.
+ * @param {L.LatLng} latlng - Opposite corner
+ */
+export function finishRectangleDrag(latlng) {
+    const start = state.drawing.startPoint;
+    if (!start) return;
+    state.drawing.startPoint = null;
+    clearCursorLayer();
+
+    const dragged = state.map.latLngToContainerPoint(start).distanceTo(state.map.latLngToContainerPoint(latlng));
+    if (dragged < MIN_RECTANGLE_DRAG) return;
+
+    const center = { lat: (start.lat + latlng.lat) / 2, lng: (start.lng + latlng.lng) / 2 };
+    const data = {
+        center,
+        width: turf.distance([start.lng, center.lat], [latlng.lng, center.lat], { units: 'meters' }),
+        height: turf.distance([center.lng, start.lat], [center.lng, latlng.lat], { units: 'meters' }),
+        rotation: 0
+    };
+    // A purely horizontal or vertical drag has no surface
+    if (!isValidShape('rectangle', data)) return;
+    createElement('rectangle', data);
+    setActiveTool(null);
+}
+
 /**
  * Initialize drawing tools
  */
 export function initTools() {
     // Tool buttons
-    ['marker', 'circle', 'line', 'polygon', 'bearing'].forEach(tool => {
+    ['marker', 'circle', 'line', 'polygon', 'bearing', 'traverse', 'rectangle', 'ellipse', 'sector', 'regular-polygon'].forEach(tool => {
         document.getElementById(`tool-${tool}`)?.addEventListener('click', () => setActiveTool(tool));
     });
 
@@ -204,6 +344,9 @@ export function initTools() {
     document.getElementById('btn-confirm-circle')?.addEventListener('click', createCircle);
     document.getElementById('btn-cancel-bearing')?.addEventListener('click', () => closeModal('modal-bearing'));
     document.getElementById('btn-confirm-bearing')?.addEventListener('click', createBearingLine);
+    document.getElementById('btn-cancel-shape')?.addEventListener('click', () => closeModal('modal-shape'));
+    document.getElementById('btn-confirm-shape')?.addEventListener('click', createShape);
+    document.getElementById('btn-cancel-part')?.addEventListener('click', () => setActiveTool(null));
 
     // Escape key handler
     document.addEventListener('keydown', handleEscapeKey);
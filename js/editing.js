@@ -0,0 +1,325 @@
+/**
+ * Vertex editing - drag handles on the vertices of lines, polygons and polygon-based measurements
+ * @module editing
+ */
+
+import { updateElementList } from './elements.js';
+import { refreshFeatureLayer, updateDerivedProperties } from './geojson.js';
+import { captureState, recordChange } from './history.js';
+import { saveState } from './persistence.js';
+import { state } from './state.js';
+import { stopTransform } from './transform.js';
+import { formatArea, formatDistance } from './utils.js';
+
+/** @constant {Set<string>} Element types drawn as open paths */
+const LINE_TYPES = new Set(['line']);
+
+/** @constant {Set<string>} Element types drawn as polygon rings */
+const POLYGON_TYPES = new Set(['polygon', 'measurement-area', 'measurement-centroid', 'measurement-bbox']);
+
+/**
+ * @typedef {Object} EditSession
+ * @property {Object} feature - Feature being edited
+ * @property {import('./history.js').Snapshot} before - Snapshot taken when editing started
+ * @property {string} initialGeometry - Geometry as JSON when editing started
+ * @property {L.LayerGroup} vertices - Vertex handles
+ * @property {L.LayerGroup} ghosts - Midpoint handles used to insert vertices
+ */
+
+/**
+ * @typedef {Object} EditPath
+ * @property {Array|Object} owner - Array or geometry holding the positions
+ * @property {number|string} key - Index or property of the positions in the owner
+ * @property {boolean} closed - True for polygon rings
+ */
+
+/** @type {EditSession|null} Edit in progress */
+let session = null;
+
+/**
+ * Check whether the vertices of a feature can be edited
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean} True for lines, polygons and polygon-based measurements
+ */
+export function isEditable(feature) {
+    const type = feature?.properties?.type;
+    return LINE_TYPES.has(type) || POLYGON_TYPES.has(type);
+}
+
+/**
+ * Get the ID of the feature being edited
+ * @returns {string|null} Feature ID or null
+ */
+export function getEditedId() {
+    return session?.feature.id ?? null;
+}
+
+/**
+ * Get the editable geometry of a feature (the outline of measurements stored as collections)
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Object} LineString, MultiLineString, Polygon or MultiPolygon geometry
+ */
+function editableGeometry(feature) {
+    const geom = feature.geometry;
+    return geom.type === 'GeometryCollection' ? geom.geometries[0] : geom;
+}
+
+/**
+ * List the paths being edited: every line of a line element, every ring (holes included) of a polygon
+ * @returns {Array<EditPath>} Paths
+ */
+function getPaths() {
+    const geom = editableGeometry(session.feature);
+    switch (geom.type) {
+        case 'LineString':
+            return [{ owner: geom, key: 'coordinates', closed: false }];
+        case 'MultiLineString':
+            return geom.coordinates.map((_, i) => ({ owner: geom.coordinates, key: i, closed: false }));
+        case 'Polygon':
+            return geom.coordinates.map((_, i) => ({ owner: geom.coordinates, key: i, closed: true }));
+        case 'MultiPolygon':
+            return geom.coordinates.flatMap(rings => rings.map((_, i) => ({ owner: rings, key: i, closed: true })));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Read the vertices of a path (polygon rings without their closing position)
+ * @param {EditPath} path - Path
+ * @returns {Array<Array<number>>} Positions [lng, lat]
+ */
+function getVertices(path) {
+    const coords = path.owner[path.key];
+    return path.closed ? coords.slice(0, -1) : coords;
+}
+
+/**
+ * Write the vertices of a path, then update derived properties and the layer
+ * @param {EditPath} path - Path
+ * @param {Array<Array<number>>} vertices - Positions [lng, lat]
+ */
+function setVertices(path, vertices) {
+    path.owner[path.key] = path.closed ? [...vertices, vertices[0]] : vertices;
+    updateDerivedProperties(session.feature);
+    refreshFeatureLayer(session.feature);
+    updateEditBanner();
+}
+
+/**
+ * Minimum number of vertices of a path
+ * @param {EditPath} path - Path
+ * @returns {number} 3 for polygon rings, 2 for lines
+ */
+function minVertices(path) {
+    return path.closed ? 3 : 2;
+}
+
+/**
+ * Create a handle marker
+ * @param {Array<number>} position - Position [lng, lat]
+ * @param {boolean} ghost - True for a midpoint handle
+ * @returns {L.Marker} Handle
+ */
+function createHandle(position, ghost) {
+    return L.marker([position[1], position[0]], {
+        draggable: true,
+        keyboard: false,
+        zIndexOffset: ghost ? 900 : 1000,
+        icon: L.divIcon({
+            className: ghost ? 'vertex-handle vertex-ghost' : 'vertex-handle',
+            iconSize: ghost ? [10, 10] : [14, 14]
+        })
+    });
+}
+
+/**
+ * Draw the vertex and midpoint handles of the feature being edited
+ */
+function renderHandles() {
+    session.vertices.clearLayers();
+    session.ghosts.clearLayers();
+
+    getPaths().forEach((path, pathIndex) => {
+        const vertices = getVertices(path);
+        vertices.forEach((position, index) => {
+            const handle = createHandle(position, false);
+            handle.on('drag', e => moveVertex(pathIndex, index, e.target.getLatLng()));
+            handle.on('dragstart', () => session.ghosts.remove());
+            handle.on('dragend', renderHandles);
+            handle.on('contextmenu', e => {
+                L.DomEvent.stopPropagation(e);
+                L.DomEvent.preventDefault(e.originalEvent);
+                deleteVertex(pathIndex, index);
+            });
+            handle.bindTooltip('Glisser pour déplacer, clic droit pour supprimer', { direction: 'top', offset: [0, -8] });
+            session.vertices.addLayer(handle);
+        });
+
+        const segments = path.closed ? vertices.length : vertices.length - 1;
+        for (let i = 0; i < segments; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const ghost = createHandle([(a[0] + b[0]) / 2, (a[1] + b[1]) / 2], true);
+            ghost.on('dragstart', () => insertVertex(pathIndex, i + 1, ghost));
+            ghost.on('dragend', renderHandles);
+            session.ghosts.addLayer(ghost);
+        }
+    });
+    session.ghosts.addTo(state.map);
+}
+
+/**
+ * Move a vertex while its handle is dragged
+ * @param {number} pathIndex - Path index
+ * @param {number} index - Vertex index in the path
+ * @param {L.LatLng} latlng - New position
+ */
+function moveVertex(pathIndex, index, latlng) {
+    const path = getPaths()[pathIndex];
+    const vertices = getVertices(path).map(c => [...c]);
+    vertices[index] = [latlng.lng, latlng.lat];
+    setVertices(path, vertices);
+}
+
+/**
+ * Turn a midpoint handle into a new vertex when its drag starts
+ * @param {number} pathIndex - Path index
+ * @param {number} index - Index of the new vertex in the path
+ * @param {L.Marker} ghost - Dragged midpoint handle
+ */
+function insertVertex(pathIndex, index, ghost) {
+    const path = getPaths()[pathIndex];
+    const latlng = ghost.getLatLng();
+    const vertices = getVertices(path).map(c => [...c]);
+    vertices.splice(index, 0, [latlng.lng, latlng.lat]);
+    session.feature.properties.weights?.splice(index, 0, 1);
+
+    // The dragged handle must stay on the map, only the other midpoints are hidden
+    ghost.off('dragstart');
+    ghost.on('drag', e => moveVertex(pathIndex, index, e.target.getLatLng()));
+    ghost.getElement()?.classList.remove('vertex-ghost');
+    session.ghosts.eachLayer(other => {
+        if (other !== ghost) session.ghosts.removeLayer(other);
+    });
+    setVertices(path, vertices);
+}
+
+/**
+ * Remove a vertex, keeping enough of them for the path to stay valid
+ * @param {number} pathIndex - Path index
+ * @param {number} index - Vertex index in the path
+ */
+function deleteVertex(pathIndex, index) {
+    const path = getPaths()[pathIndex];
+    const vertices = getVertices(path);
+    if (vertices.length <= minVertices(path)) {
+        alert(`Impossible de supprimer ce sommet : au moins ${minVertices(path)} sommets sont nécessaires.`);
+        return;
+    }
+    session.feature.properties.weights?.splice(index, 1);
+    setVertices(path, vertices.filter((_, i) => i !== index));
+    renderHandles();
+}
+
+/**
+ * Show the title and live measurements of the feature being edited
+ */
+function updateEditBanner() {
+    const props = session.feature.properties;
+    const count = getPaths().reduce((sum, path) => sum + getVertices(path).length, 0);
+    const values = [`${count} sommets`];
+    if (props.distance !== undefined) values.push(formatDistance(props.distance));
+    // Plain polygons do not store their area
+    const areaM2 = props.type === 'polygon' ? turf.area(session.feature) : props.areaM2;
+    if (areaM2 !== undefined) values.push(`surface ${formatArea(areaM2)}`);
+    if (props.perimeterM !== undefined) values.push(`périmètre ${formatDistance(props.perimeterM)}`);
+
+    document.getElementById('edit-banner-text').textContent =
+        `Modification de « ${props.title || ''} » : ${values.join(', ')}`;
+}
+
+/**
+ * Handle Enter (finish) and Escape (cancel) while editing
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleEditKeys(e) {
+    if (!session || e.target.matches?.('input, textarea, select')) return;
+    if (e.key === 'Enter') {
+        stopEditing(true);
+    } else if (e.key === 'Escape') {
+        stopEditing(false);
+    }
+}
+
+/**
+ * Show vertex handles on a feature
+ * @param {string} id - Feature ID
+ */
+export function startEditing(id) {
+    const feature = state.features.find(f => f.id === id);
+    if (!isEditable(feature)) return;
+    if (session) stopEditing(true);
+    stopTransform(true);
+
+    if (state.featureVisibility.get(id) === false) {
+        alert('Affichez l\'élément avant de modifier ses sommets.');
+        return;
+    }
+
+    state.map.closePopup();
+    session = {
+        feature,
+        before: captureState([id]),
+        initialGeometry: JSON.stringify(feature.geometry),
+        vertices: L.layerGroup().addTo(state.map),
+        ghosts: L.layerGroup()
+    };
+    renderHandles();
+    updateEditBanner();
+    document.getElementById('edit-banner')?.classList.remove('hidden');
+}
+
+/**
+ * Remove the handles without touching the feature (e.g. when it is deleted)
+ */
+export function discardEditing() {
+    if (!session) return;
+    session.vertices.remove();
+    session.ghosts.remove();
+    session = null;
+    document.getElementById('edit-banner')?.classList.add('hidden');
+}
+
+/**
+ * Leave edit mode
+ * @param {boolean} commit - True to keep the changes, false to restore the original geometry
+ */
+export function stopEditing(commit) {
+    if (!session) return;
+    const { feature, before, initialGeometry } = session;
+    discardEditing();
+
+    if (JSON.stringify(feature.geometry) === initialGeometry) return;
+
+    if (!commit) {
+        const original = structuredClone(before.entries[0].feature);
+        feature.geometry = original.geometry;
+        feature.properties = original.properties;
+        refreshFeatureLayer(feature);
+        return;
+    }
+
+    updateElementList();
+    saveState();
+    recordChange(`Modification des sommets de « ${feature.properties.title} »`, before);
+}
+
+/**
+ * Initialize the edit banner buttons and keyboard shortcuts
+ */
+export function initEditing() {
+    document.getElementById('btn-finish-edit')?.addEventListener('click', () => stopEditing(true));
+    document.getElementById('btn-cancel-edit')?.addEventListener('click', () => stopEditing(false));
+    document.addEventListener('keydown', handleEditKeys);
+}
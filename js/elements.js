@@ -4,6 +4,10 @@
  */
 
 import { CONFIG } from './config.js';
+import { describeAxes, describePosition, formatPosition, parsePosition } from './crs.js';
+import { startPartDrawing } from './drawing.js';
+import { isEditable, startEditing } from './editing.js';
+import { formatDuration, getTrailMetrics, hasElevationProfile, openElevationProfile, slopeLegend } from './elevation.js';
 import {
     createElementItem,
     createFolder,
@@ -12,26 +16,44 @@ import {
     handleDragOver,
     handleDrop
 } from './folders.js';
-import { createLayerFromFeature, extractDataFromFeature } from './geojson.js';
+import {
+    createLayerFromFeature,
+    extractDataFromFeature,
+    getLines,
+    getPolygons,
+    linesToGeometry,
+    pointsToPolygons,
+    polygonsToGeometry,
+    refreshFeatureLayer,
+    removeFeature,
+    updateDerivedProperties
+} from './geojson.js';
+import { captureState, recordChange } from './history.js';
+import { isBufferable, openBufferDialog } from './operations.js';
 import { saveState } from './persistence.js';
+import { buildShapeGeometry, getShapeParameters, isShape, isValidShape, SHAPE_FIELDS } from './shapes.js';
 import { state } from './state.js';
+import { isTransformable, startTransform } from './transform.js';
+import { describeClosure } from './traverse.js';
 import {
     createColoredMarkerIcon,
     createCrossMarker,
+    escapeXML,
     formatArea,
-    formatCoord,
     formatDistance,
     generateId,
-    getCardinalDirection,
-    parsePointsFromText
+    getCardinalDirection
 } from './utils.js';
 
 /**
  * Create a new element
  * @param {string} type - Element type
- * @param {Object} data - Element data
+ * @param {Object} data - Element data; data.attributes holds extra attributes (e.g. spreadsheet
+ * columns), kept apart from the element's own properties; data.silent leaves the popup closed and the list and storage to the caller (batch creation)
+ * @returns {Object} The created GeoJSON feature
  */
 export function createElement(type, data) {
+    const before = captureState([]);
     const id = generateId();
 
     if (!data.color) {
@@ -44,7 +66,11 @@ export function createElement(type, data) {
             'circle': 'Cercle',
             'line': 'Ligne',
             'bearing': 'Ligne directionnelle',
-            'polygon': 'Polygone'
+            'polygon': 'Polygone',
+            'rectangle': 'Rectangle',
+            'ellipse': 'Ellipse',
+            'sector': 'Secteur',
+            'regular-polygon': 'Polygone régulier'
         }[type] || type;
     }
 
@@ -55,6 +81,7 @@ export function createElement(type, data) {
         color: data.color,
         folderId: data.folderId || null
     };
+    if (data.attributes && Object.keys(data.attributes).length) properties.attributes = { ...data.attributes };
 
     // Create GeoJSON feature
     let feature = null;
@@ -68,11 +95,11 @@ export function createElement(type, data) {
             feature = turf.point([data.center.lng, data.center.lat], properties);
             break;
         case 'line':
-            if (data.points) {
-                const lineCoords = data.points.map(p => [p.lng, p.lat]);
-                const line = turf.lineString(lineCoords);
-                properties.distance = turf.length(line, { units: 'meters' });
-                feature = turf.lineString(lineCoords, properties);
+            if (data.lines || data.points) {
+                const lines = (data.lines ?? [data.points]).map(line => line.map(p => [p.lng, p.lat]));
+                feature = turf.feature(linesToGeometry(lines), properties);
+                properties.distance = turf.length(feature, { units: 'meters' });
+                if (data.traverse) properties.traverse = data.traverse;
             } else {
                 if (!data.distance) {
                     data.distance = state.map.distance(
@@ -101,12 +128,18 @@ export function createElement(type, data) {
                 [data.end.lng, data.end.lat]
             ], properties);
             break;
-        case 'polygon': {
-            const polyCoords = data.points.map(p => [p.lng, p.lat]);
-            polyCoords.push(polyCoords[0]);
-            feature = turf.polygon([polyCoords], properties);
+        case 'polygon':
+            // data.polygons lists parts and holes; data.points is a single outer ring
+            feature = turf.feature(polygonsToGeometry(pointsToPolygons(data.polygons ?? [[data.points]])), properties);
+            break;
+        case 'rectangle':
+        case 'ellipse':
+        case 'sector':
+        case 'regular-polygon':
+            // Stored as center + dimensions, drawn as the polygon built from them
+            Object.assign(properties, getShapeParameters(type, data));
+            feature = turf.feature(buildShapeGeometry(type, properties), properties);
             break;
-        }
     }
 
     feature.id = id;
@@ -123,12 +156,15 @@ export function createElement(type, data) {
     // Bind popup and tooltip
     layer.bindPopup(() => createPopupContent(feature));
     if (data.title) {
-        layer.bindTooltip(data.title, { sticky: true, direction: 'top', className: 'element-tooltip' });
+        layer.bindTooltip(escapeXML(data.title), { sticky: true, direction: 'top', className: 'element-tooltip' });
     }
-    if (type === 'marker') layer.openPopup();
-
-    updateElementList();
-    saveState();
+    if (!data.silent) {
+        if (type === 'marker') layer.openPopup();
+        updateElementList();
+        saveState();
+    }
+    recordChange(`Création de « ${data.title} »`, before, [id]);
+    return feature;
 }
 
 /**
@@ -154,9 +190,15 @@ export function createPopupContent(feature) {
     fieldsHtml += `
         <div class="popup-field">
             <label class="popup-label">Description:</label>
-            <textarea class="popup-textarea desc-input">${props.description || ''}</textarea>
+            <textarea class="popup-textarea desc-input">${escapeXML(props.description || '')}</textarea>
         </div>
         <div class="popup-buttons">
+            ${isEditable(feature) ? '<button class="popup-btn popup-btn-edit" title="Déplacer, ajouter ou supprimer des sommets sur la carte">Sommets</button>' : ''}
+            ${isTransformable(feature) ? '<button class="popup-btn popup-btn-transform" title="Déplacer, tourner ou redimensionner l\'élément sur la carte">Transformer</button>' : ''}
+            ${type === 'polygon' ? '<button class="popup-btn popup-btn-hole" title="Tracer un trou à l\'intérieur du polygone">Trou</button>' : ''}
+            ${type === 'polygon' || type === 'line' ? '<button class="popup-btn popup-btn-part" title="Tracer une partie supplémentaire">Partie</button>' : ''}
+            ${isBufferable(feature) ? '<button class="popup-btn popup-btn-buffer" title="Créer une zone tampon autour de l\'élément">Tampon</button>' : ''}
+            ${hasElevationProfile(feature) ? '<button class="popup-btn popup-btn-profile" title="Afficher le profil altimétrique le long de la ligne">Profil</button>' : ''}
             <button class="popup-btn popup-btn-save">Sauvegarder</button>
             <button class="popup-btn popup-btn-delete">Supprimer</button>
         </div>
@@ -167,6 +209,12 @@ export function createPopupContent(feature) {
     // Bind events
     div.querySelector('.popup-btn-save').addEventListener('click', () => updateElementFromPopup(feature, div));
     div.querySelector('.popup-btn-delete').addEventListener('click', () => deleteElement(id));
+    div.querySelector('.popup-btn-edit')?.addEventListener('click', () => startEditing(id));
+    div.querySelector('.popup-btn-transform')?.addEventListener('click', () => startTransform(id));
+    div.querySelector('.popup-btn-hole')?.addEventListener('click', () => startPartDrawing(id, 'hole'));
+    div.querySelector('.popup-btn-part')?.addEventListener('click', () => startPartDrawing(id, 'part'));
+    div.querySelector('.popup-btn-buffer')?.addEventListener('click', () => openBufferDialog(id));
+    div.querySelector('.popup-btn-profile')?.addEventListener('click', () => openElevationProfile(id));
 
     // Special handling for measurement-along
     if (type === 'measurement-along') {
@@ -183,7 +231,7 @@ function createPopupField(label, type, value, className) {
     return `
         <div class="popup-field">
             <label class="popup-label">${label}:</label>
-            <input type="${type}" step="any" class="popup-input ${className}" value="${value || ''}">
+            <input type="${type}" step="any" class="popup-input ${className}" value="${escapeXML(value ?? '')}">
         </div>
     `;
 }
@@ -198,34 +246,16 @@ function createTypeSpecificFields(feature) {
     let html = '';
 
     if (type === 'marker') {
-        const coordStr = `${geom.coordinates[1].toFixed(6)}, ${geom.coordinates[0].toFixed(6)}`;
-        html += `
-            <div class="popup-field">
-                <label class="popup-label">Position (Lat, Lng):</label>
-                <input type="text" class="popup-input coord-input" value="${coordStr}" placeholder="lat, lng">
-            </div>`;
+        html += positionField('Position', { lat: geom.coordinates[1], lng: geom.coordinates[0] });
     } else if (type === 'circle') {
-        const coordStr = `${geom.coordinates[1].toFixed(6)}, ${geom.coordinates[0].toFixed(6)}`;
-        html += `
-            <div class="popup-field">
-                <label class="popup-label">Centre (Lat, Lng):</label>
-                <input type="text" class="popup-input coord-input" value="${coordStr}" placeholder="lat, lng">
-            </div>`;
+        html += positionField('Centre', { lat: geom.coordinates[1], lng: geom.coordinates[0] });
         html += createPopupField('Rayon (m)', 'number', props.radius, 'radius-input');
     } else if (type === 'line') {
         const coords = geom.coordinates;
-        if (coords.length === 2) {
-            html += createPopupField('Départ Lat', 'number', coords[0][1], 'start-lat-input');
-            html += createPopupField('Départ Lng', 'number', coords[0][0], 'start-lng-input');
-            html += createPopupField('Arrivée Lat', 'number', coords[1][1], 'end-lat-input');
-            html += createPopupField('Arrivée Lng', 'number', coords[1][0], 'end-lng-input');
+        if (geom.type === 'LineString' && coords.length === 2) {
+            html += endpointFields(coords, 'Départ', 'Arrivée');
         } else {
-            const pointsStr = coords.map(p => `${p[1].toFixed(6)}, ${p[0].toFixed(6)}`).join('\n');
-            html += `
-                <div class="popup-field">
-                    <label class="popup-label">Points (Lat, Lng):</label>
-                    <textarea class="popup-textarea points-input" style="height: 100px;">${pointsStr}</textarea>
-                </div>`;
+            html += partsTextarea(getLines(geom).map(line => [line]), false);
         }
         if (props.distance !== undefined) {
             const distStr = props.distance < 1000
@@ -237,19 +267,48 @@ function createTypeSpecificFields(feature) {
                     <span class="computed-value">${distStr}</span>
                 </div>`;
         }
+        if (props.traverse) {
+            const legs = props.traverse.legs;
+            const declination = props.traverse.declination ? `, déclinaison ${props.traverse.declination}°` : '';
+            html += computedField('Cheminement', `${legs.length} segment(s) saisi(s)${declination}`);
+            if (props.traverse.closure) {
+                const length = legs.reduce((sum, leg) => sum + leg.distance, 0);
+                html += computedField('Écart de fermeture', describeClosure(props.traverse.closure, length));
+            }
+        }
+        const metrics = getTrailMetrics(getLines(geom), props.elevation);
+        if (metrics) {
+            html += computedField('Dénivelé', `+${Math.round(metrics.ascent)} m / −${Math.round(metrics.descent)} m`);
+            html += computedField('Pente moyenne / max', `${metrics.averageSlope.toFixed(1)} % / ${metrics.maxSlope.toFixed(1)} %`);
+            html += computedField('Temps de marche estimé', `${formatDuration(metrics.walkingTime)} (DIN 33466)`);
+            html += `
+                <div class="popup-field">
+                    <label class="popup-checkbox">
+                        <input type="checkbox" class="slope-colors-input"${props.slopeColors ? ' checked' : ''}> Colorer selon la pente
+                    </label>
+                    <div class="slope-legend">${slopeLegend()}</div>
+                </div>`;
+        } else {
+            html += '<small class="popup-hint">Le bouton « Profil » calcule le dénivelé, les pentes et le temps de marche</small>';
+        }
     } else if (type === 'bearing') {
-        html += createPopupField('Départ Lat', 'number', geom.coordinates[0][1], 'start-lat-input');
-        html += createPopupField('Départ Lng', 'number', geom.coordinates[0][0], 'start-lng-input');
-        html += createPopupField('Arrivée Lat', 'number', geom.coordinates[1][1], 'end-lat-input');
-        html += createPopupField('Arrivée Lng', 'number', geom.coordinates[1][0], 'end-lng-input');
+        html += endpointFields(geom.coordinates, 'Départ', 'Arrivée');
     } else if (type === 'polygon') {
-        const points = geom.coordinates[0].slice(0, -1);
-        const pointsStr = points.map(p => `${p[1].toFixed(6)}, ${p[0].toFixed(6)}`).join('\n');
-        html += `
-            <div class="popup-field">
-                <label class="popup-label">Points (Lat, Lng):</label>
-                <textarea class="popup-textarea points-input" style="height: 100px;">${pointsStr}</textarea>
-            </div>`;
+        const polygons = getPolygons(geom).map(rings => rings.map(ring => ring.slice(0, -1)));
+        html += partsTextarea(polygons, true);
+        html += computedField('Surface', formatArea(turf.area(feature)));
+        if (props.buffer) {
+            const sources = props.buffer.sourceIds
+                .map(sourceId => state.features.find(f => f.id === sourceId)?.properties.title)
+                .map(title => (title === undefined ? 'élément supprimé' : `« ${escapeXML(title)} »`));
+            html += computedField('Zone tampon', `${props.buffer.distance} m autour de ${sources.join(', ')}`);
+        }
+    } else if (isShape(type)) {
+        html += positionField('Centre', props.center);
+        SHAPE_FIELDS[type].forEach(field => {
+            html += createPopupField(field.label, 'number', props[field.key], `shape-${field.key}-input`);
+        });
+        html += computedField('Surface', formatArea(turf.area(feature)));
     } else if (type.startsWith('measurement-')) {
         html += createMeasurementFields(feature);
     }
@@ -276,19 +335,127 @@ function computedField(label, value) {
         </div>`;
 }
 
+/**
+ * Create an editable position field in the display coordinate system
+ * @param {string} label - Field label
+ * @param {{lat: number, lng: number}} point - WGS84 point
+ * @param {string} [className='coord-input'] - Class of the input
+ * @returns {string} HTML
+ */
+function positionField(label, point, className = 'coord-input') {
+    return `
+        <div class="popup-field">
+            <label class="popup-label">${label} (${describeAxes()}):</label>
+            <input type="text" class="popup-input ${className}" value="${formatPosition(point)}" placeholder="${describeAxes()}">
+        </div>`;
+}
+
+/**
+ * Create the position fields of both ends of a two-point line
+ * @param {Array<Array<number>>} coords - [lng, lat] of the start and the end
+ * @param {string} startLabel - Label of the start field
+ * @param {string} endLabel - Label of the end field
+ * @returns {string} HTML
+ */
+function endpointFields(coords, startLabel, endLabel) {
+    return positionField(startLabel, { lat: coords[0][1], lng: coords[0][0] }, 'start-coord-input')
+        + positionField(endLabel, { lat: coords[1][1], lng: coords[1][0] }, 'end-coord-input');
+}
+
+/**
+ * Read both ends of a two-point line from popup; an untouched field keeps its exact position
+ * @param {HTMLElement} div - Popup content
+ * @param {Array<Array<number>>} coords - Current [lng, lat] of the start and the end
+ * @returns {Array<{lat: number, lng: number}>|null} Start and end, or null if unchanged or invalid
+ */
+function parseEndpoints(div, coords) {
+    const inputs = [div.querySelector('.start-coord-input'), div.querySelector('.end-coord-input')];
+    if (inputs.some(input => !input) || inputs.every(input => input.value === input.defaultValue)) return null;
+    const ends = inputs.map((input, i) => (input.value === input.defaultValue
+        ? { lat: coords[i][1], lng: coords[i][0] }
+        : parsePosition(input.value)));
+    return ends.every(Boolean) ? ends : null;
+}
+
+/**
+ * Format a list of [lng, lat] positions in the display coordinate system, one per line
+ * @param {Array<Array<number>>} coords - Positions
+ * @returns {string} Text
+ */
+function formatPositionLines(coords) {
+    return coords.map(([lng, lat]) => formatPosition({ lat, lng })).join('\n');
+}
+
+/**
+ * Parse one point per line in the display coordinate system, skipping invalid lines
+ * @param {string} text - Text
+ * @returns {Array<{lat: number, lng: number}>} Points
+ */
+function parsePositionLines(text) {
+    return text.split('\n').map(line => parsePosition(line)).filter(Boolean);
+}
+
 /**
  * Create points textarea field HTML
  */
 function pointsTextarea(coords, isPolygon = false) {
     const points = isPolygon ? coords.slice(0, -1) : coords;
-    const pointsStr = points.map(p => `${p[1].toFixed(6)}, ${p[0].toFixed(6)}`).join('\n');
+    const pointsStr = formatPositionLines(points);
     return `
         <div class="popup-field">
-            <label class="popup-label">Points (Lat, Lng):</label>
+            <label class="popup-label">Points (${describeAxes()}):</label>
             <textarea class="popup-textarea points-input" style="height: 100px;">${pointsStr}</textarea>
         </div>`;
 }
 
+/** @constant {RegExp} Line of a points textarea that starts a hole in the current part */
+const HOLE_SEPARATOR = /^#\s*trou/i;
+
+/** @constant {RegExp} Line of a points textarea that starts a new part */
+const PART_SEPARATOR = /^#\s*partie/i;
+
+/**
+ * Create points textarea field HTML for lines and polygons with several parts or holes
+ * @param {Array<Array<Array<Array<number>>>>} parts - Parts, each a list of open paths (outer ring first)
+ * @param {boolean} isPolygon - True to describe the "# trou" separator
+ * @returns {string} HTML
+ */
+function partsTextarea(parts, isPolygon) {
+    const pointsStr = parts.map((paths, i) => paths.map((path, j) => {
+        const separator = j > 0 ? '# trou\n' : i > 0 ? '# partie\n' : '';
+        return separator + formatPositionLines(path);
+    }).join('\n')).join('\n');
+    const hint = isPolygon
+        ? 'Une ligne « # trou » commence un trou, « # partie » une nouvelle partie'
+        : 'Une ligne « # partie » commence une nouvelle partie';
+    return `
+        <div class="popup-field">
+            <label class="popup-label">Points (${describeAxes()}):</label>
+            <textarea class="popup-textarea points-input" style="height: 100px;">${pointsStr}</textarea>
+            <small class="popup-hint">${hint}</small>
+        </div>`;
+}
+
+/**
+ * Parse a points textarea split by "# partie" and "# trou" lines
+ * @param {string} text - Textarea content
+ * @returns {Array<Array<Array<{lat: number, lng: number}>>>} Parts, each a list of paths (first one outer)
+ */
+function parsePartsFromText(text) {
+    const parts = [[[]]];
+    text.split('\n').forEach(line => {
+        const trimmed = line.trim();
+        if (PART_SEPARATOR.test(trimmed)) {
+            parts.push([[]]);
+        } else if (HOLE_SEPARATOR.test(trimmed)) {
+            parts.at(-1).push([]);
+        } else {
+            parts.at(-1).at(-1).push(...parsePositionLines(trimmed));
+        }
+    });
+    return parts;
+}
+
 /**
  * Create distance/bearing measurement fields
  */
@@ -297,10 +464,7 @@ function createDistanceBearingFields(feature) {
     const coords = getCoords(feature.geometry);
     let html = '';
 
-    html += createPopupField('Point A - Lat', 'number', coords[0][1], 'start-lat-input');
-    html += createPopupField('Point A - Lng', 'number', coords[0][0], 'start-lng-input');
-    html += createPopupField('Point B - Lat', 'number', coords[1][1], 'end-lat-input');
-    html += createPopupField('Point B - Lng', 'number', coords[1][0], 'end-lng-input');
+    html += endpointFields(coords, 'Point A', 'Point B');
 
     if (props.distanceM !== undefined) {
         html += computedField('Distance', formatDistance(props.distanceM));
@@ -327,18 +491,18 @@ function createPolygonMeasurementFields(feature) {
             polyCoords = geom.coordinates[0].slice(0, -1);
         }
         const weights = props.weights ?? polyCoords.map(() => 1);
-        const pointsStr = polyCoords.map((c, i) =>
-            `${c[1].toFixed(6)}, ${c[0].toFixed(6)}, ${(weights[i] ?? 1).toFixed(1)}`
+        const pointsStr = polyCoords.map(([lng, lat], i) =>
+            `${formatPosition({ lat, lng })}, ${(weights[i] ?? 1).toFixed(1)}`
         ).join('\n');
 
         let html = `
             <div class="popup-field">
-                <label class="popup-label">Points (Lat, Lng, Poids):</label>
-                <textarea class="popup-textarea points-input" style="height: 110px;" placeholder="lat, lng, poids">${pointsStr}</textarea>
+                <label class="popup-label">Points (${describeAxes()}, Poids):</label>
+                <textarea class="popup-textarea points-input" style="height: 110px;" placeholder="${describeAxes()}, poids">${pointsStr}</textarea>
             </div>`;
 
         if (props.areaM2 !== undefined) html += computedField('Surface', formatArea(props.areaM2));
-        if (props.centroid) html += computedField('Centre de masse', formatCoord(props.centroid));
+        if (props.centroid) html += computedField('Centre de masse', describePosition(props.centroid));
         return html;
     }
 
@@ -351,7 +515,7 @@ function createPolygonMeasurementFields(feature) {
     if (type === 'measurement-bbox' && props.bbox) {
         html += computedField('Dimensions', `${props.width.toFixed(1)}m × ${props.height.toFixed(1)}m`);
         if (props.bboxCenter) {
-            html += computedField('Centre', formatCoord(props.bboxCenter));
+            html += computedField('Centre', describePosition(props.bboxCenter));
         }
     }
     return html;
@@ -467,6 +631,7 @@ function updateAlongPoint(feature, distanceM, displayElement) {
  * Update element from popup inputs
  */
 export function updateElementFromPopup(feature, div) {
+    const before = captureState([feature.id]);
     const props = feature.properties;
     const type = props.type;
     const layer = state.featureLayers.get(feature.id);
@@ -493,6 +658,7 @@ export function updateElementFromPopup(feature, div) {
 
     updateElementList();
     saveState();
+    recordChange(`Modification de « ${props.title} »`, before);
     // LayerGroup (e.g. measurement-center/centroid) has no direct popup — close via the map
     if (layer instanceof L.LayerGroup) {
         state.map.closePopup();
@@ -511,11 +677,11 @@ function updateLayerTooltip(layer, title) {
     if (layer instanceof L.LayerGroup) {
         layer.eachLayer(subLayer => {
             if (subLayer.unbindTooltip) subLayer.unbindTooltip();
-            if (subLayer.bindTooltip && title) subLayer.bindTooltip(title, opts);
+            if (subLayer.bindTooltip && title) subLayer.bindTooltip(escapeXML(title), opts);
         });
     } else {
         if (layer.unbindTooltip) layer.unbindTooltip();
-        if (layer.bindTooltip && title) layer.bindTooltip(title, opts);
+        if (layer.bindTooltip && title) layer.bindTooltip(escapeXML(title), opts);
     }
 }
 
@@ -556,13 +722,10 @@ function parseInputValue(container, selector) {
  * Update marker position from popup
  */
 function updateMarkerFromPopup(feature, div, layer) {
-    const raw = div.querySelector('.coord-input')?.value ?? '';
-    const parts = raw.split(',').map(s => s.trim());
-    const lat = parseFloat(parts[0]);
-    const lng = parseFloat(parts[1]);
-    if (isFinite(lat) && isFinite(lng)) {
-        feature.geometry.coordinates = [lng, lat];
-        layer.setLatLng([lat, lng]);
+    const point = parsePosition(div.querySelector('.coord-input')?.value ?? '');
+    if (point) {
+        feature.geometry.coordinates = [point.lng, point.lat];
+        layer.setLatLng([point.lat, point.lng]);
     }
 }
 
@@ -579,15 +742,39 @@ function updateCircleFromPopup(feature, div, layer) {
 }
 
 /**
- * Update polygon from popup
+ * Update polygon from popup (rings with fewer than 3 points are dropped)
  */
-function updatePolygonFromPopup(feature, div, layer) {
-    const pointsText = div.querySelector('.points-input')?.value;
-    const newPoints = parsePointsFromText(pointsText || '');
-    if (newPoints.length >= 3) {
-        feature.geometry.coordinates = [newPoints.map(p => [p.lng, p.lat])];
-        layer.setLatLngs(newPoints.map(p => [p.lat, p.lng]));
-    }
+function updatePolygonFromPopup(feature, div) {
+    const pointsInput = div.querySelector('.points-input');
+    // Saving other fields must not round the coordinates to the displayed precision
+    if (!pointsInput || pointsInput.value === pointsInput.defaultValue) return;
+    const pointsText = pointsInput.value;
+    const polygons = parsePartsFromText(pointsText)
+        .filter(rings => rings[0].length >= 3)
+        .map(rings => rings.filter(ring => ring.length >= 3));
+    if (polygons.length === 0) return;
+
+    feature.geometry = polygonsToGeometry(pointsToPolygons(polygons));
+    refreshFeatureLayer(feature);
+}
+
+/**
+ * Update shape center and dimensions from popup, then rebuild its polygon (invalid values are ignored)
+ */
+function updateShapeFromPopup(feature, div) {
+    const props = feature.properties;
+    const params = getShapeParameters(props.type, props);
+    const center = parsePosition(div.querySelector('.coord-input')?.value ?? '');
+    if (center) params.center = center;
+    SHAPE_FIELDS[props.type].forEach(({ key }) => {
+        const value = parseInputValue(div, `.shape-${key}-input`);
+        if (value !== null) params[key] = value;
+    });
+    if (!isValidShape(props.type, params)) return;
+
+    Object.assign(props, params);
+    feature.geometry = buildShapeGeometry(props.type, props);
+    refreshFeatureLayer(feature);
 }
 
 /** @constant {Object} Type-specific update handlers */
@@ -596,7 +783,11 @@ const TYPE_UPDATERS = {
     'circle': updateCircleFromPopup,
     'line': updateLineFromPopup,
     'bearing': updateBearingFromPopup,
-    'polygon': updatePolygonFromPopup
+    'polygon': updatePolygonFromPopup,
+    'rectangle': updateShapeFromPopup,
+    'ellipse': updateShapeFromPopup,
+    'sector': updateShapeFromPopup,
+    'regular-polygon': updateShapeFromPopup
 };
 
 /**
@@ -619,24 +810,33 @@ function updateTypeSpecificFromPopup(feature, div, layer) {
 function updateLineFromPopup(feature, div, layer) {
     const props = feature.properties;
     const pointsInput = div.querySelector('.points-input');
+    const slopeInput = div.querySelector('.slope-colors-input');
+
+    if (slopeInput && slopeInput.checked !== Boolean(props.slopeColors)) {
+        props.slopeColors = slopeInput.checked;
+        layer = refreshFeatureLayer(feature);
+    }
 
     if (pointsInput) {
-        const newPoints = parsePointsFromText(pointsInput.value);
-        if (newPoints.length >= 2) {
-            feature.geometry.coordinates = newPoints.map(p => [p.lng, p.lat]);
-            layer.setLatLngs(newPoints.map(p => [p.lat, p.lng]));
-            const line = turf.lineString(feature.geometry.coordinates);
-            props.distance = turf.length(line, { units: 'meters' });
+        // Unchanged text: keep the exact coordinates, see updatePolygonFromPopup
+        if (pointsInput.value === pointsInput.defaultValue) return;
+        // A "# trou" line has no meaning for lines and also starts a new part
+        const lines = parsePartsFromText(pointsInput.value)
+            .flat()
+            .filter(line => line.length >= 2)
+            .map(line => line.map(p => [p.lng, p.lat]));
+        if (lines.length > 0) {
+            feature.geometry = linesToGeometry(lines);
+            updateDerivedProperties(feature);
+            refreshFeatureLayer(feature);
         }
     } else {
-        const startLat = parseInputValue(div, '.start-lat-input');
-        const startLng = parseInputValue(div, '.start-lng-input');
-        const endLat = parseInputValue(div, '.end-lat-input');
-        const endLng = parseInputValue(div, '.end-lng-input');
-        if (startLat !== null && startLng !== null && endLat !== null && endLng !== null) {
-            feature.geometry.coordinates = [[startLng, startLat], [endLng, endLat]];
-            layer.setLatLngs([[startLat, startLng], [endLat, endLng]]);
-            props.distance = state.map.distance([startLat, startLng], [endLat, endLng]);
+        const ends = parseEndpoints(div, feature.geometry.coordinates);
+        if (ends) {
+            feature.geometry.coordinates = ends.map(p => [p.lng, p.lat]);
+            layer.setLatLngs(ends);
+            props.distance = state.map.distance(ends[0], ends[1]);
+            delete props.traverse;
         }
     }
 }
@@ -646,149 +846,55 @@ function updateLineFromPopup(feature, div, layer) {
  */
 function updateBearingFromPopup(feature, div, layer) {
     const props = feature.properties;
-    const startLat = parseInputValue(div, '.start-lat-input');
-    const startLng = parseInputValue(div, '.start-lng-input');
-    const endLat = parseInputValue(div, '.end-lat-input');
-    const endLng = parseInputValue(div, '.end-lng-input');
-
-    if (startLat !== null && startLng !== null && endLat !== null && endLng !== null) {
-        feature.geometry.coordinates = [[startLng, startLat], [endLng, endLat]];
-        layer.setLatLngs([[startLat, startLng], [endLat, endLng]]);
-        props.distance = state.map.distance([startLat, startLng], [endLat, endLng]);
+    const ends = parseEndpoints(div, feature.geometry.coordinates);
+
+    if (ends) {
+        feature.geometry.coordinates = ends.map(p => [p.lng, p.lat]);
+        layer.setLatLngs(ends);
+        props.distance = state.map.distance(ends[0], ends[1]);
     }
 }
 
 /**
- * Update polygon-based measurement (center, centroid, area, bbox) from popup points textarea
+ * Update polygon-based measurement (centroid, area, bbox) from popup points textarea
  */
-function updatePolygonMeasurementFromPopup(feature, div, layer) {
+function updatePolygonMeasurementFromPopup(feature, div) {
     const props = feature.properties;
-    const type = props.type;
-
-    if (type === 'measurement-centroid') {
-        // Read from weighted points textarea (lat, lng[, weight] per line)
-        const pointsText = div.querySelector('.points-input')?.value;
-        if (!pointsText) return;
-
-        const newPoints = [];
+    const pointsInput = div.querySelector('.points-input');
+    // Unchanged text: keep the exact coordinates, see updatePolygonFromPopup
+    if (!pointsInput?.value || pointsInput.value === pointsInput.defaultValue) return;
+    const pointsText = pointsInput.value;
+
+    let newPoints;
+    if (props.type === 'measurement-centroid') {
+        // Weighted points (position in the display system[, weight] per line)
+        newPoints = [];
         const newWeights = [];
         for (const line of pointsText.split('\n')) {
-            const parts = line.split(',').map(s => s.trim());
-            const lat = parseFloat(parts[0]);
-            const lng = parseFloat(parts[1]);
-            const weight = parseFloat(parts[2] ?? '1') || 1;
-            if (isNaN(lat) || isNaN(lng)) continue;
-            newPoints.push({ lat, lng });
+            const point = parsePosition(line);
+            if (!point) continue;
+            const weight = parseFloat(line.trim().split(/\s*[,;]\s*|\s+/)[2] ?? '1') || 1;
+            newPoints.push(point);
             newWeights.push(weight);
         }
         if (newPoints.length < 3) return;
-
-        const totalWeight = newWeights.reduce((a, b) => a + b, 0);
-        const centroid = {
-            lat: newPoints.reduce((sum, p, i) => sum + newWeights[i] * p.lat, 0) / totalWeight,
-            lng: newPoints.reduce((sum, p, i) => sum + newWeights[i] * p.lng, 0) / totalWeight
-        };
-
-        const coords = newPoints.map(p => [p.lng, p.lat]);
-        const closedCoords = [...coords, coords[0]];
-        const polygon = turf.polygon([closedCoords]);
-        const areaM2 = turf.area(polygon);
-
         props.weights = newWeights;
-        props.centroid = centroid;
-        props.areaM2 = areaM2;
-        props.areaHa = areaM2 / 10000;
-
-        if (feature.geometry.type === 'GeometryCollection') {
-            feature.geometry.geometries[0].coordinates = [closedCoords];
-            feature.geometry.geometries[1].coordinates = [centroid.lng, centroid.lat];
-        }
-
-        const sublayers = [];
-        if (layer instanceof L.LayerGroup) {
-            layer.eachLayer(sub => sublayers.push(sub));
-        }
-        if (sublayers[0]?.setLatLngs) {
-            sublayers[0].setLatLngs(newPoints.map(p => [p.lat, p.lng]));
-        }
-        if (sublayers[1]?.setLatLng) {
-            sublayers[1].setLatLng([centroid.lat, centroid.lng]);
-        }
-        return;
+    } else {
+        newPoints = parsePositionLines(pointsText);
+        if (newPoints.length < 3) return;
     }
 
-    const pointsText = div.querySelector('.points-input')?.value;
-    if (!pointsText) return;
-
-    const newPoints = parsePointsFromText(pointsText);
-    if (newPoints.length < 3) return;
-
     const coords = newPoints.map(p => [p.lng, p.lat]);
-    const closedCoords = [...coords, coords[0]];
-    const polygon = turf.polygon([closedCoords]);
-    const areaM2 = turf.area(polygon);
-
-    // Update polygon geometry
+    const ring = [[...coords, coords[0]]];
     if (feature.geometry.type === 'GeometryCollection') {
-        feature.geometry.geometries[0].coordinates = [closedCoords];
+        feature.geometry.geometries[0].coordinates = ring;
     } else {
-        feature.geometry.coordinates = [closedCoords];
+        feature.geometry.coordinates = ring;
     }
-    props.areaM2 = areaM2;
-    props.areaHa = areaM2 / 10000;
 
-    // Collect sublayers for LayerGroup (center/centroid/bbox)
-    const sublayers = [];
-    if (layer instanceof L.LayerGroup) {
-        layer.eachLayer(sub => sublayers.push(sub));
-    }
-
-    // Update the polygon sublayer (or the layer itself for measurement-area)
-    const polyLayer = sublayers[0] ?? layer;
-    if (polyLayer?.setLatLngs) {
-        polyLayer.setLatLngs(newPoints.map(p => [p.lat, p.lng]));
-    }
-
-    if (type === 'measurement-area') {
-        const areaKm2 = areaM2 / 1000000;
-        const line = turf.lineString(closedCoords);
-        const perimeterKm = turf.length(line, { units: 'kilometers' });
-        props.areaKm2 = areaKm2;
-        props.perimeterM = perimeterKm * 1000;
-        props.perimeterKm = perimeterKm;
-    } else if (type === 'measurement-bbox') {
-        const bbox = turf.bbox(polygon);
-        const bboxPoly = turf.bboxPolygon(bbox);
-        const bboxArea = turf.area(bboxPoly);
-        const width = turf.distance([bbox[0], bbox[1]], [bbox[2], bbox[1]], { units: 'kilometers' }) * 1000;
-        const height = turf.distance([bbox[0], bbox[1]], [bbox[0], bbox[3]], { units: 'kilometers' }) * 1000;
-        props.bbox = { minLat: bbox[1], minLng: bbox[0], maxLat: bbox[3], maxLng: bbox[2] };
-        props.width = width;
-        props.height = height;
-        props.areaM2 = bboxArea;
-        props.areaHa = bboxArea / 10000;
-        const bboxCenterPoint = turf.center(bboxPoly);
-        const bboxCenter = {
-            lat: bboxCenterPoint.geometry.coordinates[1],
-            lng: bboxCenterPoint.geometry.coordinates[0]
-        };
-        props.bboxCenter = bboxCenter;
-        if (feature.geometry.type === 'GeometryCollection') {
-            feature.geometry.geometries[1].coordinates = bboxPoly.geometry.coordinates;
-            if (feature.geometry.geometries[2]) {
-                feature.geometry.geometries[2].coordinates = [bboxCenter.lng, bboxCenter.lat];
-            }
-        }
-        if (sublayers[1]?.setLatLngs) {
-            // Convert bbox polygon coords [lng,lat] → [lat,lng] for Leaflet
-            sublayers[1].setLatLngs(
-                bboxPoly.geometry.coordinates[0].map(c => [c[1], c[0]])
-            );
-        }
-        if (sublayers[2]?.setLatLng) {
-            sublayers[2].setLatLng([bboxCenter.lat, bboxCenter.lng]);
-        }
-    }
+    // Area, perimeter, centroid and bounding box follow the new outline
+    updateDerivedProperties(feature);
+    refreshFeatureLayer(feature);
 }
 
 /**
@@ -799,12 +905,10 @@ function updateMeasurementFromPopup(feature, div, layer) {
     const type = props.type;
 
     if (type === 'measurement-distance' || type === 'measurement-bearing') {
-        const startLat = parseInputValue(div, '.start-lat-input');
-        const startLng = parseInputValue(div, '.start-lng-input');
-        const endLat = parseInputValue(div, '.end-lat-input');
-        const endLng = parseInputValue(div, '.end-lng-input');
+        const ends = parseEndpoints(div, getCoords(feature.geometry));
 
-        if (startLat !== null && startLng !== null && endLat !== null && endLng !== null) {
+        if (ends) {
+            const [{ lat: startLat, lng: startLng }, { lat: endLat, lng: endLng }] = ends;
             if (feature.geometry.type === 'GeometryCollection') {
                 feature.geometry.geometries[0].coordinates = [[startLng, startLat], [endLng, endLat]];
             } else {
@@ -835,7 +939,7 @@ function updateMeasurementFromPopup(feature, div, layer) {
             }
         }
     } else if (POLYGON_MEASUREMENT_TYPES.has(type)) {
-        updatePolygonMeasurementFromPopup(feature, div, layer);
+        updatePolygonMeasurementFromPopup(feature, div);
     }
 }
 
@@ -972,24 +1076,63 @@ function updateToggleAllButton(anyVisible) {
     }
 }
 
+/**
+ * Add a hole or a part drawn on the map to a line or polygon element
+ * @param {string} id - Feature ID
+ * @param {string} kind - 'hole' (polygons only) or 'part'
+ * @param {Array<{lat: number, lng: number}>} points - Drawn points
+ */
+export function addPartToElement(id, kind, points) {
+    const feature = state.features.find(f => f.id === id);
+    if (!feature) return;
+    const props = feature.properties;
+    const positions = points.map(p => [p.lng, p.lat]);
+    const before = captureState([id]);
+
+    if (props.type === 'line') {
+        if (positions.length < 2) return;
+        feature.geometry = linesToGeometry([...getLines(feature.geometry), positions]);
+    } else if (kind === 'hole') {
+        if (positions.length < 3) return;
+        const polygons = structuredClone(getPolygons(feature.geometry));
+        const hole = turf.polygon([[...positions, positions[0]]]);
+        const owner = polygons.find(rings => turf.booleanWithin(hole, turf.polygon([rings[0]])));
+        if (!owner) {
+            alert('Le trou doit être entièrement à l\'intérieur du polygone.');
+            return;
+        }
+        if (owner.slice(1).some(ring => !turf.booleanDisjoint(hole, turf.polygon([ring])))) {
+            alert('Le trou ne doit pas chevaucher un autre trou.');
+            return;
+        }
+        owner.push(hole.geometry.coordinates[0]);
+        feature.geometry = polygonsToGeometry(polygons);
+    } else {
+        if (positions.length < 3) return;
+        feature.geometry = polygonsToGeometry([...getPolygons(feature.geometry), [[...positions, positions[0]]]]);
+    }
+
+    updateDerivedProperties(feature);
+    refreshFeatureLayer(feature);
+    updateElementList();
+    saveState();
+    const label = kind === 'hole' ? `Ajout d'un trou à « ${props.title} »` : `Ajout d'une partie à « ${props.title} »`;
+    recordChange(label, before);
+}
+
 /**
  * Delete an element
  * @param {string} id - Element ID
  */
 export function deleteElement(id) {
-    const featureIndex = state.features.findIndex(f => f.id === id);
-    if (featureIndex !== -1) {
-        const layer = state.featureLayers.get(id);
-        if (layer) {
-            if (layer.isPopupOpen?.()) layer.closePopup();
-            state.map.removeLayer(layer);
-            state.featureLayers.delete(id);
-        }
-        state.featureVisibility.delete(id);
-        state.features.splice(featureIndex, 1);
-        updateElementList();
-        saveState();
-    }
+    const feature = state.features.find(f => f.id === id);
+    if (!feature) return;
+
+    const before = captureState([id]);
+    removeFeature(id);
+    updateElementList();
+    saveState();
+    recordChange(`Suppression de « ${feature.properties.title} »`, before);
 }
 
 /**
@@ -1000,6 +1143,7 @@ export function duplicateElement(id) {
     const original = state.features.find(f => f.id === id);
     if (!original) return;
 
+    const before = captureState([]);
     const newId = generateId();
     const clone = JSON.parse(JSON.stringify(original));
     clone.id = newId;
@@ -1013,7 +1157,7 @@ export function duplicateElement(id) {
     state.featureVisibility.set(newId, true);
 
     const popupFn = () => createPopupContent(clone);
-    const tooltipText = clone.properties.title || '';
+    const tooltipText = escapeXML(clone.properties.title || '');
     if (layer instanceof L.LayerGroup) {
         layer.eachLayer(sub => {
             if (sub.bindPopup) sub.bindPopup(popupFn);
@@ -1028,6 +1172,7 @@ export function duplicateElement(id) {
 
     updateElementList();
     saveState();
+    recordChange(`Duplication de « ${original.properties.title} »`, before, [newId]);
 }
 
 // Expose for HTML access
@@ -0,0 +1,640 @@
+/**
+ * Elevation profile - sample altitudes along a line from a pluggable altimetry provider,
+ * then chart distance against altitude with ascent, descent and slope per segment
+ * @module elevation
+ */
+
+import { CONFIG } from './config.js';
+import { updateElementList } from './elements.js';
+import { getLines, refreshFeatureLayer } from './geojson.js';
+import { saveState } from './persistence.js';
+import { state } from './state.js';
+import { closeModal, escapeXML, formatDistance, openModal } from './utils.js';
+
+/** @constant {Set<string>} Element types with a profile */
+const PROFILE_TYPES = new Set(['line', 'bearing', 'measurement-distance', 'measurement-bearing', 'measurement-along']);
+
+/** @constant {number} Largest number of samples along a line (line vertices are added to it) */
+const MAX_SAMPLES = 200;
+
+/** @constant {number} Smallest distance between two samples in meters */
+const MIN_STEP = 5;
+
+/** @constant {number} Number of points sent in one request to the IGN altimetry service */
+const IGN_BATCH_SIZE = 100;
+
+/** @constant {number} Value returned by the IGN altimetry service outside its coverage */
+const IGN_NO_DATA = -99999;
+
+/** @constant {number} Walking speed on flat ground in meters per hour (DIN 33466) */
+const WALK_HORIZONTAL_RATE = 4000;
+
+/** @constant {number} Height climbed per hour in meters (DIN 33466) */
+const WALK_ASCENT_RATE = 300;
+
+/** @constant {number} Height descended per hour in meters (DIN 33466) */
+const WALK_DESCENT_RATE = 500;
+
+/** @constant {Array<{max: number, color: string}>} Colors of the slope-colored lines, by unsigned slope in percent */
+const SLOPE_CLASSES = [
+    { max: 5, color: '#27ae60' },
+    { max: 10, color: '#a3cb38' },
+    { max: 15, color: '#f1c40f' },
+    { max: 25, color: '#e67e22' },
+    { max: 35, color: '#e74c3c' },
+    { max: Infinity, color: '#8e44ad' }
+];
+
+/** @constant {Object} Chart size and margins in SVG units */
+const CHART = { width: 560, height: 220, left: 48, right: 12, top: 10, bottom: 24 };
+
+/**
+ * @typedef {Object} ElevationProvider
+ * @property {string} name - Name shown under the chart
+ * @property {function(Array<{lat: number, lng: number}>): Promise<Array<number|null>>} getElevations -
+ *     Altitudes in meters of the points, in order; null where the source has no data
+ */
+
+/**
+ * @typedef {Object} ProfileSample
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {number} distance - Distance from the start of the line in meters
+ * @property {number} part - Index of the line part
+ * @property {number} segment - Index of the segment (between two vertices), counted across parts
+ * @property {number|null} [elevation] - Altitude in meters
+ */
+
+/**
+ * @typedef {Object} ProfileSegment
+ * @property {number} index - Segment index
+ * @property {number} length - Horizontal length in meters
+ * @property {number|null} start - Altitude at the first vertex
+ * @property {number|null} end - Altitude at the last vertex
+ * @property {number} slope - Average slope in percent (end minus start over the length)
+ * @property {number} maxSlope - Steepest slope between two samples in percent, unsigned
+ */
+
+/**
+ * @typedef {Object} StoredElevation
+ * @property {string} key - Fingerprint of the geometry the altitudes were sampled on
+ * @property {string} source - Name of the provider
+ * @property {Array<number|null>} elevations - Altitude of every sample, to the decimeter
+ * @property {number} length - Horizontal length in meters
+ * @property {number} ascent - Cumulative ascent in meters
+ * @property {number} descent - Cumulative descent in meters
+ * @property {number} averageSlope - Ascent plus descent over the length, in percent
+ * @property {number} maxSlope - Steepest slope between two samples in percent
+ */
+
+/**
+ * @typedef {Object} TrailMetrics
+ * @property {number} ascent - Cumulative ascent in meters
+ * @property {number} descent - Cumulative descent in meters
+ * @property {number} averageSlope - Average unsigned slope in percent
+ * @property {number} maxSlope - Steepest slope in percent
+ * @property {number} walkingTime - Estimated walking time in hours
+ */
+
+/**
+ * @typedef {Object} ElevationProfile
+ * @property {Array<ProfileSample>} samples - Samples with their altitude
+ * @property {number} length - Horizontal length in meters
+ * @property {number} ascent - Cumulative ascent in meters
+ * @property {number} descent - Cumulative descent in meters (positive)
+ * @property {number|null} min - Lowest altitude
+ * @property {number|null} max - Highest altitude
+ * @property {Array<ProfileSegment>} segments - Segments between vertices
+ */
+
+/** @type {ElevationProvider} IGN altimetry service (RGE ALTI, worldwide fallback outside France) */
+export const ignElevationProvider = {
+    name: 'IGN – RGE ALTI®',
+    async getElevations(points) {
+        const elevations = [];
+        for (let i = 0; i < points.length; i += IGN_BATCH_SIZE) {
+            const batch = points.slice(i, i + IGN_BATCH_SIZE);
+            const params = new URLSearchParams({
+                lon: batch.map(p => p.lng.toFixed(6)).join('|'),
+                lat: batch.map(p => p.lat.toFixed(6)).join('|'),
+                resource: 'ign_rge_alti_wld',
+                zonly: 'true'
+            });
+            const response = await fetch(`${CONFIG.endpoints.altimetry}?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            data.elevations.forEach(z => elevations.push(Number.isFinite(z) && z > IGN_NO_DATA ? z : null));
+        }
+        return elevations;
+    }
+};
+
+/** @type {ElevationProvider} Source of the altitudes */
+let provider = ignElevationProvider;
+
+/**
+ * Replace the source of the altitudes, e.g. with a local DEM tile or a mock
+ * @param {ElevationProvider|null} newProvider - Provider, or null to go back to the IGN service
+ */
+export function setElevationProvider(newProvider) {
+    provider = newProvider ?? ignElevationProvider;
+}
+
+/**
+ * Get the source of the altitudes
+ * @returns {ElevationProvider} Current provider
+ */
+export function getElevationProvider() {
+    return provider;
+}
+
+/**
+ * Check whether an element has an elevation profile
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean} True for lines, bearings and distance, bearing and along measurements
+ */
+export function hasElevationProfile(feature) {
+    return PROFILE_TYPES.has(feature?.properties?.type);
+}
+
+/**
+ * Get the parts of the line of an element
+ * @param {Object} feature - Element with a profile
+ * @returns {Array<Array<Array<number>>>} Parts, each a list of [lng, lat]
+ */
+function getProfileLines(feature) {
+    const geometry = feature.geometry.type === 'GeometryCollection'
+        ? feature.geometry.geometries.find(g => g.type === 'LineString')
+        : feature.geometry;
+    return getLines(geometry);
+}
+
+/**
+ * Place samples along the parts of a line, at a regular step and at every vertex
+ * @param {Array<Array<Array<number>>>} lines - Parts, each a list of [lng, lat]
+ * @returns {Array<ProfileSample>} Samples, distances running on from one part to the next
+ */
+export function sampleLines(lines) {
+    const lengths = lines.map(line => line.slice(1).map((coord, i) => turf.distance(line[i], coord, { units: 'meters' })));
+    const total = lengths.flat().reduce((sum, length) => sum + length, 0);
+    const step = Math.max(total / MAX_SAMPLES, MIN_STEP);
+
+    const samples = [];
+    let distance = 0;
+    let segment = 0;
+    lines.forEach((line, part) => {
+        line.slice(1).forEach((end, i) => {
+            const start = line[i];
+            const length = lengths[part][i];
+            const count = Math.max(1, Math.ceil(length / step));
+            const bearing = turf.bearing(start, end);
+            for (let k = 0; k < count; k++) {
+                const offset = length * k / count;
+                const [lng, lat] = k === 0
+                    ? start
+                    : turf.destination(start, offset, bearing, { units: 'meters' }).geometry.coordinates;
+                samples.push({ lat, lng, distance: distance + offset, part, segment });
+            }
+            distance += length;
+            segment++;
+        });
+        const [lng, lat] = line.at(-1);
+        samples.push({ lat, lng, distance, part, segment: segment - 1 });
+    });
+    return samples;
+}
+
+/**
+ * Compute ascent, descent, altitude range and segment slopes of sampled altitudes
+ * @param {Array<ProfileSample>} samples - Samples with their altitude
+ * @returns {ElevationProfile} Profile
+ */
+export function computeProfileStats(samples) {
+    const profile = { samples, length: samples.at(-1)?.distance ?? 0, ascent: 0, descent: 0, min: null, max: null, segments: [] };
+
+    samples.forEach(({ elevation, segment }, i) => {
+        if (elevation !== null) {
+            profile.min = profile.min === null ? elevation : Math.min(profile.min, elevation);
+            profile.max = profile.max === null ? elevation : Math.max(profile.max, elevation);
+        }
+
+        profile.segments[segment] ??= { index: segment, length: 0, start: elevation, end: elevation, slope: 0, maxSlope: 0 };
+        const next = samples[i + 1];
+        if (!next || next.part !== samples[i].part) return;
+
+        // The step to the next sample belongs to the segment of this sample
+        const current = profile.segments[segment];
+        const run = next.distance - samples[i].distance;
+        current.length += run;
+        current.end = next.elevation;
+        if (elevation === null || next.elevation === null || run <= 0) return;
+
+        const rise = next.elevation - elevation;
+        if (rise > 0) profile.ascent += rise;
+        else profile.descent -= rise;
+        current.maxSlope = Math.max(current.maxSlope, Math.abs(rise / run) * 100);
+    });
+
+    profile.segments.forEach(segment => {
+        if (segment.start !== null && segment.end !== null && segment.length > 0) {
+            segment.slope = (segment.end - segment.start) / segment.length * 100;
+        }
+    });
+    return profile;
+}
+
+/**
+ * Sample the line of an element and get its altitudes from the provider
+ * @param {Object} feature - Element with a profile
+ * @returns {Promise<ElevationProfile>} Profile
+ */
+export async function computeElevationProfile(feature) {
+    const samples = sampleLines(getProfileLines(feature));
+    const elevations = await provider.getElevations(samples.map(({ lat, lng }) => ({ lat, lng })));
+    samples.forEach((sample, i) => {
+        sample.elevation = Number.isFinite(elevations[i]) ? elevations[i] : null;
+    });
+    return computeProfileStats(samples);
+}
+
+/* ==========================================================================
+   Trail metrics kept on lines
+   ========================================================================== */
+
+/**
+ * Fingerprint the geometry of a line, so that altitudes are dropped once it is edited
+ * @param {Array<Array<Array<number>>>} lines - Parts, each a list of [lng, lat]
+ * @returns {string} Key such as "12:1x3k9a"
+ */
+function geometryKey(lines) {
+    const positions = lines.flat();
+    const text = positions.map(([lng, lat]) => `${lng.toFixed(7)},${lat.toFixed(7)}`).join(';');
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return `${positions.length}:${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Estimate the walking time of a route from its length and its climb (DIN 33466):
+ * the shorter of the horizontal and vertical times counts for half
+ * @param {number} length - Horizontal length in meters
+ * @param {number} ascent - Cumulative ascent in meters
+ * @param {number} descent - Cumulative descent in meters
+ * @returns {number} Time in hours
+ */
+export function estimateWalkingTime(length, ascent, descent) {
+    const horizontal = length / WALK_HORIZONTAL_RATE;
+    const vertical = ascent / WALK_ASCENT_RATE + descent / WALK_DESCENT_RATE;
+    return Math.max(horizontal, vertical) + Math.min(horizontal, vertical) / 2;
+}
+
+/**
+ * Format a duration
+ * @param {number} hours - Duration in hours
+ * @returns {string} Duration such as "2 h 05" or "40 min"
+ */
+export function formatDuration(hours) {
+    const minutes = Math.round(hours * 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get the trail metrics of a line from the altitudes stored on it
+ * @param {Array<Array<Array<number>>>} lines - Parts of the line, each a list of [lng, lat]
+ * @param {StoredElevation} [elevation] - Altitudes stored on the line
+ * @returns {TrailMetrics|null} Metrics, or null if no altitudes match the current geometry
+ */
+export function getTrailMetrics(lines, elevation) {
+    if (!elevation || elevation.key !== geometryKey(lines)) return null;
+    const { length, ascent, descent, averageSlope, maxSlope } = elevation;
+    return { ascent, descent, averageSlope, maxSlope, walkingTime: estimateWalkingTime(length, ascent, descent) };
+}
+
+/**
+ * Rebuild the profile of a line from the altitudes stored on it
+ * @param {Object} feature - Line element
+ * @returns {ElevationProfile|null} Profile, or null if no altitudes match the current geometry
+ */
+function getStoredProfile(feature) {
+    const stored = feature.properties.elevation;
+    const lines = getProfileLines(feature);
+    if (!stored || stored.key !== geometryKey(lines)) return null;
+
+    const samples = sampleLines(lines);
+    if (samples.length !== stored.elevations.length) return null;
+    samples.forEach((sample, i) => {
+        sample.elevation = stored.elevations[i];
+    });
+    return computeProfileStats(samples);
+}
+
+/**
+ * Keep the altitudes of a profile on its line, for the trail metrics and the slope colors.
+ * Not an undo step: the altitudes only cache what the provider returns for the geometry
+ * @param {Object} feature - Line element
+ * @param {ElevationProfile} profile - Profile of the line
+ * @param {string} key - Fingerprint of the geometry the profile was sampled from
+ */
+function storeElevation(feature, profile, key) {
+    const maxSlope = Math.max(0, ...profile.segments.map(segment => segment.maxSlope));
+    feature.properties.elevation = {
+        key,
+        source: provider.name,
+        elevations: profile.samples.map(({ elevation }) => (elevation === null ? null : Math.round(elevation * 10) / 10)),
+        length: profile.length,
+        ascent: profile.ascent,
+        descent: profile.descent,
+        averageSlope: profile.length ? (profile.ascent + profile.descent) / profile.length * 100 : 0,
+        maxSlope
+    };
+    refreshFeatureLayer(feature);
+    updateElementList();
+    saveState();
+}
+
+/**
+ * Get the color of a slope
+ * @param {number} slope - Slope in percent, signed or not
+ * @returns {string} CSS color
+ */
+function slopeColor(slope) {
+    return SLOPE_CLASSES.find(({ max }) => Math.abs(slope) < max).color;
+}
+
+/**
+ * Draw a line colored by slope over its layer, from the altitudes stored on it
+ * @param {Object} feature - Line element with slope colors turned on
+ * @returns {L.LayerGroup|null} Non-interactive colored sections, or null without matching altitudes
+ */
+export function createSlopeOverlay(feature) {
+    const profile = getStoredProfile(feature);
+    if (!profile) return null;
+
+    // Consecutive steps of the same color make one polyline
+    const sections = [];
+    profile.samples.forEach((sample, i) => {
+        const next = profile.samples[i + 1];
+        const run = next ? next.distance - sample.distance : 0;
+        if (!next || next.part !== sample.part || sample.elevation === null || next.elevation === null || run <= 0) return;
+
+        const color = slopeColor((next.elevation - sample.elevation) / run * 100);
+        const last = sections.at(-1);
+        if (last?.color === color && last.end === sample) {
+            last.latlngs.push([next.lat, next.lng]);
+        } else {
+            sections.push({ color, latlngs: [[sample.lat, sample.lng], [next.lat, next.lng]] });
+        }
+        sections.at(-1).end = next;
+    });
+    return L.layerGroup(sections.map(({ color, latlngs }) =>
+        L.polyline(latlngs, { ...CONFIG.styles.slopeSection, color })));
+}
+
+/**
+ * Build the legend of the slope colors
+ * @returns {string} HTML
+ */
+export function slopeLegend() {
+    let min = 0;
+    return SLOPE_CLASSES.map(({ max, color }) => {
+        const label = max === Infinity ? `> ${min} %` : `${min}–${max} %`;
+        min = max;
+        return `<span class="slope-legend-item"><span class="slope-swatch" style="background-color: ${color}"></span>${label}</span>`;
+    }).join('');
+}
+
+/* ==========================================================================
+   Profile dialog
+   ========================================================================== */
+
+/** @type {{profile: ElevationProfile, x: function(number): number, y: function(number): number}|null} Profile shown */
+let shown = null;
+
+/** @type {L.CircleMarker|null} Map cursor following the hover on the chart */
+let cursor = null;
+
+/**
+ * Format an altitude
+ * @param {number|null} elevation - Altitude in meters
+ * @returns {string} Altitude such as "1 245 m"
+ */
+function formatElevation(elevation) {
+    return elevation === null ? '—' : `${Math.round(elevation).toLocaleString('fr-FR')} m`;
+}
+
+/**
+ * Format a slope
+ * @param {number} slope - Slope in percent
+ * @returns {string} Slope such as "+12.5 %"
+ */
+function formatSlope(slope) {
+    return `${slope > 0 ? '+' : ''}${slope.toFixed(1)} %`;
+}
+
+/**
+ * Split the samples into runs drawn as one path: a new run starts at each part and after missing altitudes
+ * @param {Array<ProfileSample>} samples - Samples with their altitude
+ * @returns {Array<Array<ProfileSample>>} Runs of samples that all have an altitude
+ */
+function splitRuns(samples) {
+    const runs = [];
+    let run = [];
+    samples.forEach((sample, i) => {
+        if (sample.elevation === null || (i > 0 && sample.part !== samples[i - 1].part)) {
+            if (run.length) runs.push(run);
+            run = [];
+        }
+        if (sample.elevation !== null) run.push(sample);
+    });
+    if (run.length) runs.push(run);
+    return runs;
+}
+
+/**
+ * Build the SVG chart of a profile
+ * @param {ElevationProfile} profile - Profile with at least one altitude
+ * @returns {string} SVG markup
+ */
+function renderChart(profile) {
+    const { width, height, left, right, top, bottom } = CHART;
+    // Round the altitude range to tens of meters, with at least 20 m shown
+    let low = Math.floor(profile.min / 10) * 10;
+    let high = Math.ceil(profile.max / 10) * 10;
+    if (high - low < 20) {
+        low -= 10;
+        high = low + 30;
+    }
+    const x = distance => left + (profile.length ? distance / profile.length : 0) * (width - left - right);
+    const y = elevation => top + (high - elevation) / (high - low) * (height - top - bottom);
+    shown = { profile, x, y };
+
+    const ticks = [0, 1, 2, 3].map(i => low + (high - low) * i / 3);
+    const grid = ticks.map(value => `
+        <line class="elevation-grid" x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}"></line>
+        <text class="elevation-axis" x="${left - 4}" y="${y(value) + 4}" text-anchor="end">${Math.round(value)}</text>`).join('');
+    const distances = [0, profile.length / 2, profile.length].map((value, i) => `
+        <text class="elevation-axis" x="${x(value)}" y="${height - 6}" text-anchor="${['start', 'middle', 'end'][i]}">${formatDistance(value)}</text>`).join('');
+
+    const paths = splitRuns(profile.samples).map(run => {
+        const line = run.map(s => `${x(s.distance).toFixed(1)},${y(s.elevation).toFixed(1)}`).join(' L');
+        const base = y(low).toFixed(1);
+        return `
+        <path class="elevation-area" d="M${x(run[0].distance).toFixed(1)},${base} L${line} L${x(run.at(-1).distance).toFixed(1)},${base} Z"></path>
+        <path class="elevation-line" d="M${line}"></path>`;
+    }).join('');
+
+    return `
+        <svg id="elevation-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Profil altimétrique">
+            ${grid}${distances}${paths}
+            <line id="elevation-hover-line" class="elevation-hover hidden" y1="${top}" y2="${height - bottom}"></line>
+            <circle id="elevation-hover-dot" class="elevation-hover hidden" r="4"></circle>
+        </svg>`;
+}
+
+/**
+ * Show the figures and the segment table of a profile
+ * @param {ElevationProfile} profile - Profile
+ */
+function renderStats(profile) {
+    const item = (label, value) => `
+        <div class="result-item">
+            <span class="result-label">${label}:</span>
+            <span class="result-value">${value}</span>
+        </div>`;
+    document.getElementById('elevation-stats').innerHTML =
+        item('Distance', formatDistance(profile.length)) +
+        item('Dénivelé positif', `+${Math.round(profile.ascent)} m`) +
+        item('Dénivelé négatif', `−${Math.round(profile.descent)} m`) +
+        item('Altitude min / max', `${formatElevation(profile.min)} / ${formatElevation(profile.max)}`);
+
+    document.getElementById('elevation-segments').innerHTML = profile.segments.map(segment => `
+        <tr>
+            <td class="traverse-index">${segment.index + 1}</td>
+            <td>${formatDistance(segment.length)}</td>
+            <td>${formatElevation(segment.start)} → ${formatElevation(segment.end)}</td>
+            <td>${formatSlope(segment.slope)}</td>
+            <td>${segment.maxSlope.toFixed(1)} %</td>
+        </tr>`).join('');
+}
+
+/**
+ * Find the sample with an altitude closest to a distance along the line
+ * @param {number} distance - Distance in meters
+ * @returns {ProfileSample|null} Closest sample
+ */
+function closestSample(distance) {
+    let best = null;
+    shown.profile.samples.forEach(sample => {
+        if (sample.elevation === null) return;
+        if (!best || Math.abs(sample.distance - distance) < Math.abs(best.distance - distance)) best = sample;
+    });
+    return best;
+}
+
+/**
+ * Move the chart and map cursors to the point under the pointer
+ * @param {PointerEvent} e - Pointer event on the chart
+ */
+function handleChartHover(e) {
+    const svg = document.getElementById('elevation-svg');
+    if (!svg || !shown) return;
+
+    const rect = svg.getBoundingClientRect();
+    const chartX = (e.clientX - rect.left) * CHART.width / (rect.width || CHART.width);
+    const ratio = (chartX - CHART.left) / (CHART.width - CHART.left - CHART.right);
+    const sample = closestSample(Math.min(Math.max(ratio, 0), 1) * shown.profile.length);
+    if (!sample) return;
+
+    const line = document.getElementById('elevation-hover-line');
+    const dot = document.getElementById('elevation-hover-dot');
+    line.setAttribute('x1', shown.x(sample.distance));
+    line.setAttribute('x2', shown.x(sample.distance));
+    dot.setAttribute('cx', shown.x(sample.distance));
+    dot.setAttribute('cy', shown.y(sample.elevation));
+    line.classList.remove('hidden');
+    dot.classList.remove('hidden');
+
+    const segment = shown.profile.segments[sample.segment];
+    document.getElementById('elevation-hover-info').textContent =
+        `${formatDistance(sample.distance)} — ${formatElevation(sample.elevation)} — pente du segment ${segment.index + 1} : ${formatSlope(segment.slope)}`;
+
+    if (!cursor) cursor = L.circleMarker([sample.lat, sample.lng], CONFIG.styles.elevationCursor).addTo(state.map);
+    else cursor.setLatLng([sample.lat, sample.lng]);
+}
+
+/**
+ * Hide the chart and map cursors
+ */
+function hideCursor() {
+    document.querySelectorAll('#elevation-chart .elevation-hover').forEach(el => el.classList.add('hidden'));
+    document.getElementById('elevation-hover-info').textContent = '';
+    cursor?.remove();
+    cursor = null;
+}
+
+/**
+ * Open the profile dialog of an element, fetching its altitudes
+ * @param {string} id - Element ID
+ * @returns {Promise<void>}
+ */
+export async function openElevationProfile(id) {
+    const feature = state.features.find(f => f.id === id);
+    if (!hasElevationProfile(feature)) return;
+
+    state.map.closePopup();
+    shown = null;
+    hideCursor();
+    const chart = document.getElementById('elevation-chart');
+    const results = document.getElementById('elevation-results');
+    document.getElementById('elevation-title').textContent = `Profil altimétrique — ${feature.properties.title}`;
+    document.getElementById('elevation-source').textContent = `Source : ${provider.name}`;
+    chart.innerHTML = '<p class="modal-info">Chargement des altitudes…</p>';
+    results.classList.add('hidden');
+    openModal('modal-elevation');
+
+    try {
+        // Lines keep their altitudes: they are fetched again only after the line or the provider changed
+        const stored = feature.properties.type === 'line' && feature.properties.elevation?.source === provider.name
+            ? getStoredProfile(feature)
+            : null;
+        const key = geometryKey(getProfileLines(feature));
+        const profile = stored ?? await computeElevationProfile(feature);
+        if (!stored && feature.properties.type === 'line' && profile.min !== null) {
+            // The line may have been edited, deleted or restored by undo while the altitudes were fetched
+            const current = state.features.find(f => f.id === id);
+            if (current && geometryKey(getProfileLines(current)) === key) storeElevation(current, profile, key);
+        }
+        if (profile.min === null) {
+            chart.innerHTML = '<p class="modal-info">Aucune altitude disponible le long de cet élément.</p>';
+            return;
+        }
+        chart.innerHTML = renderChart(profile);
+        renderStats(profile);
+        results.classList.remove('hidden');
+    } catch (error) {
+        console.error('Elevation error:', error);
+        chart.innerHTML = `<p class="modal-info">Erreur lors de la récupération des altitudes : ${escapeXML(error.message)}</p>`;
+    }
+}
+
+/**
+ * Close the profile dialog and remove the map cursor
+ */
+export function closeElevationProfile() {
+    hideCursor();
+    shown = null;
+    closeModal('modal-elevation');
+}
+
+/**
+ * Initialize the profile dialog
+ */
+export function initElevation() {
+    const chart = document.getElementById('elevation-chart');
+    chart?.addEventListener('pointermove', handleChartHover);
+    chart?.addEventListener('pointerleave', hideCursor);
+    document.getElementById('btn-close-elevation')?.addEventListener('click', closeElevationProfile);
+}
@@ -4,18 +4,27 @@
  */
 
 import { CONFIG } from './config.js';
+import { describePosition } from './crs.js';
 import {
     finishLine,
     finishPolygon,
+    finishRectangleDrag,
     handleLineClick,
     handlePolygonClick,
+    openShapeModal,
     setActiveTool,
+    startRectangleDrag,
     updateLineTempLayer,
     updateTempLayer
 } from './drawing.js';
 import { createElement } from './elements.js';
+import { isFreehandActive } from './freehand.js';
 import { completeMeasurement, handleMeasurementClick } from './measurements.js';
+import { handleResectionPick } from './resection.js';
+import { isShape } from './shapes.js';
+import { findSnapTarget, showSnapIndicator, snapLatLng } from './snapping.js';
 import { state } from './state.js';
+import { openTraverseDialog } from './traverse.js';
 import { openModal } from './utils.js';
 
 /** @constant {Set<string>} Measurement types that use polygon */
@@ -26,12 +35,16 @@ const POLYGON_MEASUREMENTS = new Set(['area', 'centroid', 'bbox']);
  * @param {L.MouseEvent} e - Leaflet mouse event
  */
 export function handleMouseMove(e) {
-    const { lat, lng } = e.latlng;
-    document.getElementById('info-coords').textContent = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    document.getElementById('info-coords').textContent = describePosition(e.latlng, 5);
+
+    // Show where the next click will land when snapping applies
+    const target = isSnappingTool() ? findSnapTarget(e.latlng) : null;
+    showSnapIndicator(target);
+    const latlng = target?.latlng ?? e.latlng;
 
     // Handle measurement tool visual feedback
     if (state.measurement.active && state.measurement.points.length > 0) {
-        renderMeasurementPreview(e.latlng);
+        renderMeasurementPreview(latlng);
         return;
     }
 
@@ -43,14 +56,25 @@ export function handleMouseMove(e) {
     }
 
     if (state.activeTool === 'polygon' && state.drawing.points.length > 0) {
-        renderPolygonPreview(e.latlng);
+        renderPolygonPreview(latlng);
     } else if (state.activeTool === 'line' && state.drawing.points?.length > 0) {
-        renderLinePreview(e.latlng);
+        renderLinePreview(latlng);
     } else if (state.activeTool === 'bearing' && state.drawing.startPoint) {
-        renderBearingPreview(e.latlng);
+        renderBearingPreview(latlng);
+    } else if (state.activeTool === 'rectangle' && state.drawing.startPoint) {
+        state.drawing.cursorLayer = L.rectangle([state.drawing.startPoint, latlng], CONFIG.styles.drawingPreview)
+            .addTo(state.map);
     }
 }
 
+/**
+ * Check whether clicks of the current tool are snapped (lines, polygons and measurements)
+ * @returns {boolean} True if snapping applies
+ */
+function isSnappingTool() {
+    return !!state.measurement.active || state.activeTool === 'line' || state.activeTool === 'polygon';
+}
+
 /**
  * Render measurement preview line/polygon
  * @param {L.LatLng} latlng - Current mouse position
@@ -113,15 +137,18 @@ function renderBearingPreview(latlng) {
  * @param {L.MouseEvent} e - Leaflet mouse event
  */
 export function handleMapClick(e) {
+    const latlng = isSnappingTool() ? snapLatLng(e.latlng) : e.latlng;
+
     // Handle measurement tools first
     if (state.measurement.active) {
-        handleMeasurementClick(e.latlng);
+        handleMeasurementClick(latlng);
         return;
     }
 
-    if (!state.activeTool) return;
+    // Freehand lines and polygons are drawn with the pointer held down, not by clicks
+    if (!state.activeTool || isFreehandActive()) return;
 
-    const { lat, lng } = e.latlng;
+    const { lat, lng } = latlng;
 
     switch (state.activeTool) {
         case 'marker':
@@ -142,6 +169,34 @@ export function handleMapClick(e) {
             state.drawing.startPoint = { lat, lng };
             openModal('modal-bearing');
             break;
+        case 'traverse':
+            openTraverseDialog({ lat, lng });
+            break;
+        case 'resection':
+            handleResectionPick({ lat, lng });
+            break;
+        default:
+            if (isShape(state.activeTool)) openShapeModal(state.activeTool, { lat, lng });
+    }
+}
+
+/**
+ * Handle map mouse down events (start of a rectangle drag)
+ * @param {L.MouseEvent} e - Leaflet mouse event
+ */
+export function handleMapMouseDown(e) {
+    if (state.activeTool === 'rectangle' && e.originalEvent.button === 0) {
+        startRectangleDrag(e.latlng);
+    }
+}
+
+/**
+ * Handle map mouse up events (end of a rectangle drag)
+ * @param {L.MouseEvent} e - Leaflet mouse event
+ */
+export function handleMapMouseUp(e) {
+    if (state.activeTool === 'rectangle') {
+        finishRectangleDrag(e.latlng);
     }
 }
 
@@ -234,6 +289,11 @@ export function initContextMenu() {
                     state.drawing.points = [{ lat, lng }];
                     updateTempLayer();
                     break;
+                case 'traverse':
+                    openTraverseDialog({ lat, lng });
+                    break;
+                default:
+                    if (isShape(action)) openShapeModal(action, { lat, lng });
             }
         });
     });
@@ -4,10 +4,14 @@
  */
 
 import { CONFIG } from './config.js';
+import { describePosition } from './crs.js';
 import { deleteElement, duplicateElement, toggleElementVisibility, updateElementList } from './elements.js';
+import { formatDuration, getTrailMetrics } from './elevation.js';
+import { captureState, recordChange } from './history.js';
 import { saveState } from './persistence.js';
+import { describeShape } from './shapes.js';
 import { state } from './state.js';
-import { formatArea, formatCoord, formatDistance, generateId, getIcon } from './utils.js';
+import { escapeXML, formatArea, formatDistance, generateId, getIcon } from './utils.js';
 
 // Drag and drop state
 let draggedElementId = null;
@@ -16,6 +20,7 @@ let draggedElementId = null;
  * Create a new folder
  */
 export function createFolder() {
+    const before = captureState([]);
     const id = `folder-${generateId()}`;
     const folder = {
         id: id,
@@ -26,6 +31,7 @@ export function createFolder() {
     state.folders.push(folder);
     updateElementList();
     saveState();
+    recordChange('Création d\'un dossier', before);
 }
 
 /**
@@ -42,7 +48,7 @@ export function createFolderElement(folder, elements) {
     folderEl.innerHTML = `
         <div class="folder-header">
             <span class="folder-toggle"><i class="fas fa-chevron-down"></i></span>
-            <span class="folder-title">${folder.name}</span>
+            <span class="folder-title">${escapeXML(folder.name)}</span>
             <span class="folder-count">${elements.length}</span>
             <div class="folder-actions">
                 <button class="folder-btn folder-visibility ${folder.visible ? '' : 'hidden-state'}" title="Afficher/Masquer">
@@ -92,12 +98,17 @@ export function createFolderElement(folder, elements) {
         input.select();
 
         const saveTitle = () => {
+            const before = captureState([]);
+            const oldName = folder.name;
             folder.name = input.value.trim() || 'Dossier';
             const newSpan = document.createElement('span');
             newSpan.className = 'folder-title';
             newSpan.textContent = folder.name;
             input.replaceWith(newSpan);
             saveState();
+            if (folder.name !== oldName) {
+                recordChange(`Renommage du dossier « ${oldName} »`, before);
+            }
         };
 
         input.addEventListener('blur', saveTitle);
@@ -114,6 +125,7 @@ export function createFolderElement(folder, elements) {
     folderEl.querySelector('.folder-delete').addEventListener('click', (e) => {
         e.stopPropagation();
         if (confirm('Supprimer ce dossier ? Les éléments seront déplacés à la racine.')) {
+            const before = captureState(elements.map(el => el.id));
             elements.forEach(el => {
                 const feature = state.features.find(f => f.id === el.id);
                 if (feature) feature.properties.folderId = null;
@@ -122,6 +134,7 @@ export function createFolderElement(folder, elements) {
             if (idx !== -1) state.folders.splice(idx, 1);
             updateElementList();
             saveState();
+            recordChange(`Suppression du dossier « ${folder.name} »`, before);
         }
     });
 
@@ -179,7 +192,7 @@ export function createElementItem(el) {
             <i class="fas ${el.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>
         </button>
         <div class="element-info">
-            <div class="element-title">${getIcon(el.type)} ${el.data.title}</div>
+            <div class="element-title">${getIcon(el.type)} ${escapeXML(el.data.title)}</div>
             <div class="element-details">${details}</div>
         </div>
         <button class="element-duplicate" title="Dupliquer"><i class="fas fa-copy"></i></button>
@@ -291,12 +304,23 @@ function getElementDetails(el) {
     switch (type) {
         case 'circle':
             return `Rayon: ${data.radius}m`;
-        case 'line':
-            return `Dist: ${formatDistance(data.distance)}`;
+        case 'line': {
+            const metrics = getTrailMetrics(data.lines.map(line => line.map(p => [p.lng, p.lat])), data.elevation);
+            return metrics
+                ? `Dist: ${formatDistance(data.distance)}, +${Math.round(metrics.ascent)} m, ${formatDuration(metrics.walkingTime)}`
+                : `Dist: ${formatDistance(data.distance)}`;
+        }
         case 'bearing':
             return `${formatDistance(data.distance)} @ ${data.bearing}°`;
         case 'polygon':
-            return `${data.points?.length || 0} pts`;
+            return data.polygons?.length > 1
+                ? `${formatArea(data.areaM2)} (${data.polygons.length} parties)`
+                : formatArea(data.areaM2);
+        case 'rectangle':
+        case 'ellipse':
+        case 'sector':
+        case 'regular-polygon':
+            return describeShape(type, data);
         case 'measurement-distance':
             return formatDistance(data.distanceM);
         case 'measurement-area':
@@ -304,9 +328,9 @@ function getElementDetails(el) {
         case 'measurement-bearing':
             return `${data.bearing.toFixed(1)}° (${data.cardinal})`;
         case 'measurement-center':
-            return formatCoord(data.center, 4);
+            return describePosition(data.center, 4);
         case 'measurement-centroid':
-            return formatCoord(data.centroid, 4);
+            return describePosition(data.centroid, 4);
         case 'measurement-bbox':
             return `${data.width.toFixed(1)}m × ${data.height.toFixed(1)}m`;
         case 'measurement-along':
@@ -368,7 +392,8 @@ export function handleDrop(e) {
     const targetFolderId = e.currentTarget.dataset.folderId || null;
     const feature = state.features.find(f => f.id === draggedElementId);
 
-    if (feature) {
+    if (feature && (feature.properties.folderId || null) !== targetFolderId) {
+        const before = captureState([feature.id]);
         feature.properties.folderId = targetFolderId;
 
         if (targetFolderId) {
@@ -382,5 +407,6 @@ export function handleDrop(e) {
 
         updateElementList();
         saveState();
+        recordChange(`Déplacement de « ${feature.properties.title} » vers un dossier`, before);
     }
 }
@@ -0,0 +1,166 @@
+/**
+ * Freehand drawing - sample the pointer (mouse, pen or touch) while it is held down
+ * to draw lines and polygons, then simplify the stroke before creating the element
+ * @module freehand
+ */
+
+import { CONFIG } from './config.js';
+import { finishLine, finishPolygon } from './drawing.js';
+import { state } from './state.js';
+
+/** @constant {string} localStorage key of the freehand switch */
+const STORAGE_KEY = 'ignMapFreehand';
+
+/** @constant {string} localStorage key of the simplification tolerance */
+const TOLERANCE_KEY = 'ignMapFreehandTolerance';
+
+/** @constant {number} Default simplification tolerance in pixels */
+const DEFAULT_TOLERANCE = 4;
+
+/** @constant {number} Smallest pointer move in pixels recorded as a new sample */
+const MIN_SAMPLE_DISTANCE = 2;
+
+/** @type {boolean} True if the line and polygon tools draw freehand */
+let enabled = localStorage.getItem(STORAGE_KEY) === 'true';
+
+/** @type {number} Simplification tolerance in pixels */
+let tolerance = Number.parseFloat(localStorage.getItem(TOLERANCE_KEY) ?? DEFAULT_TOLERANCE);
+
+/**
+ * @typedef {Object} Stroke
+ * @property {number} pointerId - Pointer drawing the stroke
+ * @property {Array<L.Point>} points - Samples in unrounded pixels at the stroke zoom
+ * @property {number} zoom - Zoom level when the stroke started
+ * @property {L.Polyline} preview - Stroke drawn so far
+ */
+
+/** @type {Stroke|null} Stroke in progress */
+let stroke = null;
+
+/**
+ * Check whether the active tool draws freehand
+ * @returns {boolean} True for the line and polygon tools when the switch is on
+ */
+export function isFreehandActive() {
+    return enabled && (state.activeTool === 'line' || state.activeTool === 'polygon');
+}
+
+/**
+ * Let touch gestures draw instead of panning while a freehand tool is active
+ */
+export function updateFreehandCursor() {
+    state.map?.getContainer().classList.toggle('freehand-drawing', isFreehandActive());
+}
+
+/**
+ * Get the pixel position of a pointer event at the stroke zoom
+ * @param {PointerEvent} e - Pointer event
+ * @returns {L.Point} Unrounded pixel position
+ */
+function eventPoint(e) {
+    return state.map.project(state.map.mouseEventToLatLng(e), stroke.zoom);
+}
+
+/**
+ * Start a stroke when the pointer is pressed on the map
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePointerDown(e) {
+    if (!isFreehandActive() || stroke || !e.isPrimary || e.button !== 0) return;
+    // Controls, popups and markers keep their own behavior
+    if (e.target.closest('.leaflet-control, .leaflet-popup, .leaflet-marker-icon')) return;
+
+    // Keep Leaflet from panning the map with this pointer
+    e.stopPropagation();
+    e.preventDefault();
+    state.map.getContainer().setPointerCapture?.(e.pointerId);
+
+    stroke = { pointerId: e.pointerId, points: [], zoom: state.map.getZoom(), preview: null };
+    stroke.points.push(eventPoint(e));
+    stroke.preview = L.polyline([], CONFIG.styles.drawingPreview).addTo(state.map);
+}
+
+/**
+ * Record the pointer position while the stroke is drawn
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePointerMove(e) {
+    if (!stroke || e.pointerId !== stroke.pointerId) return;
+    e.stopPropagation();
+
+    const point = eventPoint(e);
+    if (point.distanceTo(stroke.points.at(-1)) < MIN_SAMPLE_DISTANCE) return;
+    stroke.points.push(point);
+    stroke.preview.addLatLng(state.map.unproject(point, stroke.zoom));
+}
+
+/**
+ * Finish the stroke: simplify it and create the line or the polygon (or the hole or part being drawn)
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePointerUp(e) {
+    if (!stroke || e.pointerId !== stroke.pointerId) return;
+    e.stopPropagation();
+
+    const { points, zoom, preview } = stroke;
+    stroke = null;
+    preview.remove();
+    state.map.getContainer().releasePointerCapture?.(e.pointerId);
+
+    // The tool may have been cancelled (Escape) while drawing
+    if (e.type === 'pointercancel' || !isFreehandActive()) return;
+
+    const simplified = L.LineUtil.simplify(points, tolerance)
+        .map(point => state.map.unproject(point, zoom))
+        .map(({ lat, lng }) => ({ lat, lng }));
+    if (state.activeTool === 'line' && simplified.length >= 2) {
+        state.drawing.points = simplified;
+        finishLine();
+    } else if (state.activeTool === 'polygon' && simplified.length >= 3) {
+        state.drawing.points = simplified;
+        finishPolygon();
+    }
+}
+
+/**
+ * Show the tolerance next to its slider
+ */
+function updateToleranceLabel() {
+    const label = document.getElementById('freehand-tolerance-value');
+    if (label) label.textContent = `${tolerance} px`;
+}
+
+/**
+ * Initialize the freehand switch, its tolerance slider and the pointer listeners
+ */
+export function initFreehand() {
+    const toggle = document.getElementById('freehand-toggle');
+    const slider = document.getElementById('freehand-tolerance');
+    const control = document.getElementById('freehand-tolerance-control');
+    if (!toggle || !slider) return;
+
+    if (!Number.isFinite(tolerance)) tolerance = DEFAULT_TOLERANCE;
+    toggle.checked = enabled;
+    slider.value = tolerance;
+    control?.classList.toggle('hidden', !enabled);
+    updateToleranceLabel();
+
+    toggle.addEventListener('change', () => {
+        enabled = toggle.checked;
+        localStorage.setItem(STORAGE_KEY, String(enabled));
+        control?.classList.toggle('hidden', !enabled);
+        updateFreehandCursor();
+    });
+    slider.addEventListener('input', () => {
+        tolerance = Number.parseFloat(slider.value);
+        localStorage.setItem(TOLERANCE_KEY, String(tolerance));
+        updateToleranceLabel();
+    });
+
+    // Capture phase: the stroke must start before Leaflet handles the pointer
+    const container = state.map.getContainer();
+    container.addEventListener('pointerdown', handlePointerDown, true);
+    container.addEventListener('pointermove', handlePointerMove, true);
+    container.addEventListener('pointerup', handlePointerUp, true);
+    container.addEventListener('pointercancel', handlePointerUp, true);
+}
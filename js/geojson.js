@@ -4,10 +4,15 @@
  */
 
 import { CONFIG } from './config.js';
+import { discardEditing, getEditedId } from './editing.js';
 import { createPopupContent, updateElementList } from './elements.js';
+import { createSlopeOverlay } from './elevation.js';
+import { captureState, recordChange } from './history.js';
 import { saveState } from './persistence.js';
+import { buildShapeGeometry, getShapeParameters, isShape } from './shapes.js';
 import { state } from './state.js';
-import { createColoredMarkerIcon, createCrossMarker } from './utils.js';
+import { discardTransform, getTransformedId } from './transform.js';
+import { createColoredMarkerIcon, createCrossMarker, escapeXML, getCardinalDirection } from './utils.js';
 
 /**
  * Create a Leaflet layer from a GeoJSON feature
@@ -41,11 +46,13 @@ export function createLayerFromFeature(feature) {
 
         // Update feature on drag
         layer.on('dragend', (e) => {
+            const before = captureState([feature.id]);
             const pos = e.target.getLatLng();
             feature.geometry.coordinates = [pos.lng, pos.lat];
             layer.setPopupContent(createPopupContent(feature));
             updateElementList();
             saveState();
+            recordChange(`Déplacement de « ${props.title} »`, before);
         });
     } else if (feature.geometry?.type === 'GeometryCollection') {
         // Reconstruct LayerGroup for measurement types that use GeometryCollection
@@ -65,11 +72,24 @@ export function createLayerFromFeature(feature) {
         // Extract the actual layer from the GeoJSON layer
         layer = geoJsonLayer.getLayers()[0];
         layer.feature = feature;
+        if (type === 'line' && props.slopeColors) attachSlopeOverlay(layer, feature);
     }
 
     return layer;
 }
 
+/**
+ * Draw the slope colors of a line over its layer, shown and hidden with it
+ * @param {L.Polyline} layer - Line layer
+ * @param {Object} feature - Line element
+ */
+function attachSlopeOverlay(layer, feature) {
+    const overlay = createSlopeOverlay(feature);
+    if (!overlay) return;
+    layer.on('add', () => overlay.addTo(state.map));
+    layer.on('remove', () => overlay.remove());
+}
+
 /**
  * Reconstruct a Leaflet LayerGroup from a measurement GeometryCollection feature
  * @param {Object} feature - GeoJSON Feature with GeometryCollection geometry
@@ -123,6 +143,58 @@ function createMeasurementLayerGroup(feature) {
     }
 }
 
+/**
+ * List the polygons of a Polygon or MultiPolygon geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons, each a list of closed rings (outer ring first, then holes)
+ */
+export function getPolygons(geometry) {
+    return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+/**
+ * Build a Polygon, or a MultiPolygon if there are several parts
+ * @param {Array<Array<Array<Array<number>>>>} polygons - Polygons, each a list of closed rings
+ * @returns {Object} GeoJSON geometry
+ */
+export function polygonsToGeometry(polygons) {
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * List the lines of a LineString or MultiLineString geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<Array<number>>>} Lines, each a list of positions
+ */
+export function getLines(geometry) {
+    return geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+}
+
+/**
+ * Build a LineString, or a MultiLineString if there are several parts
+ * @param {Array<Array<Array<number>>>} lines - Lines, each a list of positions
+ * @returns {Object} GeoJSON geometry
+ */
+export function linesToGeometry(lines) {
+    return lines.length === 1
+        ? { type: 'LineString', coordinates: lines[0] }
+        : { type: 'MultiLineString', coordinates: lines };
+}
+
+/**
+ * Convert element data points to closed GeoJSON rings
+ * @param {Array<Array<Array<{lat: number, lng: number}>>>} polygons - Polygons, each a list of open rings
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons with closed rings of [lng, lat]
+ */
+export function pointsToPolygons(polygons) {
+    return polygons.map(rings => rings.map(ring => {
+        const coords = ring.map(p => [p.lng, p.lat]);
+        return [...coords, coords[0]];
+    }));
+}
+
 /**
  * Convert an element to a GeoJSON Feature
  * @param {Object} element - The element to convert
@@ -155,17 +227,28 @@ export function elementToGeoJSON(element) {
         case 'bearing':
             properties.distance = data.distance;
             if (data.bearing !== undefined) properties.bearing = data.bearing;
-            feature = turf.lineString([
-                [data.start.lng, data.start.lat],
-                [data.end.lng, data.end.lat]
-            ], properties);
+            if (data.lines) {
+                const geometry = linesToGeometry(data.lines.map(line => line.map(p => [p.lng, p.lat])));
+                feature = turf.feature(geometry, properties);
+            } else {
+                feature = turf.lineString([
+                    [data.start.lng, data.start.lat],
+                    [data.end.lng, data.end.lat]
+                ], properties);
+            }
             break;
 
-        case 'polygon': {
-            const coords = data.points.map(p => [p.lng, p.lat]);
-            feature = turf.polygon([coords], properties);
+        case 'polygon':
+            feature = turf.feature(polygonsToGeometry(pointsToPolygons(data.polygons ?? [[data.points]])), properties);
+            break;
+
+        case 'rectangle':
+        case 'ellipse':
+        case 'sector':
+        case 'regular-polygon':
+            Object.assign(properties, getShapeParameters(type, data));
+            feature = turf.feature(buildShapeGeometry(type, properties), properties);
             break;
-        }
 
         case 'measurement-distance':
         case 'measurement-bearing':
@@ -277,7 +360,7 @@ export function elementToGeoJSON(element) {
  */
 function bindPopupToLayer(layer, feature) {
     const popupFn = () => createPopupContent(feature);
-    const tooltipText = feature.properties.title || '';
+    const tooltipText = escapeXML(feature.properties.title || '');
 
     if (layer instanceof L.LayerGroup) {
         layer.eachLayer(subLayer => {
@@ -300,20 +383,159 @@ function bindPopupToLayer(layer, feature) {
  * Restore a feature from GeoJSON (works for all feature types including measurements)
  * @param {Object} feature - GeoJSON feature
  * @param {boolean} visible - Whether the feature should be visible
+ * @param {number} [index] - Position in the element list (appended by default)
+ * @param {boolean} [refreshList=true] - False when restoring a batch: the caller refreshes the list once
  */
-export function restoreFeature(feature, visible = true) {
+export function restoreFeature(feature, visible = true, index = state.features.length, refreshList = true) {
     const layer = createLayerFromFeature(feature);
 
     if (visible) {
         layer.addTo(state.map);
     }
 
-    state.features.push(feature);
+    state.features.splice(index, 0, feature);
     state.featureLayers.set(feature.id, layer);
     state.featureVisibility.set(feature.id, visible);
 
     bindPopupToLayer(layer, feature);
-    updateElementList();
+    if (refreshList) updateElementList();
+}
+
+/**
+ * Replace the layer of a feature after its geometry changed, keeping its visibility
+ * @param {Object} feature - GeoJSON feature already in state.features
+ * @returns {L.Layer} New layer
+ */
+export function refreshFeatureLayer(feature) {
+    const oldLayer = state.featureLayers.get(feature.id);
+    const layer = createLayerFromFeature(feature);
+
+    if (oldLayer && state.map.hasLayer(oldLayer)) {
+        state.map.removeLayer(oldLayer);
+        layer.addTo(state.map);
+    }
+    state.featureLayers.set(feature.id, layer);
+    bindPopupToLayer(layer, feature);
+    return layer;
+}
+
+/**
+ * Recompute the properties derived from the geometry of a feature (length, area,
+ * perimeter, measurement points) after its coordinates were edited
+ * @param {Object} feature - GeoJSON feature, modified in place
+ */
+export function updateDerivedProperties(feature) {
+    const props = feature.properties;
+    const geom = feature.geometry;
+    const parts = geom.type === 'GeometryCollection' ? geom.geometries : [geom];
+    const coords = parts[0].coordinates;
+
+    switch (props.type) {
+        case 'line':
+        case 'bearing':
+            // The legs and closure error entered for a traverse no longer describe the line
+            delete props.traverse;
+            // Multi-part lines add up the length of every part
+            props.distance = turf.length(turf.feature(geom), { units: 'meters' });
+            if (props.bearing !== undefined && geom.type === 'LineString') {
+                props.bearing = (turf.bearing(coords[0], coords.at(-1)) + 360) % 360;
+            }
+            break;
+        case 'measurement-distance':
+        case 'measurement-bearing': {
+            const [start, end] = [coords[0], coords.at(-1)];
+            props.distanceKm = turf.distance(start, end, { units: 'kilometers' });
+            props.distanceM = props.distanceKm * 1000;
+            if (props.type === 'measurement-bearing') {
+                props.bearing = (turf.bearing(start, end) + 360) % 360;
+                props.cardinal = getCardinalDirection(props.bearing);
+            }
+            break;
+        }
+        case 'measurement-along': {
+            // Keep the point at the same fraction of the line
+            const line = turf.lineString(coords);
+            const ratio = props.lengthM ? (props.alongDistance ?? props.lengthM / 2) / props.lengthM : 0.5;
+            props.lengthKm = turf.length(line, { units: 'kilometers' });
+            props.lengthM = props.lengthKm * 1000;
+            props.alongDistance = ratio * props.lengthM;
+            const along = turf.along(line, ratio * props.lengthKm, { units: 'kilometers' }).geometry.coordinates;
+            props.alongPoint = { lat: along[1], lng: along[0] };
+            if (parts[1]) parts[1].coordinates = along;
+            break;
+        }
+        case 'measurement-area': {
+            props.areaM2 = turf.area(turf.polygon(coords));
+            props.areaKm2 = props.areaM2 / 1000000;
+            props.areaHa = props.areaM2 / 10000;
+            props.perimeterKm = turf.length(turf.lineString(coords[0]), { units: 'kilometers' });
+            props.perimeterM = props.perimeterKm * 1000;
+            break;
+        }
+        case 'measurement-centroid': {
+            const points = coords[0].slice(0, -1);
+            const weights = points.map((_, i) => props.weights?.[i] ?? 1);
+            const totalWeight = weights.reduce((a, b) => a + b, 0);
+            props.weights = weights;
+            props.centroid = {
+                lat: points.reduce((sum, c, i) => sum + weights[i] * c[1], 0) / totalWeight,
+                lng: points.reduce((sum, c, i) => sum + weights[i] * c[0], 0) / totalWeight
+            };
+            props.areaM2 = turf.area(turf.polygon(coords));
+            props.areaHa = props.areaM2 / 10000;
+            if (parts[1]) parts[1].coordinates = [props.centroid.lng, props.centroid.lat];
+            break;
+        }
+        case 'measurement-bbox': {
+            const bbox = turf.bbox(turf.polygon(coords));
+            const bboxPoly = turf.bboxPolygon(bbox);
+            const center = turf.center(bboxPoly).geometry.coordinates;
+            props.bbox = { minLat: bbox[1], minLng: bbox[0], maxLat: bbox[3], maxLng: bbox[2] };
+            props.width = turf.distance([bbox[0], bbox[1]], [bbox[2], bbox[1]], { units: 'kilometers' }) * 1000;
+            props.height = turf.distance([bbox[0], bbox[1]], [bbox[0], bbox[3]], { units: 'kilometers' }) * 1000;
+            props.areaM2 = turf.area(bboxPoly);
+            props.areaHa = props.areaM2 / 10000;
+            props.bboxCenter = { lat: center[1], lng: center[0] };
+            if (parts[1]) parts[1].coordinates = bboxPoly.geometry.coordinates;
+            if (parts[2]) parts[2].coordinates = center;
+            break;
+        }
+    }
+}
+
+/**
+ * Remove a feature and its layer from the map and state, without saving
+ * @param {string} id - Feature ID
+ * @returns {number} Former index of the feature, or -1 if not found
+ */
+export function removeFeature(id) {
+    const index = state.features.findIndex(f => f.id === id);
+    if (index === -1) return -1;
+    if (getEditedId() === id) discardEditing();
+    if (getTransformedId() === id) discardTransform();
+
+    const layer = state.featureLayers.get(id);
+    if (layer) {
+        if (layer.isPopupOpen?.()) layer.closePopup();
+        state.map.removeLayer(layer);
+        state.featureLayers.delete(id);
+    }
+    state.featureVisibility.delete(id);
+    state.features.splice(index, 1);
+    return index;
+}
+
+/**
+ * Remove every element and folder from the map and state
+ */
+export function clearAllElements() {
+    discardEditing();
+    discardTransform();
+    state.featureLayers.forEach(layer => state.map.removeLayer(layer));
+    state.features = [];
+    state.featureLayers.clear();
+    state.featureVisibility.clear();
+    state.folders = [];
 }
 
 /**
@@ -348,8 +570,15 @@ export function extractDataFromFeature(feature) {
     } else if (type === 'line' || type === 'bearing') {
         data.distance = props.distance;
         if (props.bearing !== undefined) data.bearing = props.bearing;
+        data.lines = getLines(geom).map(line => line.map(c => ({ lat: c[1], lng: c[0] })));
+        if (props.elevation) data.elevation = props.elevation;
     } else if (type === 'polygon') {
-        data.points = geom.coordinates[0].slice(0, -1).map(c => ({ lat: c[1], lng: c[0] }));
+        // Rings are kept open, as drawn; the area excludes the holes
+        data.polygons = getPolygons(geom).map(rings => rings.map(ring => ring.slice(0, -1).map(c => ({ lat: c[1], lng: c[0] }))));
+        data.areaM2 = turf.area(feature);
+    } else if (isShape(type)) {
+        Object.assign(data, getShapeParameters(type, props));
+        data.areaM2 = turf.area(feature);
     } else if (type.startsWith('measurement-')) {
         Object.assign(data, props);
     }
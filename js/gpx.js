@@ -0,0 +1,232 @@
+/**
+ * GPX 1.1 conversion - waypoints, routes and tracks
+ * @module gpx
+ */
+
+import { CONFIG } from './config.js';
+import { childElements, childText, escapeXML, generateId, parseXML } from './utils.js';
+
+/** @constant {string} GPX 1.1 namespace */
+const GPX_NS = 'http://www.topografix.com/GPX/1/1';
+
+/** @constant {string} Namespace for Cartouille-specific extensions */
+const EXT_NS = 'https://github.com/Plonk42/cartouille';
+
+/**
+ * Read a GPX point (wpt, rtept, trkpt) into a GeoJSON position and time
+ * @param {Element} el - Point element
+ * @returns {{coord: Array<number>, time: string|null}|null} Position or null if invalid
+ */
+function readPoint(el) {
+    const lat = Number.parseFloat(el.getAttribute('lat'));
+    const lng = Number.parseFloat(el.getAttribute('lon'));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const coord = [lng, lat];
+    const ele = Number.parseFloat(childText(el, 'ele'));
+    if (Number.isFinite(ele)) coord.push(ele);
+
+    return { coord, time: childText(el, 'time') };
+}
+
+/**
+ * Read the color stored in our GPX extensions, if any
+ * @param {Element} el - wpt, rte or trk element
+ * @returns {string|null} Color or null
+ */
+function readExtensionColor(el) {
+    const extensions = childElements(el, 'extensions')[0];
+    return extensions ? childText(extensions, 'color') : null;
+}
+
+/**
+ * Build a line feature from GPX points, one part per track segment
+ * @param {Element} el - rte or trk element
+ * @param {Array<Array<Element>>} segments - Point elements of each segment, in order
+ * @param {Function} folderFor - Resolves a GPX type to a folder ID
+ * @returns {Object|null} GeoJSON feature (MultiLineString if several segments have two valid
+ *     points or more) or null if no segment has
+ */
+function buildLineFeature(el, segments, folderFor) {
+    const parts = segments
+        .map(pointEls => pointEls.map(readPoint).filter(Boolean))
+        .filter(points => points.length >= 2);
+    if (parts.length === 0) return null;
+
+    const geometry = parts.length === 1
+        ? { type: 'LineString', coordinates: parts[0].map(p => p.coord) }
+        : { type: 'MultiLineString', coordinates: parts.map(points => points.map(p => p.coord)) };
+    const properties = {
+        type: 'line',
+        title: childText(el, 'name') || 'Trace GPX',
+        description: childText(el, 'desc') || childText(el, 'cmt') || '',
+        color: readExtensionColor(el) || CONFIG.colors['drawing-line'],
+        folderId: folderFor(childText(el, 'type')),
+        distance: turf.length({ type: 'Feature', geometry, properties: {} }, { units: 'meters' })
+    };
+    // Times follow the coordinates: one list per part for multi-part lines
+    if (parts.some(points => points.some(p => p.time))) {
+        const times = parts.map(points => points.map(p => p.time));
+        properties.coordTimes = parts.length === 1 ? times[0] : times;
+    }
+
+    return { type: 'Feature', id: generateId(), geometry, properties };
+}
+
+/**
+ * Get the times of each part of a multi-part line
+ * @param {Array|undefined} coordTimes - Times per part, or a single list for all the points
+ * @param {Array<Array<Array<number>>>} lines - Coordinates of the parts
+ * @returns {Array<Array<string|null>>} Times of each part
+ */
+function partTimes(coordTimes, lines) {
+    if (!Array.isArray(coordTimes)) return lines.map(() => []);
+    if (coordTimes.some(Array.isArray)) return lines.map((_, i) => coordTimes[i] || []);
+    let offset = 0;
+    return lines.map(line => {
+        offset += line.length;
+        return coordTimes.slice(offset - line.length, offset);
+    });
+}
+
+/**
+ * Parse a GPX document into a FeatureCollection using the application's element types.
+ * Waypoints become markers, routes and tracks become multi-point lines (tracks with several
+ * segments become multi-part lines), and each distinct GPX `<type>` becomes a folder.
+ * @param {string} text - GPX file content
+ * @returns {Object} GeoJSON FeatureCollection with folders in its properties
+ */
+export function parseGPX(text) {
+    const doc = parseXML(text);
+    const root = doc.documentElement;
+    if (root.localName !== 'gpx') {
+        throw new Error('Le fichier n\'est pas un document GPX');
+    }
+
+    const folders = [];
+    const folderFor = (name) => {
+        if (!name) return null;
+        let folder = folders.find(f => f.name === name);
+        if (!folder) {
+            folder = { id: `folder-${generateId()}`, name, collapsed: false, visible: true };
+            folders.push(folder);
+        }
+        return folder.id;
+    };
+
+    const features = [];
+
+    childElements(root, 'wpt').forEach(wpt => {
+        const point = readPoint(wpt);
+        if (!point) return;
+        const properties = {
+            type: 'marker',
+            title: childText(wpt, 'name') || 'Point GPX',
+            description: childText(wpt, 'desc') || childText(wpt, 'cmt') || '',
+            color: readExtensionColor(wpt) || CONFIG.colors['drawing-marker'],
+            folderId: folderFor(childText(wpt, 'type'))
+        };
+        if (point.time) properties.time = point.time;
+        features.push({ type: 'Feature', id: generateId(), geometry: { type: 'Point', coordinates: point.coord }, properties });
+    });
+
+    childElements(root, 'rte').forEach(rte => {
+        const feature = buildLineFeature(rte, [childElements(rte, 'rtept')], folderFor);
+        if (feature) features.push(feature);
+    });
+
+    childElements(root, 'trk').forEach(trk => {
+        const segments = childElements(trk, 'trkseg').map(seg => childElements(seg, 'trkpt'));
+        const feature = buildLineFeature(trk, segments, folderFor);
+        if (feature) features.push(feature);
+    });
+
+    const metadata = childElements(root, 'metadata')[0];
+    return {
+        type: 'FeatureCollection',
+        features,
+        properties: {
+            name: metadata ? childText(metadata, 'name') : null,
+            folders
+        }
+    };
+}
+
+/**
+ * Serialize a GPX point element
+ * @param {string} tag - Element name (wpt or trkpt)
+ * @param {Array<number>} coord - GeoJSON position
+ * @param {string|null} time - ISO time or null
+ * @param {string} [inner=''] - Additional child elements
+ * @param {string} indent - Indentation prefix
+ * @returns {string} XML fragment
+ */
+function pointToGPX(tag, coord, time, inner, indent) {
+    let xml = `${indent}<${tag} lat="${coord[1]}" lon="${coord[0]}">`;
+    if (coord.length > 2 && Number.isFinite(coord[2])) xml += `<ele>${coord[2]}</ele>`;
+    if (time) xml += `<time>${escapeXML(time)}</time>`;
+    return `${xml}${inner || ''}</${tag}>`;
+}
+
+/**
+ * Serialize the common descriptive children of a wpt or trk element
+ * @param {Object} props - Feature properties
+ * @param {Map<string, string>} folderNames - Folder ID to name map
+ * @returns {string} XML fragment
+ */
+function describeToGPX(props, folderNames) {
+    let xml = `<name>${escapeXML(props.title)}</name>`;
+    if (props.description) xml += `<desc>${escapeXML(props.description)}</desc>`;
+    const folderName = folderNames.get(props.folderId);
+    if (folderName) xml += `<type>${escapeXML(folderName)}</type>`;
+    if (props.color) xml += `<extensions><cartouille:color>${escapeXML(props.color)}</cartouille:color></extensions>`;
+    return xml;
+}
+
+/**
+ * Convert markers and lines to a GPX 1.1 document.
+ * Markers become waypoints and lines become tracks with one segment per part; the folder of each
+ * element is written as its GPX `<type>`.
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Array<Object>} folders - Application folders
+ * @returns {string} GPX document
+ */
+export function toGPX(features, folders) {
+    const folderNames = new Map(folders.map(f => [f.id, f.name]));
+    const waypoints = [];
+    const tracks = [];
+
+    features.forEach(feature => {
+        const props = feature.properties;
+        const geom = feature.geometry;
+
+        if (props.type === 'marker' && geom?.type === 'Point') {
+            waypoints.push(pointToGPX('wpt', geom.coordinates, props.time, describeToGPX(props, folderNames), '  '));
+        } else if ((props.type === 'line' || props.type === 'bearing') && geom?.type === 'LineString') {
+            const [times] = partTimes(props.coordTimes, [geom.coordinates]);
+            const points = geom.coordinates
+                .map((c, i) => pointToGPX('trkpt', c, times[i], '', '      '))
+                .join('\n');
+            tracks.push(`  <trk>${describeToGPX(props, folderNames)}\n    <trkseg>\n${points}\n    </trkseg>\n  </trk>`);
+        } else if (props.type === 'line' && geom?.type === 'MultiLineString') {
+            // One segment per part
+            const times = partTimes(props.coordTimes, geom.coordinates);
+            const segments = geom.coordinates
+                .map((line, part) => {
+                    const points = line.map((c, i) => pointToGPX('trkpt', c, times[part][i], '', '      ')).join('\n');
+                    return `    <trkseg>\n${points}\n    </trkseg>`;
+                })
+                .join('\n');
+            tracks.push(`  <trk>${describeToGPX(props, folderNames)}\n${segments}\n  </trk>`);
+        }
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="Cartouille" xmlns="${GPX_NS}" xmlns:cartouille="${EXT_NS}">`,
+        `  <metadata><name>Cartouille</name><time>${new Date().toISOString()}</time></metadata>`,
+        ...waypoints,
+        ...tracks,
+        '</gpx>'
+    ].join('\n');
+}
@@ -0,0 +1,309 @@
+/**
+ * Undo/redo history of element and folder mutations
+ * @module history
+ */
+
+import { HISTORY_LIMIT } from './config.js';
+import { updateElementList } from './elements.js';
+import { removeFeature, restoreFeature } from './geojson.js';
+import { saveState } from './persistence.js';
+import { getCurrentProjectId } from './projects.js';
+import { state } from './state.js';
+import { deleteHistoryData, loadHistoryData, saveHistoryData, updateStorageWarning } from './storage.js';
+
+/** @constant {string} Legacy localStorage key prefix of the history (one per project), moved to IndexedDB */
+const LEGACY_STORAGE_KEY = 'ignMapHistory';
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {boolean} all - True if the snapshot covers every feature
+ * @property {Array<{id: string, index: number, visible: boolean, feature: Object|null}>} entries
+ *   Captured features; a null feature means the element did not exist
+ * @property {Array<Object>} folders - Copy of the folders
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - Human readable description
+ * @property {Snapshot} before - State before the change
+ * @property {Snapshot} after - State after the change
+ */
+
+/** @type {Array<HistoryEntry>} */
+let undoStack = [];
+
+/** @type {Array<HistoryEntry>} */
+let redoStack = [];
+
+/** @type {Snapshot|null} State before the group of changes being recorded, see groupChanges */
+let pendingGroup = null;
+
+/** @type {Promise<void>} Last history write, so that writes land in order */
+let lastWrite = Promise.resolve();
+
+/**
+ * Capture the current state of some features and of the folders
+ * @param {Array<string>|null} ids - Feature IDs to capture, or null for every feature
+ * @returns {Snapshot} Snapshot
+ */
+export function captureState(ids) {
+    const targetIds = ids ?? state.features.map(f => f.id);
+    const entries = targetIds.map(id => {
+        const index = state.features.findIndex(f => f.id === id);
+        return {
+            id,
+            index,
+            visible: state.featureVisibility.get(id) !== false,
+            feature: index === -1 ? null : structuredClone(state.features[index])
+        };
+    });
+    return { all: ids === null, entries, folders: structuredClone(state.folders) };
+}
+
+/**
+ * Record a change made since a snapshot was captured.
+ * The "after" snapshot covers the same features as "before", plus any extra IDs
+ * (typically elements created by the change).
+ * @param {string} label - Description shown on the undo/redo buttons
+ * @param {Snapshot} before - Snapshot captured before the change
+ * @param {Array<string>} [extraIds=[]] - IDs of features created by the change
+ */
+export function recordChange(label, before, extraIds = []) {
+    const known = new Set(before.entries.map(e => e.id));
+    extraIds.filter(id => !known.has(id)).forEach(id => {
+        before.entries.push({ id, index: -1, visible: true, feature: null });
+    });
+
+    // Inside a group, only the first state of each feature is kept
+    if (pendingGroup) {
+        const grouped = new Set(pendingGroup.entries.map(e => e.id));
+        pendingGroup.entries.push(...before.entries.filter(e => !grouped.has(e.id)));
+        pendingGroup.all ||= before.all;
+        return;
+    }
+
+    const after = before.all ? captureState(null) : captureState(before.entries.map(e => e.id));
+    undoStack.push({ label, before, after });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+
+    persistHistory();
+    updateHistoryButtons();
+}
+
+/**
+ * Convenience wrapper: capture the given features, run a mutation and record it
+ * @param {string} label - Description of the change
+ * @param {Array<string>|null} ids - Features touched by the mutation (null for all)
+ * @param {Function} mutate - Mutation; may return IDs of features it created
+ * @returns {*} Value returned by the mutation
+ */
+export function withHistory(label, ids, mutate) {
+    const before = captureState(ids);
+    const result = mutate();
+    const created = Array.isArray(result) ? result : [];
+    recordChange(label, before, created);
+    return result;
+}
+
+/**
+ * Record every change made by a mutation as a single history entry, even if the
+ * mutation goes through functions that record their own changes (e.g. createElement)
+ * @param {string} label - Description of the change
+ * @param {Function} mutate - Mutation
+ * @returns {*} Value returned by the mutation
+ */
+export function groupChanges(label, mutate) {
+    if (pendingGroup) return mutate();
+
+    pendingGroup = captureState([]);
+    try {
+        return mutate();
+    } finally {
+        const before = pendingGroup;
+        pendingGroup = null;
+        if (before.entries.length > 0) recordChange(label, before);
+    }
+}
+
+/**
+ * Apply a snapshot to the map and state
+ * @param {Snapshot} snapshot - Snapshot to restore
+ */
+function applySnapshot(snapshot) {
+    state.map.closePopup();
+
+    if (snapshot.all) {
+        [...state.features].forEach(f => removeFeature(f.id));
+    } else {
+        snapshot.entries.forEach(entry => removeFeature(entry.id));
+    }
+
+    // Re-insert in ascending index order so positions are stable
+    [...snapshot.entries]
+        .filter(entry => entry.feature)
+        .sort((a, b) => a.index - b.index)
+        .forEach(entry => {
+            const index = Math.min(Math.max(entry.index, 0), state.features.length);
+            restoreFeature(structuredClone(entry.feature), entry.visible, index, false);
+        });
+
+    state.folders = structuredClone(snapshot.folders);
+    updateElementList();
+    saveState();
+}
+
+/**
+ * Undo the last change
+ */
+export function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+    applySnapshot(entry.before);
+    redoStack.push(entry);
+    persistHistory();
+    updateHistoryButtons();
+}
+
+/**
+ * Redo the last undone change
+ */
+export function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+    applySnapshot(entry.after);
+    undoStack.push(entry);
+    persistHistory();
+    updateHistoryButtons();
+}
+
+/**
+ * Forget the history of a project (e.g. when another map is loaded or the project is deleted)
+ * @param {string} [projectId] - Project ID, the current project by default
+ */
+export function clearHistory(projectId = getCurrentProjectId()) {
+    if (projectId === getCurrentProjectId()) {
+        undoStack = [];
+        redoStack = [];
+        updateHistoryButtons();
+        // The project keeps its history while a shared link is previewed
+        if (state.sharePreview) return;
+    }
+    localStorage.removeItem(`${LEGACY_STORAGE_KEY}:${projectId}`);
+    lastWrite = lastWrite
+        .then(() => deleteHistoryData(projectId))
+        .catch(error => console.error('Error deleting history:', error));
+}
+
+/**
+ * Save the history of the current project to IndexedDB
+ */
+function persistHistory() {
+    // Changes made while previewing a shared link must not reach the project's history
+    const projectId = getCurrentProjectId();
+    if (state.sharePreview || !projectId) return;
+
+    // Entries are never modified once recorded: copying the stacks is enough
+    const record = { projectId, undo: [...undoStack], redo: [...redoStack] };
+    lastWrite = lastWrite
+        .then(() => saveHistoryData(record))
+        .catch(error => {
+            console.error('Error saving history:', error);
+            updateStorageWarning(error);
+        });
+}
+
+/**
+ * Restore the history saved by a previous session, moving a history kept in localStorage
+ * by earlier versions to IndexedDB
+ * @param {string} projectId - Project ID
+ * @returns {Promise<{undo: Array<HistoryEntry>, redo: Array<HistoryEntry>}>} Saved stacks
+ */
+async function restoreHistory(projectId) {
+    const legacyKey = `${LEGACY_STORAGE_KEY}:${projectId}`;
+    try {
+        const legacy = localStorage.getItem(legacyKey);
+        if (legacy !== null) {
+            const saved = JSON.parse(legacy);
+            await saveHistoryData({ projectId, undo: saved?.undo ?? [], redo: saved?.redo ?? [] });
+            localStorage.removeItem(legacyKey);
+        }
+        const saved = await loadHistoryData(projectId);
+        return {
+            undo: Array.isArray(saved?.undo) ? saved.undo : [],
+            redo: Array.isArray(saved?.redo) ? saved.redo : []
+        };
+    } catch (error) {
+        console.error('Error restoring history:', error);
+        return { undo: [], redo: [] };
+    }
+}
+
+/**
+ * Load the history of the current project (after switching projects)
+ * @returns {Promise<void>}
+ */
+export async function loadHistory() {
+    const projectId = getCurrentProjectId();
+    undoStack = [];
+    redoStack = [];
+    updateHistoryButtons();
+    if (!projectId) return;
+
+    await lastWrite;
+    const saved = await restoreHistory(projectId);
+    // Another project or a shared link may have been opened, or a change recorded, in the meantime
+    if (projectId !== getCurrentProjectId() || state.sharePreview || undoStack.length || redoStack.length) return;
+    undoStack = saved.undo;
+    redoStack = saved.redo;
+    updateHistoryButtons();
+}
+
+/**
+ * Update the enabled state and tooltips of the undo/redo buttons
+ */
+function updateHistoryButtons() {
+    const btnUndo = document.getElementById('btn-undo');
+    const btnRedo = document.getElementById('btn-redo');
+    const lastUndo = undoStack.at(-1);
+    const lastRedo = redoStack.at(-1);
+
+    if (btnUndo) {
+        btnUndo.disabled = !lastUndo;
+        btnUndo.title = lastUndo ? `Annuler : ${lastUndo.label} (Ctrl+Z)` : 'Rien à annuler';
+    }
+    if (btnRedo) {
+        btnRedo.disabled = !lastRedo;
+        btnRedo.title = lastRedo ? `Rétablir : ${lastRedo.label} (Ctrl+Maj+Z)` : 'Rien à rétablir';
+    }
+}
+
+/**
+ * Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) outside of text fields
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleHistoryKeys(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+}
+
+/**
+ * Initialize undo/redo buttons, keyboard shortcuts and restore the saved history
+ * @returns {Promise<void>}
+ */
+export function initHistory() {
+    document.getElementById('btn-undo')?.addEventListener('click', undo);
+    document.getElementById('btn-redo')?.addEventListener('click', redo);
+    document.addEventListener('keydown', handleHistoryKeys);
+
+    return loadHistory();
+}
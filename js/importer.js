@@ -0,0 +1,293 @@
+/**
+ * Import dialog - replace, merge or import into a new folder, with ID collision handling
+ * @module importer
+ */
+
+import { FOLDER_PATH_SEPARATOR } from './config.js';
+import { updateElementList } from './elements.js';
+import { clearAllElements, restoreFeature } from './geojson.js';
+import { captureState, recordChange } from './history.js';
+import { migrateFeatureCollection } from './migrations.js';
+import { saveState } from './persistence.js';
+import { state } from './state.js';
+import { closeModal, escapeXML, generateId, openModal } from './utils.js';
+import { validateImport } from './validation.js';
+
+/** @type {{data: Object, fileName: string}|null} Parsed file waiting for the user's choice */
+let pendingImport = null;
+
+/**
+ * Initialize the import dialog buttons
+ */
+export function initImportDialog() {
+    document.getElementById('btn-cancel-import')?.addEventListener('click', () => {
+        pendingImport = null;
+        closeModal('modal-import');
+    });
+    document.getElementById('btn-confirm-import')?.addEventListener('click', confirmImport);
+    document.getElementById('btn-close-import')?.addEventListener('click', () => closeModal('modal-import'));
+
+    // Only the "new folder" mode needs a folder name
+    document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            const mode = document.querySelector('input[name="import-mode"]:checked')?.value;
+            document.getElementById('import-folder-name')?.classList.toggle('hidden', mode !== 'folder');
+        });
+    });
+}
+
+/** @constant {number} Maximum number of rows shown in the validation report */
+const REPORT_ROW_LIMIT = 500;
+
+/** @constant {Object<string, string>} Label of each report status */
+const REPORT_STATUS_LABELS = {
+    ok: 'OK',
+    migrated: 'Mis à jour',
+    converted: 'Converti',
+    error: 'Erreur'
+};
+
+/**
+ * Open the import dialog for a parsed FeatureCollection.
+ * The file is validated first and a per-feature report shows what will be imported.
+ * @param {Object} data - GeoJSON FeatureCollection
+ * @param {string} fileName - Name of the imported file
+ */
+export function openImportDialog(data, fileName) {
+    const { data: validData, report, warnings } = validateImport(data);
+    pendingImport = { data: validData, fileName };
+
+    const errors = report.filter(entry => entry.status === 'error').length;
+    const folderCount = data.properties?.folders?.length || 0;
+    let info = `${fileName} : ${validData.features.length} élément(s) à importer, ${folderCount} dossier(s)`;
+    if (errors > 0) info += `, ${errors} élément(s) invalide(s) ignoré(s)`;
+    document.getElementById('import-file-info').textContent = info;
+    renderReport(report, warnings);
+
+    const folderInput = document.getElementById('import-folder-name');
+    folderInput.value = fileName.replace(/\.[^.]+$/, '');
+    folderInput.classList.add('hidden');
+    document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+    document.getElementById('btn-confirm-import').disabled = validData.features.length === 0;
+
+    document.getElementById('import-options').classList.remove('hidden');
+    document.getElementById('import-report').classList.remove('hidden');
+    document.getElementById('import-summary').classList.add('hidden');
+    document.getElementById('import-buttons').classList.remove('hidden');
+    document.getElementById('import-summary-buttons').classList.add('hidden');
+
+    openModal('modal-import');
+}
+
+/**
+ * Show the validation report: file warnings, then one row per feature (errors first)
+ * @param {Array<Object>} report - Report entries from validateImport
+ * @param {Array<string>} warnings - File-level warnings
+ */
+function renderReport(report, warnings) {
+    const container = document.getElementById('import-report');
+    const order = { error: 0, converted: 1, migrated: 2, ok: 3 };
+    const rows = [...report].sort((a, b) => order[a.status] - order[b.status] || a.index - b.index);
+
+    const warningHtml = warnings.map(w => `<p class="import-warning">${escapeXML(w)}</p>`).join('');
+    const rowHtml = rows.slice(0, REPORT_ROW_LIMIT).map(entry => `
+        <tr class="report-${entry.status}">
+            <td>${entry.index}</td>
+            <td>${escapeXML(entry.title)}</td>
+            <td>${REPORT_STATUS_LABELS[entry.status]}</td>
+            <td>${escapeXML(entry.message)}</td>
+        </tr>`).join('');
+    const more = rows.length > REPORT_ROW_LIMIT
+        ? `<p class="modal-info">… et ${rows.length - REPORT_ROW_LIMIT} autre(s) élément(s)</p>`
+        : '';
+
+    container.innerHTML = `${warningHtml}
+        <table class="import-report-table">
+            <thead><tr><th>#</th><th>Titre</th><th>Résultat</th><th>Détail</th></tr></thead>
+            <tbody>${rowHtml}</tbody>
+        </table>${more}`;
+}
+
+/**
+ * Apply the pending import with the selected mode and show the summary
+ */
+function confirmImport() {
+    if (!pendingImport) return;
+
+    const mode = document.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
+    const folderName = document.getElementById('import-folder-name')?.value.trim() || pendingImport.fileName;
+
+    try {
+        const summary = applyImport(pendingImport.data, mode, folderName);
+        showSummary(summary);
+    } catch (error) {
+        console.error('Import error:', error);
+        alert('Erreur lors de l\'import: ' + error.message);
+        closeModal('modal-import');
+    } finally {
+        pendingImport = null;
+    }
+}
+
+/**
+ * Build a comparable signature of a feature's content, ignoring its ID and visibility
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string} Signature
+ */
+function featureSignature(feature) {
+    const properties = { ...feature.properties };
+    delete properties._visible;
+    delete properties.id;
+    return JSON.stringify([feature.geometry, properties]);
+}
+
+/**
+ * Add imported folders to the state, re-keying IDs that clash with existing folders
+ * @param {Array<Object>} folders - Folders from the file
+ * @param {string} mode - Import mode
+ * @param {string} folderName - Name of the destination folder in "folder" mode
+ * @param {Object} summary - Summary counters, updated in place
+ * @returns {{folderIds: Map<string, string>, rootFolderId: string|null}} Folder ID mapping
+ */
+function importFolders(folders, mode, folderName, summary) {
+    const folderIds = new Map();
+    let rootFolderId = null;
+
+    if (mode === 'folder') {
+        rootFolderId = `folder-${generateId()}`;
+        state.folders.push({ id: rootFolderId, name: folderName, collapsed: false, visible: true });
+        summary.foldersAdded++;
+    }
+
+    folders.forEach(folder => {
+        const name = mode === 'folder' ? `${folderName}${FOLDER_PATH_SEPARATOR}${folder.name}` : folder.name;
+        const existing = state.folders.find(f => f.id === folder.id);
+
+        if (existing && existing.name === name) {
+            // Same folder exported from another copy of the map: share it
+            folderIds.set(folder.id, existing.id);
+            return;
+        }
+
+        const id = existing || !folder.id ? `folder-${generateId()}` : folder.id;
+        if (existing) summary.foldersRenamed++;
+        state.folders.push({ ...folder, id, name });
+        folderIds.set(folder.id, id);
+        summary.foldersAdded++;
+    });
+
+    return { folderIds, rootFolderId };
+}
+
+/**
+ * Import a FeatureCollection into the current map.
+ * - "replace" clears the map first (previous behaviour)
+ * - "merge" adds the elements and folders next to the existing ones
+ * - "folder" puts everything in a new folder, sub-folders becoming "Folder / Sub-folder"
+ * Features are first migrated from the file's data version; those that cannot be understood
+ * are quarantined (listed in the summary) instead of aborting the import.
+ * In merge modes, features whose ID clashes with an existing one are re-keyed, unless they
+ * are identical copies, which are skipped.
+ * @param {Object} data - GeoJSON FeatureCollection
+ * @param {string} mode - 'replace', 'merge' or 'folder'
+ * @param {string} [folderName] - Destination folder name in "folder" mode
+ * @returns {Object} Summary of added, skipped, renamed and quarantined elements and folders
+ */
+export function applyImport(data, mode, folderName = 'Import') {
+    const summary = { added: 0, skipped: 0, renamed: 0, foldersAdded: 0, foldersRenamed: 0, quarantined: [] };
+    const props = data.properties || {};
+    const { features, quarantined } = migrateFeatureCollection(data);
+    summary.quarantined.push(...quarantined);
+    const before = captureState(null);
+
+    if (mode === 'replace') {
+        clearAllElements();
+    }
+
+    const { folderIds, rootFolderId } = importFolders(props.folders || [], mode, folderName, summary);
+
+    const existing = new Map(state.features.map(f => [f.id, featureSignature(f)]));
+    const imported = [];
+
+    features.forEach(feature => {
+        const folderId = feature.properties.folderId;
+        feature.properties.folderId = folderIds.get(folderId) ?? (state.folders.some(f => f.id === folderId) ? folderId : rootFolderId);
+
+        if (existing.has(feature.id)) {
+            if (existing.get(feature.id) === featureSignature(feature)) {
+                summary.skipped++;
+                return;
+            }
+            feature.id = generateId();
+            if (feature.properties.id) feature.properties.id = feature.id;
+            summary.renamed++;
+        } else if (feature.id === undefined || feature.id === null) {
+            feature.id = generateId();
+        }
+
+        try {
+            restoreFeature(feature, feature.properties._visible !== false, state.features.length, false);
+        } catch (error) {
+            console.error('Cannot display imported feature:', error);
+            summary.quarantined.push({ feature, reason: `Affichage impossible : ${error.message}` });
+            return;
+        }
+        existing.set(feature.id, featureSignature(feature));
+        imported.push(feature);
+        summary.added++;
+    });
+    updateElementList();
+
+    // Restore the saved view on replace, otherwise frame what was imported
+    if (mode === 'replace' && props.center && props.zoom) {
+        state.map.setView(props.center, props.zoom);
+    } else if (imported.length > 0) {
+        const [minLng, minLat, maxLng, maxLat] = turf.bbox({ type: 'FeatureCollection', features: imported });
+        state.map.fitBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [50, 50], maxZoom: 16 });
+    }
+
+    saveState();
+    recordChange(`Import (${summary.added} élément(s))`, before);
+    return summary;
+}
+
+/**
+ * List the reasons why features were quarantined, with a count per reason
+ * @param {Array<{feature: Object, reason: string}>} quarantined - Quarantined features
+ * @returns {string} HTML fragment
+ */
+function quarantineDetails(quarantined) {
+    if (quarantined.length === 0) return '';
+
+    const counts = new Map();
+    quarantined.forEach(({ reason }) => counts.set(reason, (counts.get(reason) || 0) + 1));
+    const items = [...counts].map(([reason, count]) => `<li>${escapeXML(reason)} (${count})</li>`).join('');
+    return `<ul class="import-quarantine">${items}</ul>`;
+}
+
+/**
+ * Show the import summary in the dialog
+ * @param {Object} summary - Summary from applyImport
+ */
+function showSummary(summary) {
+    const rows = [
+        ['Éléments ajoutés', summary.added],
+        ['Éléments ignorés (doublons)', summary.skipped],
+        ['Éléments non reconnus', summary.quarantined.length],
+        ['Éléments renommés (ID en conflit)', summary.renamed],
+        ['Dossiers ajoutés', summary.foldersAdded],
+        ['Dossiers renommés (ID en conflit)', summary.foldersRenamed]
+    ];
+
+    document.getElementById('import-summary').innerHTML = rows.map(([label, value]) => `
+        <div class="result-item">
+            <span class="result-label">${label}:</span>
+            <span class="result-value">${value}</span>
+        </div>`).join('') + quarantineDetails(summary.quarantined);
+
+    document.getElementById('import-options').classList.add('hidden');
+    document.getElementById('import-report').classList.add('hidden');
+    document.getElementById('import-summary').classList.remove('hidden');
+    document.getElementById('import-buttons').classList.add('hidden');
+    document.getElementById('import-summary-buttons').classList.remove('hidden');
+}
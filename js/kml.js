@@ -0,0 +1,415 @@
+/**
+ * KML/KMZ conversion - placemarks, folders and styles
+ * @module kml
+ */
+
+import { CONFIG, FOLDER_PATH_SEPARATOR } from './config.js';
+import { isElementType } from './migrations.js';
+import { childElements, childText, escapeXML, generateId, parseXML } from './utils.js';
+
+/** @constant {string} KML 2.2 namespace */
+const KML_NS = 'http://www.opengis.net/kml/2.2';
+
+/** @constant {number} Number of vertices used to densify circles on export */
+const CIRCLE_STEPS = 64;
+
+/** @constant {Set<string>} Measurement types stored as a GeometryCollection */
+const COLLECTION_TYPES = new Set(['measurement-centroid', 'measurement-bbox', 'measurement-along']);
+
+/** @constant {Set<string>} Properties written as native KML elements rather than ExtendedData */
+const NATIVE_PROPERTIES = new Set(['title', 'description', 'color', 'folderId', '_visible']);
+
+/**
+ * Convert a KML color (aabbggrr) to a CSS hex color (#rrggbb)
+ * @param {string|null} kmlColor - KML color string
+ * @returns {string|null} CSS color or null if invalid
+ */
+function kmlColorToHex(kmlColor) {
+    const match = /^[0-9a-f]{8}$/i.exec(kmlColor?.trim() || '');
+    if (!match) return null;
+    const c = match[0];
+    return `#${c.slice(6, 8)}${c.slice(4, 6)}${c.slice(2, 4)}`.toLowerCase();
+}
+
+/**
+ * Convert a CSS hex color (#rrggbb) to a KML color (aabbggrr)
+ * @param {string} hex - CSS color
+ * @param {string} [alpha='ff'] - Alpha channel as two hex digits
+ * @returns {string} KML color
+ */
+function hexToKmlColor(hex, alpha = 'ff') {
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    const c = match ? match[1] : CONFIG.colors.default.slice(1);
+    return `${alpha}${c.slice(4, 6)}${c.slice(2, 4)}${c.slice(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Extract the representative color of a KML Style element
+ * @param {Element} style - Style element
+ * @returns {{icon: string|null, line: string|null, poly: string|null}} Colors by style kind
+ */
+function readStyle(style) {
+    const colorOf = (name) => {
+        const el = childElements(style, name)[0];
+        return el ? kmlColorToHex(childText(el, 'color')) : null;
+    };
+    return { icon: colorOf('IconStyle'), line: colorOf('LineStyle'), poly: colorOf('PolyStyle') };
+}
+
+/**
+ * Collect shared styles (Style and StyleMap) declared anywhere in the document
+ * @param {Document} doc - KML document
+ * @returns {Map<string, Object>} Style ID to colors
+ */
+function collectStyles(doc) {
+    const styles = new Map();
+    [...doc.getElementsByTagNameNS('*', 'Style')].forEach(style => {
+        const id = style.getAttribute('id');
+        if (id) styles.set(id, readStyle(style));
+    });
+
+    // StyleMap points to the "normal" style
+    [...doc.getElementsByTagNameNS('*', 'StyleMap')].forEach(styleMap => {
+        const id = styleMap.getAttribute('id');
+        const normal = childElements(styleMap, 'Pair').find(pair => childText(pair, 'key') === 'normal');
+        const url = normal ? childText(normal, 'styleUrl') : null;
+        if (id && url) styles.set(id, styles.get(url.replace(/^.*#/, '')) || {});
+    });
+    return styles;
+}
+
+/**
+ * Parse KML coordinates text ("lng,lat[,alt] ...") into GeoJSON positions
+ * @param {string|null} text - Coordinates text
+ * @returns {Array<Array<number>>} Positions
+ */
+function parseCoordinates(text) {
+    return (text || '').trim().split(/\s+/)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(c => c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]))
+        .map(c => (c.length > 2 && Number.isFinite(c[2]) && c[2] !== 0 ? c.slice(0, 3) : c.slice(0, 2)));
+}
+
+/**
+ * Read a KML geometry element into a GeoJSON geometry
+ * @param {Element} el - Point, LineString, LinearRing, Polygon or MultiGeometry element
+ * @returns {Object|null} GeoJSON geometry or null if unsupported or empty
+ */
+function readGeometry(el) {
+    switch (el.localName) {
+        case 'Point': {
+            const coords = parseCoordinates(childText(el, 'coordinates'));
+            return coords.length ? { type: 'Point', coordinates: coords[0] } : null;
+        }
+        case 'LineString': {
+            const coords = parseCoordinates(childText(el, 'coordinates'));
+            return coords.length >= 2 ? { type: 'LineString', coordinates: coords } : null;
+        }
+        case 'LinearRing':
+        case 'Polygon': {
+            const ringOf = (boundary) => {
+                const ring = boundary.localName === 'LinearRing' ? boundary : childElements(boundary, 'LinearRing')[0];
+                return ring ? parseCoordinates(childText(ring, 'coordinates')) : [];
+            };
+            const outer = el.localName === 'LinearRing' ? ringOf(el) : childElements(el, 'outerBoundaryIs').map(ringOf)[0];
+            if (!outer || outer.length < 4) return null;
+            const holes = childElements(el, 'innerBoundaryIs').map(ringOf).filter(ring => ring.length >= 4);
+            return { type: 'Polygon', coordinates: [outer, ...holes] };
+        }
+        case 'MultiGeometry': {
+            const geometries = [...el.children].map(readGeometry).filter(Boolean);
+            return geometries.length ? { type: 'GeometryCollection', geometries } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Read ExtendedData entries of a placemark; values marked type="json" by our export are
+ * decoded, all others are kept as text
+ * @param {Element} placemark - Placemark element
+ * @returns {Object} Extended properties
+ */
+function readExtendedData(placemark) {
+    const extended = childElements(placemark, 'ExtendedData')[0];
+    if (!extended) return {};
+
+    const data = {};
+    childElements(extended, 'Data').forEach(d => {
+        const name = d.getAttribute('name');
+        const raw = childText(d, 'value');
+        if (!name || raw === null) return;
+        if (d.getAttribute('type') !== 'json') {
+            data[name] = raw;
+            return;
+        }
+        try {
+            data[name] = JSON.parse(raw);
+        } catch {
+            data[name] = raw;
+        }
+    });
+    return data;
+}
+
+/** @constant {Object} Element type and style kind used for each foreign geometry type */
+const GEOMETRY_TYPES = {
+    Point: { type: 'marker', style: 'icon' },
+    LineString: { type: 'line', style: 'line' },
+    Polygon: { type: 'polygon', style: 'poly' }
+};
+
+/**
+ * Merge the parts of an exported multi-part line or polygon back into one geometry
+ * @param {Array<Object>} geometries - Geometries of a MultiGeometry
+ * @returns {Object} MultiLineString, MultiPolygon, or the first geometry if the parts differ
+ */
+function mergeParts(geometries) {
+    const [first] = geometries;
+    if (geometries.length < 2 || !geometries.every(g => g.type === first.type)) return first;
+    if (first.type === 'LineString') return { type: 'MultiLineString', coordinates: geometries.map(g => g.coordinates) };
+    if (first.type === 'Polygon') return { type: 'MultiPolygon', coordinates: geometries.map(g => g.coordinates) };
+    return first;
+}
+
+/**
+ * Build the application features for one placemark.
+ * Placemarks exported by Cartouille carry their element type in ExtendedData and are
+ * restored as-is (circles are collapsed back to their center); foreign MultiGeometry
+ * placemarks are split into one element per part.
+ * @param {Element} placemark - Placemark element
+ * @param {Map<string, Object>} styles - Shared styles
+ * @param {string|null} folderId - Folder to place the elements in
+ * @returns {Array<Object>} GeoJSON features
+ */
+function readPlacemark(placemark, styles, folderId) {
+    const geometry = [...placemark.children].map(readGeometry).find(Boolean);
+    if (!geometry) return [];
+
+    const inlineStyle = childElements(placemark, 'Style')[0];
+    const styleUrl = childText(placemark, 'styleUrl');
+    const style = inlineStyle ? readStyle(inlineStyle) : styles.get(styleUrl?.replace(/^.*#/, '')) || {};
+
+    const extended = readExtendedData(placemark);
+    const common = {
+        title: childText(placemark, 'name') || '',
+        description: childText(placemark, 'description') || '',
+        folderId
+    };
+    if (childText(placemark, 'visibility') === '0') common._visible = false;
+
+    // Round-trip of our own export
+    if (typeof extended.type === 'string' && isElementType(extended.type)) {
+        const properties = { ...extended, ...common };
+        properties.color = style.line || style.poly || style.icon || CONFIG.colors[properties.type] || CONFIG.colors.default;
+
+        let geom = geometry;
+        if (properties.type === 'circle') {
+            const center = turf.centroid({ type: 'Feature', geometry, properties: {} });
+            geom = center.geometry;
+        } else if (geometry.type === 'GeometryCollection' && !COLLECTION_TYPES.has(properties.type)) {
+            geom = mergeParts(geometry.geometries);
+        }
+        return [{ type: 'Feature', id: generateId(), geometry: geom, properties }];
+    }
+
+    // Foreign placemark: one element per simple geometry
+    const parts = geometry.type === 'GeometryCollection' ? geometry.geometries : [geometry];
+    return parts.flatMap((part, i) => {
+        const mapping = GEOMETRY_TYPES[part.type];
+        if (!mapping) return [];
+        const properties = {
+            ...common,
+            type: mapping.type,
+            color: style[mapping.style] || style.line || style.icon || CONFIG.colors[`drawing-${mapping.type}`]
+        };
+        if (parts.length > 1) properties.title = `${common.title} (${i + 1})`;
+        if (mapping.type === 'line') {
+            properties.distance = turf.length({ type: 'Feature', geometry: part, properties: {} }, { units: 'meters' });
+        }
+        return [{ type: 'Feature', id: generateId(), geometry: part, properties }];
+    });
+}
+
+/**
+ * Parse a KML document into a FeatureCollection using the application's element types.
+ * Nested folders are flattened into folder names joined with {@link FOLDER_PATH_SEPARATOR}.
+ * @param {string} text - KML file content
+ * @returns {Object} GeoJSON FeatureCollection with folders in its properties
+ */
+export function parseKML(text) {
+    const doc = parseXML(text);
+    if (doc.documentElement.localName !== 'kml') {
+        throw new Error('Le fichier n\'est pas un document KML');
+    }
+
+    const styles = collectStyles(doc);
+    const folders = [];
+    const features = [];
+
+    const walk = (container, path, folderId) => {
+        [...container.children].forEach(child => {
+            if (child.localName === 'Placemark') {
+                features.push(...readPlacemark(child, styles, folderId));
+            } else if (child.localName === 'Document') {
+                walk(child, path, folderId);
+            } else if (child.localName === 'Folder') {
+                const name = childText(child, 'name') || 'Dossier';
+                const folderPath = [...path, name];
+                const folder = {
+                    id: `folder-${generateId()}`,
+                    name: folderPath.join(FOLDER_PATH_SEPARATOR),
+                    collapsed: false,
+                    visible: childText(child, 'visibility') !== '0'
+                };
+                folders.push(folder);
+                walk(child, folderPath, folder.id);
+            }
+        });
+    };
+    walk(doc.documentElement, [], null);
+
+    return { type: 'FeatureCollection', features, properties: { folders } };
+}
+
+/**
+ * Parse a KMZ archive (zipped KML) into a FeatureCollection
+ * @param {Blob|ArrayBuffer} data - KMZ file content
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+export async function parseKMZ(data) {
+    const zip = await JSZip.loadAsync(data);
+    const kmlFiles = Object.values(zip.files).filter(f => !f.dir && f.name.toLowerCase().endsWith('.kml'));
+    // By convention the main document is doc.kml, otherwise the first KML at the root
+    const main = kmlFiles.find(f => f.name.toLowerCase() === 'doc.kml') ||
+        kmlFiles.sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+    if (!main) {
+        throw new Error('Aucun fichier KML dans l\'archive KMZ');
+    }
+    return parseKML(await main.async('string'));
+}
+
+/**
+ * Serialize a GeoJSON geometry to KML
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string} KML geometry fragment
+ */
+function geometryToKML(geometry) {
+    const coordsText = (coords) => coords.map(c => c.join(',')).join(' ');
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${geometry.coordinates.join(',')}</coordinates></Point>`;
+        case 'LineString':
+            return `<LineString><tessellate>1</tessellate><coordinates>${coordsText(geometry.coordinates)}</coordinates></LineString>`;
+        case 'Polygon': {
+            const [outer, ...holes] = geometry.coordinates;
+            const ring = (coords) => `<LinearRing><coordinates>${coordsText(coords)}</coordinates></LinearRing>`;
+            return `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>${holes.map(h => `<innerBoundaryIs>${ring(h)}</innerBoundaryIs>`).join('')}</Polygon>`;
+        }
+        case 'MultiLineString':
+        case 'MultiPolygon': {
+            const type = geometry.type.slice('Multi'.length);
+            const parts = geometry.coordinates.map(coordinates => geometryToKML({ type, coordinates }));
+            return `<MultiGeometry>${parts.join('')}</MultiGeometry>`;
+        }
+        case 'GeometryCollection':
+            return `<MultiGeometry>${geometry.geometries.map(geometryToKML).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Serialize a feature to a KML Placemark
+ * @param {Object} feature - GeoJSON feature
+ * @param {boolean} visible - Whether the element is visible
+ * @returns {string} Placemark XML
+ */
+function featureToPlacemark(feature, visible) {
+    const props = feature.properties;
+    let geometry = feature.geometry;
+
+    // Circles are stored as center + radius: export a real polygon
+    if (props.type === 'circle') {
+        geometry = turf.circle(geometry.coordinates, props.radius / 1000, { steps: CIRCLE_STEPS, units: 'kilometers' }).geometry;
+    }
+
+    const color = props.color || CONFIG.colors.default;
+    const style = `<Style><IconStyle><color>${hexToKmlColor(color)}</color></IconStyle>` +
+        `<LineStyle><color>${hexToKmlColor(color)}</color><width>2</width></LineStyle>` +
+        `<PolyStyle><color>${hexToKmlColor(color, '4d')}</color></PolyStyle></Style>`;
+
+    const data = Object.entries(props)
+        .filter(([key, value]) => !NATIVE_PROPERTIES.has(key) && value !== undefined && value !== null)
+        .map(([key, value]) => (typeof value === 'string'
+            ? `<Data name="${escapeXML(key)}"><value>${escapeXML(value)}</value></Data>`
+            // Marked so that strings such as "1234" or "true" are not decoded on import
+            : `<Data name="${escapeXML(key)}" type="json"><value>${escapeXML(JSON.stringify(value))}</value></Data>`))
+        .join('');
+
+    return `<Placemark><name>${escapeXML(props.title)}</name>` +
+        (visible ? '' : '<visibility>0</visibility>') +
+        (props.description ? `<description>${escapeXML(props.description)}</description>` : '') +
+        style +
+        `<ExtendedData>${data}</ExtendedData>` +
+        geometryToKML(geometry) +
+        '</Placemark>';
+}
+
+/**
+ * Convert features and folders to a KML document.
+ * Folder names containing {@link FOLDER_PATH_SEPARATOR} are rebuilt as nested folders.
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Array<Object>} folders - Application folders
+ * @param {Map<string, boolean>} [visibility] - Visibility by feature ID
+ * @returns {string} KML document
+ */
+export function toKML(features, folders, visibility = new Map()) {
+    const root = { children: new Map(), placemarks: [], visible: true };
+    const nodeFor = (folder) => {
+        let node = root;
+        folder.name.split(FOLDER_PATH_SEPARATOR).forEach(part => {
+            if (!node.children.has(part)) {
+                node.children.set(part, { children: new Map(), placemarks: [], visible: true });
+            }
+            node = node.children.get(part);
+        });
+        node.visible = folder.visible !== false;
+        return node;
+    };
+    const folderNodes = new Map(folders.map(f => [f.id, nodeFor(f)]));
+
+    features.forEach(feature => {
+        const node = folderNodes.get(feature.properties.folderId) || root;
+        node.placemarks.push(featureToPlacemark(feature, visibility.get(feature.id) !== false));
+    });
+
+    const render = (node) => [
+        ...[...node.children].map(([name, child]) =>
+            `<Folder><name>${escapeXML(name)}</name>${child.visible ? '' : '<visibility>0</visibility>'}${render(child)}</Folder>`),
+        ...node.placemarks
+    ].join('\n');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<kml xmlns="${KML_NS}">`,
+        '<Document><name>Cartouille</name>',
+        render(root),
+        '</Document>',
+        '</kml>'
+    ].join('\n');
+}
+
+/**
+ * Convert features and folders to a KMZ archive
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Array<Object>} folders - Application folders
+ * @param {Map<string, boolean>} [visibility] - Visibility by feature ID
+ * @returns {Promise<Blob>} KMZ archive
+ */
+export async function toKMZ(features, folders, visibility) {
+    const zip = new JSZip();
+    zip.file('doc.kml', toKML(features, folders, visibility));
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', mimeType: 'application/vnd.google-earth.kmz' });
+}
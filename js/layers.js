@@ -20,37 +20,57 @@ export function initLayers() {
     setupLayerControls();
 }
 
+/** @constant {string} Query string shared by the IGN WMTS tile URLs */
+const WMTS_QUERY = 'SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&STYLE=normal&TILEMATRIXSET=PM&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}';
+
 /**
- * Initialize base tile layers
+ * @typedef {Object} BaseLayerDefinition
+ * @property {string} label - Display name
+ * @property {string} url - Leaflet tile URL template
+ * @property {Object} options - Leaflet tile layer options
+ * @property {boolean} offline - True if the tiles may be downloaded for offline use
  */
-function initBaseLayers() {
-    const ignPlan = L.tileLayer(
-        `${CONFIG.endpoints.wmtsPublic}?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=GEOGRAPHICALGRIDSYSTEMS.PLANIGNV2&STYLE=normal&TILEMATRIXSET=PM&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}&FORMAT=image/png`,
-        { attribution: '&copy; IGN', maxZoom: 22, maxNativeZoom: 19 }
-    );
-
-    const ignScan25 = L.tileLayer(
-        `${CONFIG.endpoints.wmtsPrivate}?apikey=${CONFIG.ignApiKey}&SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=GEOGRAPHICALGRIDSYSTEMS.MAPS.SCAN25TOUR&STYLE=normal&TILEMATRIXSET=PM&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}&FORMAT=image/jpeg`,
-        { attribution: '&copy; IGN', maxZoom: 22, maxNativeZoom: 16, minZoom: 6 }
-    );
-
-    const ignOrthoBase = L.tileLayer(
-        `${CONFIG.endpoints.wmtsPublic}?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=ORTHOIMAGERY.ORTHOPHOTOS&STYLE=normal&TILEMATRIXSET=PM&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}&FORMAT=image/jpeg`,
-        { attribution: '&copy; IGN', maxZoom: 22, maxNativeZoom: 19 }
-    );
 
-    const osm = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; OpenStreetMap contributors',
-        maxZoom: 22,
-        maxNativeZoom: 19
-    });
+/**
+ * Base tile layers. Tiles are requested with CORS so that the service worker can cache them.
+ * @type {Object<string, BaseLayerDefinition>}
+ */
+export const BASE_LAYERS = {
+    scan25: {
+        label: 'IGN Scan 25',
+        url: `${CONFIG.endpoints.wmtsPrivate}?apikey=${CONFIG.ignApiKey}&${WMTS_QUERY}&LAYER=GEOGRAPHICALGRIDSYSTEMS.MAPS.SCAN25TOUR&FORMAT=image/jpeg`,
+        options: { attribution: '&copy; IGN', maxZoom: 22, maxNativeZoom: 16, minZoom: 6 },
+        offline: true
+    },
+    plan: {
+        label: 'IGN Plan',
+        url: `${CONFIG.endpoints.wmtsPublic}?${WMTS_QUERY}&LAYER=GEOGRAPHICALGRIDSYSTEMS.PLANIGNV2&FORMAT=image/png`,
+        options: { attribution: '&copy; IGN', maxZoom: 22, maxNativeZoom: 19 },
+        offline: true
+    },
+    ortho: {
+        label: 'IGN Ortho',
+        url: `${CONFIG.endpoints.wmtsPublic}?${WMTS_QUERY}&LAYER=ORTHOIMAGERY.ORTHOPHOTOS&FORMAT=image/jpeg`,
+        options: { attribution: '&copy; IGN', maxZoom: 22, maxNativeZoom: 19 },
+        offline: true
+    },
+    // The OpenStreetMap tile usage policy forbids bulk downloads: cached while browsing only
+    osm: {
+        label: 'OpenStreetMap',
+        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        options: { attribution: '&copy; OpenStreetMap contributors', maxZoom: 22, maxNativeZoom: 19 },
+        offline: false
+    }
+};
 
-    state.layers.base = {
-        'scan25': ignScan25,
-        'plan': ignPlan,
-        'ortho': ignOrthoBase,
-        'osm': osm
-    };
+/**
+ * Initialize base tile layers
+ */
+function initBaseLayers() {
+    state.layers.base = Object.fromEntries(Object.entries(BASE_LAYERS).map(([key, def]) => [
+        key,
+        L.tileLayer(def.url, { ...def.options, crossOrigin: true })
+    ]));
 
     // Add default layer
     state.layers.base['scan25'].addTo(state.map);
@@ -61,8 +81,8 @@ function initBaseLayers() {
  */
 function initOverlayLayers() {
     state.layers.overlayOrtho = L.tileLayer(
-        `${CONFIG.endpoints.wmtsPublic}?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=ORTHOIMAGERY.ORTHOPHOTOS&STYLE=normal&TILEMATRIXSET=PM&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}&FORMAT=image/jpeg`,
-        { attribution: '&copy; IGN', maxZoom: 19, opacity: 0.5, pane: 'orthoPane' }
+        BASE_LAYERS.ortho.url,
+        { attribution: '&copy; IGN', maxZoom: 19, opacity: 0.5, pane: 'orthoPane', crossOrigin: true }
     );
 
     state.layers.parcChartreuse = null;
@@ -393,21 +413,23 @@ function setSlider(sliderId, labelId, value, suffix) {
     }
 }
 
+/** @constant {Array<Array<string>>} Layer setting keys and their checkbox IDs */
+const LAYER_TRIGGERS = [
+    ['orthoEnabled', 'overlay-ortho'],
+    ['buildingsEnabled', 'overlay-buildings'],
+    ['buffersEnabled', 'overlay-buffers'],
+    ['parcChartreuseEnabled', 'overlay-parc-chartreuse'],
+    ['contourEnabled', 'overlay-contour']
+];
+
 /**
- * Trigger change event on enabled layers
+ * Trigger change event on enabled layers and on layers that were just switched off
  * @param {Object} settings - Layer settings object
+ * @param {Set<string>} switchedOff - Checkbox IDs unchecked by the restore
  */
-function triggerLayerUpdates(settings) {
-    const layerTriggers = [
-        ['orthoEnabled', 'overlay-ortho'],
-        ['buildingsEnabled', 'overlay-buildings'],
-        ['buffersEnabled', 'overlay-buffers'],
-        ['parcChartreuseEnabled', 'overlay-parc-chartreuse'],
-        ['contourEnabled', 'overlay-contour']
-    ];
-
-    for (const [settingKey, elementId] of layerTriggers) {
-        if (settings[settingKey]) {
+function triggerLayerUpdates(settings, switchedOff) {
+    for (const [settingKey, elementId] of LAYER_TRIGGERS) {
+        if (settings[settingKey] || switchedOff.has(elementId)) {
             document.getElementById(elementId)?.dispatchEvent(new Event('change'));
         }
     }
@@ -418,6 +440,18 @@ function triggerLayerUpdates(settings) {
  * @param {Object} settings - Layer settings object
  */
 export function restoreLayerSettings(settings) {
+    // Layers enabled before the restore (e.g. by another project) must be removed
+    const switchedOff = new Set(LAYER_TRIGGERS
+        .filter(([settingKey, elementId]) => !settings[settingKey] && document.getElementById(elementId)?.checked)
+        .map(([, elementId]) => elementId));
+
+    // Base layer
+    const baseSelect = document.getElementById('base-layer-select');
+    if (baseSelect && state.layers.base?.[settings.baseLayer] && baseSelect.value !== settings.baseLayer) {
+        baseSelect.value = settings.baseLayer;
+        baseSelect.dispatchEvent(new Event('change'));
+    }
+
     // Ortho layer
     setCheckbox('overlay-ortho', settings.orthoEnabled, 'opacity-control');
     setSlider('ortho-opacity', 'opacity-value', settings.orthoOpacity, '%');
@@ -438,5 +472,5 @@ export function restoreLayerSettings(settings) {
     }
 
     // Trigger layer updates after map is ready
-    setTimeout(() => triggerLayerUpdates(settings), LAYER_RESTORE_DELAY);
+    setTimeout(() => triggerLayerUpdates(settings, switchedOff), LAYER_RESTORE_DELAY);
 }
@@ -4,18 +4,31 @@
  * @module main
  */
 
+import { initCoordinateConverter } from './coordinates.js';
 import { initTools } from './drawing.js';
+import { initEditing } from './editing.js';
+import { initElevation } from './elevation.js';
 import { initContextMenu } from './events.js';
+import { initFreehand } from './freehand.js';
+import { initHistory } from './history.js';
 import { initLayers } from './layers.js';
 import { initMap } from './map.js';
 import { initMeasurementTools } from './measurements.js';
+import { initOffline } from './offline.js';
+import { initOperations } from './operations.js';
 import { initDataManagement, restoreState } from './persistence.js';
-import { initCollapsibleSections, initCoordinateConverter, initSearch, initSettings } from './ui.js';
+import { initProjects } from './projects.js';
+import { initResection } from './resection.js';
+import { initShare, openSharedLink } from './share.js';
+import { initSnapping } from './snapping.js';
+import { initTransform } from './transform.js';
+import { initTraverse } from './traverse.js';
+import { initCollapsibleSections, initSearch, initSettings } from './ui.js';
 
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
     // Check for Leaflet
     if (typeof L === 'undefined') {
         alert('Erreur: La librairie Leaflet n\'a pas pu être chargée. Vérifiez votre connexion internet.');
@@ -26,16 +39,30 @@ function init() {
     initMap();
     initLayers();
     initTools();
+    initTraverse();
+    initEditing();
+    initSnapping();
+    initFreehand();
+    initTransform();
+    initOperations();
     initContextMenu();
     initSearch();
     initDataManagement();
     initMeasurementTools();
+    initResection();
+    initElevation();
     initSettings();
     initCoordinateConverter();
     initCollapsibleSections();
+    initOffline();
 
-    // Restore saved state
-    restoreState();
+    // Restore the current project, unless the URL holds a shared link to preview
+    await initProjects();
+    await initHistory();
+    initShare();
+    if (!await openSharedLink()) {
+        await restoreState();
+    }
 
     console.log('Cartouille initialized successfully');
 }
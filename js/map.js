@@ -4,9 +4,9 @@
  */
 
 import { CONFIG } from './config.js';
-import { handleMapClick, handleMapDoubleClick, handleMouseMove } from './events.js';
+import { handleMapClick, handleMapDoubleClick, handleMapMouseDown, handleMapMouseUp, handleMouseMove } from './events.js';
 import { updateBuildings } from './layers.js';
-import { saveState } from './persistence.js';
+import { saveView } from './persistence.js';
 import { state } from './state.js';
 
 /**
@@ -28,7 +28,7 @@ export function initMap() {
 
     // Event Listeners
     state.map.on('moveend', () => {
-        saveState();
+        saveView();
         updateBuildings();
     });
     state.map.on('click', handleMapClick);
@@ -36,6 +36,8 @@ export function initMap() {
     state.map.on('mousedown', () => {
         document.getElementById('context-menu').classList.add('hidden');
     });
+    state.map.on('mousedown', handleMapMouseDown);
+    state.map.on('mouseup', handleMapMouseUp);
     state.map.on('zoomend', updateInfo);
     state.map.on('mousemove', handleMouseMove);
 
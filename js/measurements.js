@@ -4,12 +4,14 @@
  */
 
 import { CONFIG } from './config.js';
+import { describePosition } from './crs.js';
 import { setActiveTool } from './drawing.js';
 import { createPopupContent, updateElementList } from './elements.js';
 import { elementToGeoJSON } from './geojson.js';
+import { captureState, recordChange } from './history.js';
 import { saveState } from './persistence.js';
 import { clearCursorLayer, resetMeasurementState, state } from './state.js';
-import { closeModal, createCrossMarker, formatArea, formatCoord, formatDistance, generateId, getCardinalDirection, openModal } from './utils.js';
+import { closeModal, createCrossMarker, escapeXML, formatArea, formatDistance, generateId, getCardinalDirection, openModal } from './utils.js';
 
 /**
  * Initialize measurement tools
@@ -189,11 +191,11 @@ function calculateDistance(p1, p2) {
             </div>
             <div class="result-item">
                 <span class="result-label">Point A:</span>
-                <span class="result-value">${formatCoord(p1)}</span>
+                <span class="result-value">${describePosition(p1)}</span>
             </div>
             <div class="result-item">
                 <span class="result-label">Point B:</span>
-                <span class="result-value">${formatCoord(p2)}</span>
+                <span class="result-value">${describePosition(p2)}</span>
             </div>
         `
     };
@@ -223,11 +225,11 @@ function calculateBearing(p1, p2) {
             </div>
             <div class="result-item">
                 <span class="result-label">Point de départ:</span>
-                <span class="result-value">${formatCoord(p1)}</span>
+                <span class="result-value">${describePosition(p1)}</span>
             </div>
             <div class="result-item">
                 <span class="result-label">Point d'arrivée:</span>
-                <span class="result-value">${formatCoord(p2)}</span>
+                <span class="result-value">${describePosition(p2)}</span>
             </div>
         `
     };
@@ -285,7 +287,7 @@ function calculateCentroid(points, weights = null) {
         displayHtml: `
             <div class="result-item">
                 <span class="result-label">Centre de masse:</span>
-                <span class="result-value">${formatCoord(centroid)}</span>
+                <span class="result-value">${describePosition(centroid)}</span>
             </div>
             <div class="result-item">
                 <span class="result-label">Surface:</span>
@@ -329,15 +331,15 @@ function calculateBbox(points) {
         displayHtml: `
             <div class="result-item">
                 <span class="result-label">SO (min):</span>
-                <span class="result-value">${formatCoord(minCorner)}</span>
+                <span class="result-value">${describePosition(minCorner)}</span>
             </div>
             <div class="result-item">
                 <span class="result-label">NE (max):</span>
-                <span class="result-value">${formatCoord(maxCorner)}</span>
+                <span class="result-value">${describePosition(maxCorner)}</span>
             </div>
             <div class="result-item">
                 <span class="result-label">Centre:</span>
-                <span class="result-value">${formatCoord(bboxCenter)}</span>
+                <span class="result-value">${describePosition(bboxCenter)}</span>
             </div>
             <div class="result-item">
                 <span class="result-label">Dimensions:</span>
@@ -378,7 +380,7 @@ function calculateAlong(points) {
             </div>
             <div class="result-item">
                 <span class="result-label">Point à 50%:</span>
-                <span class="result-value">${formatCoord(alongPoint)}</span>
+                <span class="result-value">${describePosition(alongPoint)}</span>
             </div>
             <div class="result-item">
                 <span class="result-label">Nombre de segments:</span>
@@ -419,6 +421,7 @@ function saveMeasurementAsElement() {
     const result = state.measurement.result;
     if (!result) return;
 
+    const before = captureState([]);
     const title = document.getElementById('measurement-result-name')?.value || result.title;
     const id = generateId();
     const color = CONFIG.colors[result.type] || CONFIG.colors.default;
@@ -487,7 +490,7 @@ function saveMeasurementAsElement() {
     state.featureVisibility.set(id, true);
 
     // Bind popup and tooltip
-    const tooltipText = feature.properties.title || '';
+    const tooltipText = escapeXML(feature.properties.title || '');
     if (layer instanceof L.LayerGroup) {
         layer.eachLayer(subLayer => {
             if (subLayer.bindPopup) {
@@ -506,6 +509,7 @@ function saveMeasurementAsElement() {
 
     updateElementList();
     saveState();
+    recordChange(`Création de « ${title} »`, before, [id]);
     closeModal('modal-measurement-result');
     cancelMeasurement();
 }
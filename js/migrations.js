@@ -0,0 +1,251 @@
+/**
+ * Data format migrations and feature validation for saved and imported data
+ * @module migrations
+ */
+
+import { DATA_VERSION } from './config.js';
+import { isValidShape } from './shapes.js';
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} version - Data version introducing the current layout
+ * @property {string} description - What the migration upgrades
+ * @property {Function} migrate - Upgrades a feature in place; must be a no-op on already migrated features
+ */
+
+/**
+ * Check that a value is a {lat, lng} object with finite coordinates
+ * @param {*} point - Value to check
+ * @returns {boolean} True if valid
+ */
+function isLatLng(point) {
+    return Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+}
+
+/** @type {Array<Migration>} Migrations in ascending version order */
+const MIGRATIONS = [
+    {
+        version: '3.0',
+        description: 'Lines stored as start/end points become LineString geometries',
+        migrate(feature) {
+            const props = feature.properties;
+            if (feature.geometry?.type === 'LineString' || !isLatLng(props.start) || !isLatLng(props.end)) return;
+
+            const coordinates = [[props.start.lng, props.start.lat], [props.end.lng, props.end.lat]];
+            feature.geometry = { type: 'LineString', coordinates };
+
+            const meters = turf.length(turf.lineString(coordinates), { units: 'meters' });
+            if (props.type === 'line' || props.type === 'bearing') {
+                props.distance ??= meters;
+            } else {
+                props.distanceM ??= meters;
+                props.distanceKm ??= meters / 1000;
+            }
+            delete props.start;
+            delete props.end;
+        }
+    },
+    {
+        version: '4.0',
+        description: 'measurement-center (tool removed) becomes measurement-centroid, or a marker if only the point was kept',
+        migrate(feature) {
+            const props = feature.properties;
+            if (props.type !== 'measurement-center') return;
+
+            const geometries = feature.geometry?.geometries;
+            if (feature.geometry?.type === 'GeometryCollection' && geometries?.[0]?.type === 'Polygon' && geometries[1]?.type === 'Point') {
+                props.type = 'measurement-centroid';
+                if (!props.centroid) {
+                    const [lng, lat] = geometries[1].coordinates;
+                    props.centroid = props.center ?? { lat, lng };
+                }
+                delete props.center;
+            } else if (feature.geometry?.type === 'Point') {
+                props.type = 'marker';
+                delete props.center;
+            }
+        }
+    },
+    {
+        version: '4.1',
+        description: 'Elements gain an optional folder',
+        migrate(feature) {
+            feature.properties.folderId ??= null;
+        }
+    }
+];
+
+/** @constant {Object<string, Function>} Geometry check for each element type */
+const GEOMETRY_CHECKS = {
+    'marker': g => g.type === 'Point',
+    'circle': (g, props) => g.type === 'Point' && Number.isFinite(props.radius) && props.radius > 0,
+    'line': g => g.type === 'LineString' || g.type === 'MultiLineString',
+    'bearing': g => g.type === 'LineString',
+    'polygon': g => g.type === 'Polygon' || g.type === 'MultiPolygon',
+    'rectangle': (g, props) => g.type === 'Polygon' && isValidShape('rectangle', props),
+    'ellipse': (g, props) => g.type === 'Polygon' && isValidShape('ellipse', props),
+    'sector': (g, props) => g.type === 'Polygon' && isValidShape('sector', props),
+    'regular-polygon': (g, props) => g.type === 'Polygon' && isValidShape('regular-polygon', props),
+    'measurement-distance': g => g.type === 'LineString',
+    'measurement-bearing': g => g.type === 'LineString',
+    'measurement-area': g => g.type === 'Polygon',
+    'measurement-centroid': g => collectionOf(g, ['Polygon', 'Point']),
+    'measurement-bbox': g => collectionOf(g, ['Polygon', 'Polygon', 'Point']),
+    'measurement-along': g => collectionOf(g, ['LineString', 'Point'])
+};
+
+/** @constant {Set<string>} Element types that no longer exist but are upgraded by a migration */
+const LEGACY_TYPES = new Set(['measurement-center']);
+
+/**
+ * Check whether a type name is one of the application's element types (current or legacy)
+ * @param {string} type - Type name
+ * @returns {boolean} True for drawing and measurement types
+ */
+export function isElementType(type) {
+    return Object.hasOwn(GEOMETRY_CHECKS, type) || LEGACY_TYPES.has(type);
+}
+
+/**
+ * Check that a geometry is a GeometryCollection with the given member types
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Array<string>} types - Expected geometry types, in order
+ * @returns {boolean} True if it matches
+ */
+function collectionOf(geometry, types) {
+    return geometry.type === 'GeometryCollection' &&
+        Array.isArray(geometry.geometries) &&
+        types.every((type, i) => geometry.geometries[i]?.type === type);
+}
+
+/**
+ * Check that every position of a geometry is made of finite numbers, with enough positions
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if valid
+ */
+function hasValidCoordinates(geometry) {
+    const isPosition = c => Array.isArray(c) && c.length >= 2 && c.every(Number.isFinite);
+    const isLine = line => Array.isArray(line) && line.length >= 2 && line.every(isPosition);
+    const isRing = ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+    const isPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+    switch (geometry.type) {
+        case 'Point':
+            return isPosition(geometry.coordinates);
+        case 'LineString':
+            return isLine(geometry.coordinates);
+        case 'Polygon':
+            return isPolygon(geometry.coordinates);
+        case 'MultiLineString':
+            return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 && geometry.coordinates.every(isLine);
+        case 'MultiPolygon':
+            return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 && geometry.coordinates.every(isPolygon);
+        case 'GeometryCollection':
+            return geometry.geometries.every(hasValidCoordinates);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Compare two dotted version strings numerically
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+    const pa = String(a).split('.').map(n => Number.parseInt(n, 10) || 0);
+    const pb = String(b).split('.').map(n => Number.parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Find why a feature cannot be displayed
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string|null} Reason in French, or null if the feature is valid
+ */
+export function validateFeature(feature) {
+    if (!feature || typeof feature !== 'object') return 'Élément invalide';
+    if (!feature.geometry) return 'Géométrie absente';
+
+    const type = feature.properties?.type;
+    if (typeof type !== 'string') return 'Type d\'élément absent';
+
+    const check = GEOMETRY_CHECKS[type];
+    if (!check) return `Type d'élément inconnu : ${type}`;
+    if (!check(feature.geometry, feature.properties)) return `Géométrie incompatible avec le type ${type}`;
+    if (!hasValidCoordinates(feature.geometry)) return 'Coordonnées invalides';
+    return null;
+}
+
+/**
+ * Upgrade one feature from a data version to the current one, in place
+ * @param {Object} feature - GeoJSON feature
+ * @param {string} fromVersion - Version the feature was saved with
+ * @returns {boolean} True if a migration was applied
+ */
+export function migrateFeature(feature, fromVersion) {
+    if (!feature?.properties || typeof feature.properties !== 'object') return false;
+
+    const before = JSON.stringify(feature);
+    MIGRATIONS
+        .filter(m => compareVersions(fromVersion, m.version) < 0)
+        .forEach(m => m.migrate(feature));
+    return JSON.stringify(feature) !== before;
+}
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {Array<Object>} features - Valid, migrated features
+ * @property {Array<{feature: Object, reason: string}>} quarantined - Features that cannot be loaded
+ * @property {Set<Object>} migrated - Features changed by a migration
+ * @property {string} fromVersion - Version the data was saved with
+ * @property {boolean} newer - True if the data comes from a newer version of the application
+ */
+
+/**
+ * Migrate a list of features saved with a given version and set aside those that are invalid.
+ * Never throws: a feature whose migration fails is quarantined with the error message.
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {string} [fromVersion] - Data version; missing means unknown, so every migration is tried
+ * @returns {MigrationResult} Migration result
+ */
+export function migrateFeatures(features, fromVersion = '0') {
+    const result = {
+        features: [],
+        quarantined: [],
+        migrated: new Set(),
+        fromVersion,
+        newer: compareVersions(fromVersion, DATA_VERSION) > 0
+    };
+
+    features.forEach(feature => {
+        try {
+            if (migrateFeature(feature, fromVersion)) result.migrated.add(feature);
+            const reason = validateFeature(feature);
+            if (reason) {
+                result.quarantined.push({ feature, reason });
+            } else {
+                result.features.push(feature);
+            }
+        } catch (error) {
+            result.quarantined.push({ feature, reason: `Migration impossible : ${error.message}` });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Migrate a FeatureCollection to the current data version
+ * @param {Object} data - GeoJSON FeatureCollection
+ * @returns {MigrationResult} Migration result
+ */
+export function migrateFeatureCollection(data) {
+    const features = Array.isArray(data?.features) ? data.features : [];
+    return migrateFeatures(features, data?.properties?.version ?? '0');
+}
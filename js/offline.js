@@ -0,0 +1,461 @@
+/**
+ * Offline use - service worker registration, download of map areas into the tile cache
+ * and management of the downloaded areas
+ * @module offline
+ */
+
+import { OFFLINE_DOWNLOAD_CONCURRENCY, OFFLINE_MAX_TILES } from './config.js';
+import { BASE_LAYERS } from './layers.js';
+import { state } from './state.js';
+import { requestPersistentStorage } from './storage.js';
+import { closeModal, escapeXML, formatBytes, generateId, openModal } from './utils.js';
+
+/** @constant {string} Cache holding the downloaded tiles; must match OFFLINE_TILE_CACHE in sw.js */
+const OFFLINE_TILE_CACHE = 'cartouille-tiles-offline';
+
+/** @constant {string} localStorage key of the downloaded areas */
+const REGIONS_KEY = 'ignMapOfflineRegions';
+
+/** @constant {Object<string, number>} Average tile size per layer in bytes, used for the estimate */
+const AVERAGE_TILE_BYTES = {
+    scan25: 30000,
+    plan: 20000,
+    ortho: 35000
+};
+
+/**
+ * @typedef {Object} OfflineRegion
+ * @property {string} id - Region ID
+ * @property {string} name - Name given by the user
+ * @property {string} layer - Base layer key (see BASE_LAYERS)
+ * @property {string} url - Tile URL template used for the download (the API key may change later)
+ * @property {Array<number>} bounds - [south, west, north, east]
+ * @property {number} minZoom - Lowest zoom level downloaded
+ * @property {number} maxZoom - Highest zoom level downloaded
+ * @property {number} tileCount - Number of tiles in the area
+ * @property {number} bytes - Size of the tiles stored
+ * @property {string} createdAt - ISO date of the download
+ */
+
+/** @type {AbortController|null} Controller of the download in progress */
+let downloadController = null;
+
+/**
+ * Register the service worker that serves the application, the libraries and the tiles offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    // Relative path: the application may be hosted in a subdirectory
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Read the downloaded areas
+ * @returns {Array<OfflineRegion>} Areas
+ */
+function loadRegions() {
+    try {
+        const regions = JSON.parse(localStorage.getItem(REGIONS_KEY));
+        return Array.isArray(regions) ? regions : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Save the downloaded areas
+ * @param {Array<OfflineRegion>} regions - Areas
+ */
+function saveRegions(regions) {
+    localStorage.setItem(REGIONS_KEY, JSON.stringify(regions));
+}
+
+/**
+ * Compute the range of tiles covering some bounds at each zoom level
+ * @param {L.LatLngBounds} bounds - Area
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {Array<{z: number, min: L.Point, max: L.Point}>} Tile ranges
+ */
+function tileRanges(bounds, minZoom, maxZoom) {
+    const ranges = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const min = state.map.project(bounds.getNorthWest(), z).divideBy(256).floor();
+        const max = state.map.project(bounds.getSouthEast(), z).divideBy(256).floor();
+        ranges.push({ z, min, max });
+    }
+    return ranges;
+}
+
+/**
+ * Count the tiles covering some bounds
+ * @param {L.LatLngBounds} bounds - Area
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {number} Number of tiles
+ */
+function countTiles(bounds, minZoom, maxZoom) {
+    return tileRanges(bounds, minZoom, maxZoom)
+        .reduce((sum, { min, max }) => sum + (max.x - min.x + 1) * (max.y - min.y + 1), 0);
+}
+
+/**
+ * List the tile URLs of an area
+ * @param {string} url - Leaflet tile URL template
+ * @param {L.LatLngBounds} bounds - Area
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {Array<string>} Tile URLs
+ */
+function tileUrls(url, bounds, minZoom, maxZoom) {
+    const urls = [];
+    tileRanges(bounds, minZoom, maxZoom).forEach(({ z, min, max }) => {
+        for (let x = min.x; x <= max.x; x++) {
+            for (let y = min.y; y <= max.y; y++) {
+                urls.push(L.Util.template(url, { z, x, y }));
+            }
+        }
+    });
+    return urls;
+}
+
+/**
+ * List the tile URLs of a downloaded area
+ * @param {OfflineRegion} region - Area
+ * @returns {Array<string>} Tile URLs
+ */
+function regionTileUrls(region) {
+    const [south, west, north, east] = region.bounds;
+    return tileUrls(region.url, L.latLngBounds([south, west], [north, east]), region.minZoom, region.maxZoom);
+}
+
+/**
+ * Read the download form
+ * @returns {{name: string, layer: string, minZoom: number, maxZoom: number}} Form values
+ */
+function readDownloadForm() {
+    return {
+        name: document.getElementById('offline-name').value.trim(),
+        layer: document.getElementById('offline-layer').value,
+        minZoom: Number.parseInt(document.getElementById('offline-min-zoom').value, 10),
+        maxZoom: Number.parseInt(document.getElementById('offline-max-zoom').value, 10)
+    };
+}
+
+/**
+ * Check the download form
+ * @param {{layer: string, minZoom: number, maxZoom: number}} form - Form values
+ * @returns {string|null} Problem, or null if the download can start
+ */
+function checkDownloadForm({ layer, minZoom, maxZoom }) {
+    const def = BASE_LAYERS[layer];
+    if (!def?.offline) return 'Fond de carte non disponible hors ligne';
+    const lowest = def.options.minZoom ?? 0;
+    const highest = def.options.maxNativeZoom ?? def.options.maxZoom;
+    if (!Number.isInteger(minZoom) || !Number.isInteger(maxZoom)) return 'Niveaux de zoom invalides';
+    if (minZoom < lowest || maxZoom > highest) return `Zoom entre ${lowest} et ${highest} pour ce fond de carte`;
+    if (minZoom > maxZoom) return 'Le zoom minimum dépasse le zoom maximum';
+    return null;
+}
+
+/**
+ * Refresh the zoom limits, tile count and size estimate of the download dialog
+ */
+function updateEstimate() {
+    const form = readDownloadForm();
+    const def = BASE_LAYERS[form.layer];
+    const minInput = document.getElementById('offline-min-zoom');
+    const maxInput = document.getElementById('offline-max-zoom');
+    minInput.min = maxInput.min = def.options.minZoom ?? 0;
+    minInput.max = maxInput.max = def.options.maxNativeZoom ?? def.options.maxZoom;
+
+    const estimate = document.getElementById('offline-estimate');
+    const confirm = document.getElementById('btn-confirm-offline');
+    const problem = checkDownloadForm(form);
+    if (problem) {
+        estimate.textContent = problem;
+        confirm.disabled = true;
+        return;
+    }
+
+    const count = countTiles(state.map.getBounds(), form.minZoom, form.maxZoom);
+    const size = formatBytes(count * AVERAGE_TILE_BYTES[form.layer]);
+    if (count > OFFLINE_MAX_TILES) {
+        estimate.textContent = `${count} tuiles (environ ${size}) : au-delà de la limite de ${OFFLINE_MAX_TILES} tuiles. Réduisez la zone ou le zoom maximum.`;
+        confirm.disabled = true;
+        return;
+    }
+    estimate.textContent = `${count} tuiles, environ ${size}`;
+    confirm.disabled = false;
+}
+
+/**
+ * Open the download dialog for the visible area
+ */
+function openDownloadDialog() {
+    if (!('caches' in window)) {
+        alert('Le téléchargement hors ligne n\'est pas disponible dans ce navigateur (une connexion HTTPS est nécessaire).');
+        return;
+    }
+
+    const currentLayer = document.getElementById('base-layer-select')?.value;
+    const layer = BASE_LAYERS[currentLayer]?.offline ? currentLayer : 'scan25';
+    const def = BASE_LAYERS[layer];
+    const lowest = def.options.minZoom ?? 0;
+    const highest = def.options.maxNativeZoom ?? def.options.maxZoom;
+    const zoom = Math.min(Math.max(state.map.getZoom(), lowest), highest);
+
+    document.getElementById('offline-layer').innerHTML = Object.entries(BASE_LAYERS)
+        .filter(([, d]) => d.offline)
+        .map(([key, d]) => `<option value="${key}"${key === layer ? ' selected' : ''}>${escapeXML(d.label)}</option>`)
+        .join('');
+    document.getElementById('offline-name').value = `Zone du ${new Date().toLocaleDateString('fr-FR')}`;
+    document.getElementById('offline-min-zoom').value = zoom;
+    document.getElementById('offline-max-zoom').value = highest;
+    document.getElementById('offline-sw-warning').classList.toggle('hidden', !!navigator.serviceWorker?.controller);
+    setDownloadRunning(false);
+    document.getElementById('offline-progress-text').textContent = '';
+    updateEstimate();
+    openModal('modal-offline');
+}
+
+/**
+ * Switch the download dialog between the form and the progress display
+ * @param {boolean} running - True while a download is in progress
+ */
+function setDownloadRunning(running) {
+    document.querySelectorAll('#offline-form input, #offline-form select').forEach(input => { input.disabled = running; });
+    document.getElementById('btn-confirm-offline').classList.toggle('hidden', running);
+    document.getElementById('offline-progress-block').classList.toggle('hidden', !running);
+    document.getElementById('btn-cancel-offline').textContent = running ? 'Interrompre' : 'Fermer';
+}
+
+/**
+ * Display the download progress
+ * @param {number} done - Tiles processed
+ * @param {number} total - Tiles to process
+ * @param {number} bytes - Bytes stored so far
+ * @param {number} failed - Tiles that could not be downloaded
+ */
+function showProgress(done, total, bytes, failed) {
+    const progress = document.getElementById('offline-progress');
+    progress.max = total;
+    progress.value = done;
+    document.getElementById('offline-progress-text').textContent =
+        `${done} / ${total} tuiles (${formatBytes(bytes)})${failed ? `, ${failed} en échec` : ''}`;
+}
+
+/**
+ * Download one tile into the cache, unless it is already there
+ * @param {Cache} cache - Offline tile cache
+ * @param {string} url - Tile URL
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<number>} Size of the stored tile in bytes
+ */
+async function downloadTile(cache, url, signal) {
+    const cached = await cache.match(url);
+    if (cached) return (await cached.blob()).size;
+
+    const response = await fetch(url, { mode: 'cors', signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const size = (await response.clone().blob()).size;
+    await cache.put(url, response);
+    return size;
+}
+
+/**
+ * Download the visible area with the options of the dialog
+ */
+async function startDownload() {
+    const form = readDownloadForm();
+    const problem = checkDownloadForm(form);
+    if (problem) {
+        alert(problem);
+        return;
+    }
+
+    const def = BASE_LAYERS[form.layer];
+    const bounds = state.map.getBounds();
+    const urls = tileUrls(def.url, bounds, form.minZoom, form.maxZoom);
+    if (urls.length > OFFLINE_MAX_TILES) return;
+
+    requestPersistentStorage();
+    downloadController = new AbortController();
+    const { signal } = downloadController;
+    const cache = await caches.open(OFFLINE_TILE_CACHE);
+    let next = 0;
+    let done = 0;
+    let failed = 0;
+    let bytes = 0;
+    let fatal = null;
+
+    setDownloadRunning(true);
+    showProgress(0, urls.length, 0, 0);
+
+    const worker = async () => {
+        while (next < urls.length && !signal.aborted && !fatal) {
+            const url = urls[next++];
+            try {
+                const size = await downloadTile(cache, url, signal);
+                bytes += size;
+            } catch (error) {
+                if (error.name === 'QuotaExceededError') fatal = error;
+                else if (error.name !== 'AbortError') failed++;
+            }
+            showProgress(++done, urls.length, bytes, failed);
+        }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_DOWNLOAD_CONCURRENCY }, worker));
+    downloadController = null;
+
+    const complete = !signal.aborted && !fatal;
+    if (done > failed) {
+        // Partial downloads are kept so that the tiles already stored can be purged later
+        const regions = loadRegions();
+        regions.push({
+            id: generateId(),
+            name: form.name || 'Zone sans nom',
+            layer: form.layer,
+            url: def.url,
+            bounds: [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()],
+            minZoom: form.minZoom,
+            maxZoom: form.maxZoom,
+            tileCount: urls.length,
+            bytes,
+            createdAt: new Date().toISOString()
+        });
+        saveRegions(regions);
+    }
+
+    setDownloadRunning(false);
+    document.getElementById('btn-confirm-offline').disabled = true;
+    const text = document.getElementById('offline-progress-text');
+    if (fatal) {
+        text.textContent = `Stockage plein après ${done} tuiles (${formatBytes(bytes)}). Supprimez des zones téléchargées pour libérer de l'espace.`;
+    } else if (!complete) {
+        text.textContent = `Téléchargement interrompu après ${done} tuiles (${formatBytes(bytes)}).`;
+    } else {
+        text.textContent = failed
+            ? `Zone téléchargée : ${formatBytes(bytes)}, ${failed} tuile(s) en échec (réessayez pour les compléter).`
+            : `Zone téléchargée : ${urls.length} tuiles, ${formatBytes(bytes)}.`;
+    }
+}
+
+/**
+ * Cancel the download in progress, or close the dialog
+ */
+function cancelDownload() {
+    if (downloadController) {
+        downloadController.abort();
+        return;
+    }
+    closeModal('modal-offline');
+}
+
+/**
+ * Remove the tiles of an area from the cache, keeping those shared with other areas
+ * @param {OfflineRegion} region - Area to purge
+ * @param {Array<OfflineRegion>} others - Areas that are kept
+ * @returns {Promise<void>}
+ */
+async function purgeRegion(region, others) {
+    const kept = new Set(others.flatMap(regionTileUrls));
+    const cache = await caches.open(OFFLINE_TILE_CACHE);
+    await Promise.all(regionTileUrls(region)
+        .filter(url => !kept.has(url))
+        .map(url => cache.delete(url)));
+}
+
+/**
+ * Fill the area manager with the downloaded areas and the storage used
+ */
+async function renderRegionList() {
+    const regions = loadRegions();
+    const list = document.getElementById('offline-region-list');
+    list.innerHTML = regions.map(r => `
+        <tr data-region-id="${r.id}">
+            <td>${escapeXML(r.name)}</td>
+            <td>${escapeXML(BASE_LAYERS[r.layer]?.label ?? r.layer)}</td>
+            <td>${r.minZoom}–${r.maxZoom}</td>
+            <td>${formatBytes(r.bytes)}</td>
+            <td>${new Date(r.createdAt).toLocaleDateString('fr-FR')}</td>
+            <td class="project-actions">
+                <button class="project-btn" data-action="show" title="Afficher"><i class="fas fa-search-location"></i></button>
+                <button class="project-btn" data-action="delete" title="Supprimer"><i class="fas fa-trash"></i></button>
+            </td>
+        </tr>`).join('') || '<tr><td colspan="6" class="modal-info">Aucune zone téléchargée</td></tr>';
+
+    const info = document.getElementById('offline-storage-info');
+    const estimate = await navigator.storage?.estimate?.().catch(() => null);
+    info.textContent = estimate?.quota
+        ? `Espace utilisé par l'application : ${formatBytes(estimate.usage)} sur ${formatBytes(estimate.quota)} disponibles.`
+        : '';
+}
+
+/**
+ * Handle a click on one of the area manager actions
+ * @param {MouseEvent} e - Click event
+ */
+async function handleRegionAction(e) {
+    const button = e.target.closest('button[data-action]');
+    const row = e.target.closest('tr[data-region-id]');
+    if (!button || !row) return;
+
+    const regions = loadRegions();
+    const region = regions.find(r => r.id === row.dataset.regionId);
+    if (!region) return;
+
+    if (button.dataset.action === 'show') {
+        const [south, west, north, east] = region.bounds;
+        state.map.fitBounds([[south, west], [north, east]]);
+        closeModal('modal-offline-regions');
+        return;
+    }
+
+    if (!confirm(`Supprimer la zone « ${region.name} » du cache hors ligne ?`)) return;
+    const others = regions.filter(r => r !== region);
+    await purgeRegion(region, others);
+    saveRegions(others);
+    renderRegionList();
+}
+
+/**
+ * Delete every downloaded tile
+ */
+async function clearAllRegions() {
+    if (!confirm('Supprimer toutes les zones téléchargées ?')) return;
+    await caches.delete(OFFLINE_TILE_CACHE);
+    saveRegions([]);
+    renderRegionList();
+}
+
+/**
+ * Open the area manager
+ */
+function openRegionManager() {
+    if (!('caches' in window)) {
+        alert('Le cache hors ligne n\'est pas disponible dans ce navigateur.');
+        return;
+    }
+    renderRegionList();
+    openModal('modal-offline-regions');
+}
+
+/**
+ * Initialize the service worker and the offline download tools
+ */
+export function initOffline() {
+    registerServiceWorker();
+
+    document.getElementById('btn-offline-download')?.addEventListener('click', openDownloadDialog);
+    document.getElementById('btn-offline-regions')?.addEventListener('click', openRegionManager);
+    document.getElementById('offline-form')?.addEventListener('input', updateEstimate);
+    document.getElementById('btn-confirm-offline')?.addEventListener('click', startDownload);
+    document.getElementById('btn-cancel-offline')?.addEventListener('click', cancelDownload);
+
+    document.getElementById('offline-region-list')?.addEventListener('click', handleRegionAction);
+    document.getElementById('btn-clear-offline')?.addEventListener('click', clearAllRegions);
+    document.getElementById('btn-close-offline-regions')?.addEventListener('click', () => closeModal('modal-offline-regions'));
+}
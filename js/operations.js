@@ -0,0 +1,481 @@
+/**
+ * Geometric operations between elements - union, difference, intersection,
+ * clipping by a polygon, splitting of lines and buffer zones
+ * @module operations
+ */
+
+import { updateElementList } from './elements.js';
+import { getLines, linesToGeometry, removeFeature, restoreFeature } from './geojson.js';
+import { withHistory } from './history.js';
+import { saveState } from './persistence.js';
+import { state } from './state.js';
+import { closeModal, escapeXML, generateId, getIcon, openModal } from './utils.js';
+
+/** @constant {number} Number of vertices used to turn circles into polygons */
+const CIRCLE_STEPS = 64;
+
+/** @constant {Set<string>} Element types usable as surfaces */
+const AREA_TYPES = new Set(['polygon', 'circle', 'rectangle', 'ellipse', 'sector', 'regular-polygon']);
+
+/** @constant {Set<string>} Element types that can be split */
+const LINE_TYPES = new Set(['line']);
+
+/** @constant {Set<string>} Element types that can be buffered */
+const BUFFER_TYPES = new Set(['marker', 'line', 'bearing', ...AREA_TYPES]);
+
+/**
+ * @typedef {Object} Operation
+ * @property {string} label - Name shown in the menu and in the history
+ * @property {string} help - Explanation shown in the dialog
+ * @property {Set<string>} baseTypes - Element types accepted as the base element
+ * @property {Set<string>} otherTypes - Element types accepted as the other elements
+ * @property {boolean} consumesAll - True if the other elements are replaced too when the originals are not kept
+ * @property {string|null} suffix - Added to the title of a single result (several results are numbered)
+ * @property {string} emptyMessage - Explanation shown when the result is empty
+ * @property {Function} run - Receives the base feature and the other features, returns result geometries
+ */
+
+/** @constant {Object<string, Operation>} Available operations */
+const OPERATIONS = {
+    union: {
+        label: 'Union',
+        help: 'Fusionne l\'élément de base et les autres éléments en une seule surface.',
+        baseTypes: AREA_TYPES,
+        otherTypes: AREA_TYPES,
+        consumesAll: true,
+        suffix: 'union',
+        emptyMessage: 'Le résultat est vide.',
+        run: (base, others) => [turf.union(turf.featureCollection([base, ...others].map(toSurface)))?.geometry]
+    },
+    difference: {
+        label: 'Différence',
+        help: 'Retire les autres éléments de l\'élément de base (zone A moins zone B).',
+        baseTypes: AREA_TYPES,
+        otherTypes: AREA_TYPES,
+        consumesAll: false,
+        suffix: 'différence',
+        emptyMessage: 'Le résultat est vide : l\'élément de base est entièrement recouvert par les autres éléments.',
+        run: (base, others) => [turf.difference(turf.featureCollection([base, ...others].map(toSurface)))?.geometry]
+    },
+    intersection: {
+        label: 'Intersection',
+        help: 'Garde la partie commune à l\'élément de base et à tous les autres éléments.',
+        baseTypes: AREA_TYPES,
+        otherTypes: AREA_TYPES,
+        consumesAll: true,
+        suffix: 'intersection',
+        emptyMessage: 'Le résultat est vide : les éléments n\'ont pas de partie commune.',
+        run: (base, others) => [turf.intersect(turf.featureCollection([base, ...others].map(toSurface)))?.geometry]
+    },
+    clip: {
+        label: 'Découpage par un polygone',
+        help: 'Garde la partie de l\'élément de base située à l\'intérieur des autres éléments (par exemple le tronçon d\'un sentier dans le parc).',
+        baseTypes: new Set(['line', ...AREA_TYPES]),
+        otherTypes: AREA_TYPES,
+        consumesAll: false,
+        suffix: 'découpé',
+        emptyMessage: 'Le résultat est vide : l\'élément de base est entièrement en dehors des autres éléments.',
+        run: clipToSurface
+    },
+    'split-point': {
+        label: 'Coupure aux marqueurs',
+        help: 'Coupe la ligne de base au plus près de chaque marqueur choisi.',
+        baseTypes: LINE_TYPES,
+        otherTypes: new Set(['marker']),
+        consumesAll: false,
+        suffix: null,
+        emptyMessage: 'Le résultat est vide : la ligne n\'a pas pu être coupée.',
+        run: splitAtMarkers
+    },
+    'split-line': {
+        label: 'Coupure par des lignes',
+        help: 'Coupe la ligne de base là où elle croise les autres lignes.',
+        baseTypes: LINE_TYPES,
+        otherTypes: new Set(['line', 'bearing']),
+        consumesAll: false,
+        suffix: null,
+        emptyMessage: 'Le résultat est vide : la ligne n\'a pas pu être coupée.',
+        run: splitByLines
+    }
+};
+
+/**
+ * Check whether a buffer zone can be drawn around an element
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean} True for markers, lines and surfaces (circles, polygons and shapes)
+ */
+export function isBufferable(feature) {
+    return BUFFER_TYPES.has(feature?.properties?.type);
+}
+
+/**
+ * Get an element as a Turf polygon feature (circles are approximated)
+ * @param {Object} feature - Polygon or circle element
+ * @returns {Object} Polygon or MultiPolygon feature
+ */
+function toSurface(feature) {
+    if (feature.properties.type === 'circle') {
+        return turf.circle(feature.geometry.coordinates, feature.properties.radius, { steps: CIRCLE_STEPS, units: 'meters' });
+    }
+    return turf.feature(feature.geometry);
+}
+
+/**
+ * Merge several surfaces into one
+ * @param {Array<Object>} features - Polygon or circle elements
+ * @returns {Object|null} Polygon or MultiPolygon feature
+ */
+function mergeSurfaces(features) {
+    const surfaces = features.map(toSurface);
+    return surfaces.length === 1 ? surfaces[0] : turf.union(turf.featureCollection(surfaces));
+}
+
+/**
+ * Keep the part of an element inside the other elements
+ * @param {Object} base - Line, polygon or circle element
+ * @param {Array<Object>} others - Polygon or circle elements
+ * @returns {Array<Object>} One geometry, or none if nothing is inside
+ */
+function clipToSurface(base, others) {
+    const clipper = mergeSurfaces(others);
+    if (AREA_TYPES.has(base.properties.type)) {
+        return [turf.intersect(turf.featureCollection([toSurface(base), clipper]))?.geometry];
+    }
+
+    // Split the line on the outline, then keep the pieces whose middle is inside
+    const inside = getLines(base.geometry).flatMap(coords => {
+        const line = turf.lineString(coords);
+        const pieces = turf.lineSplit(line, clipper).features;
+        return (pieces.length ? pieces : [line]).filter(piece => {
+            const middle = turf.along(piece, turf.length(piece) / 2);
+            return turf.booleanPointInPolygon(middle, clipper);
+        });
+    });
+    return inside.length ? [linesToGeometry(inside.map(piece => piece.geometry.coordinates))] : [];
+}
+
+/**
+ * Keep the pieces of a split line, dropping those of zero length (a cut exactly on an end
+ * of the line)
+ * @param {Object} base - Line element that was split
+ * @param {Array<Object>} pieces - LineString features
+ * @returns {Array<Object>} LineString geometries, none if the line was not actually cut
+ */
+function splitPieces(base, pieces) {
+    const geometries = pieces.filter(piece => turf.length(piece) > 0).map(piece => piece.geometry);
+    // As many pieces as parts: the result would only copy the line
+    return geometries.length > getLines(base.geometry).length ? geometries : [];
+}
+
+/**
+ * Cut a list of positions at points lying on its segments
+ * @param {Array<Array<number>>} coords - Positions of the line
+ * @param {Array<Object>} cuts - Results of turf.nearestPointOnLine on this line
+ * @returns {Array<Object>} LineString features
+ */
+function cutLine(coords, cuts) {
+    const pieces = [];
+    let current = [coords[0]];
+    let next = 1;
+    [...cuts]
+        .sort((a, b) => a.properties.location - b.properties.location)
+        .forEach(cut => {
+            while (next <= cut.properties.index) current.push(coords[next++]);
+            current.push(cut.geometry.coordinates);
+            pieces.push(current);
+            current = [cut.geometry.coordinates];
+        });
+    while (next < coords.length) current.push(coords[next++]);
+    pieces.push(current);
+    return pieces.map(piece => turf.lineString(piece));
+}
+
+/**
+ * Split a line where it comes closest to each marker.
+ * The cut points are placed with the segment index of turf.nearestPointOnLine: turf.lineSplit
+ * rejects them because they lie on the geodesic rather than on the straight segment.
+ * @param {Object} base - Line element
+ * @param {Array<Object>} markers - Marker elements
+ * @returns {Array<Object>} One LineString per piece, none if no marker cuts the line
+ */
+function splitAtMarkers(base, markers) {
+    const lines = getLines(base.geometry);
+
+    // Each marker cuts the part of the line it is closest to
+    const cuts = lines.map(() => []);
+    markers.forEach(marker => {
+        const nearest = lines
+            .map((coords, i) => ({ i, point: turf.nearestPointOnLine(turf.lineString(coords), marker.geometry.coordinates) }))
+            .reduce((a, b) => (b.point.properties.dist < a.point.properties.dist ? b : a));
+        cuts[nearest.i].push(nearest.point);
+    });
+
+    return splitPieces(base, lines.flatMap((coords, i) => cutLine(coords, cuts[i])));
+}
+
+/**
+ * Split a line where it crosses other lines
+ * @param {Object} base - Line element
+ * @param {Array<Object>} splitters - Line elements
+ * @returns {Array<Object>} One LineString per piece, none if the lines do not cross it
+ */
+function splitByLines(base, splitters) {
+    let pieces = getLines(base.geometry).map(coords => turf.lineString(coords));
+    splitters.forEach(splitter => {
+        const cutter = turf.feature(splitter.geometry);
+        pieces = pieces.flatMap(piece => {
+            const parts = turf.lineSplit(piece, cutter).features;
+            return parts.length ? parts : [piece];
+        });
+    });
+    return splitPieces(base, pieces);
+}
+
+/**
+ * Build a new element from the result of an operation
+ * @param {Object} base - Base element (gives color, description and folder)
+ * @param {Object} geometry - Result geometry
+ * @param {string} title - Title of the new element
+ * @returns {Object} GeoJSON feature
+ */
+function buildResult(base, geometry, title) {
+    const isLine = geometry.type === 'LineString' || geometry.type === 'MultiLineString';
+    const properties = {
+        type: isLine ? 'line' : 'polygon',
+        title,
+        description: base.properties.description || '',
+        color: base.properties.color,
+        folderId: base.properties.folderId ?? null
+    };
+    const feature = { type: 'Feature', id: generateId(), geometry, properties };
+    if (isLine) properties.distance = turf.length(feature, { units: 'meters' });
+    return feature;
+}
+
+/**
+ * Run an operation and add its results as new elements, in the folder of the base element
+ * @param {string} name - Operation key
+ * @param {string} baseId - ID of the base element
+ * @param {Array<string>} otherIds - IDs of the other elements
+ * @param {boolean} keepOriginals - False to remove the elements replaced by the result
+ * @returns {Array<string>|null} IDs of the new elements, or null if nothing was created
+ */
+export function applyOperation(name, baseId, otherIds, keepOriginals) {
+    const operation = OPERATIONS[name];
+    const base = state.features.find(f => f.id === baseId);
+    const others = otherIds.map(id => state.features.find(f => f.id === id)).filter(Boolean);
+    if (!operation || !base) return null;
+
+    if (others.length === 0) {
+        alert('Choisissez au moins un autre élément.');
+        return null;
+    }
+
+    let geometries;
+    try {
+        geometries = operation.run(base, others).filter(Boolean);
+    } catch (e) {
+        console.error('Geometric operation failed:', e);
+        alert(`Opération impossible : ${e.message}`);
+        return null;
+    }
+    if (geometries.length === 0) {
+        alert(operation.emptyMessage);
+        return null;
+    }
+
+    const title = base.properties.title || '';
+    const removed = keepOriginals ? [] : operation.consumesAll ? [baseId, ...others.map(f => f.id)] : [baseId];
+    return withHistory(`${operation.label} de « ${title} »`, removed, () => {
+        const index = state.features.indexOf(base);
+        removed.forEach(removeFeature);
+
+        const created = geometries.map((geometry, i) => {
+            const suffix = geometries.length > 1 ? i + 1 : operation.suffix;
+            const feature = buildResult(base, geometry, suffix ? `${title} (${suffix})` : title);
+            restoreFeature(feature, true, Math.min(index + i, state.features.length));
+            return feature.id;
+        });
+
+        updateElementList();
+        saveState();
+        return created;
+    });
+}
+
+/**
+ * Buffer one element by a distance (circles keep an exact radius)
+ * @param {Object} feature - Marker, line, polygon or circle element
+ * @param {number} distance - Distance in meters, negative to shrink a surface
+ * @returns {Object|null} Polygon or MultiPolygon feature, or null if a negative buffer swallows the element
+ */
+function bufferFeature(feature, distance) {
+    if (feature.properties.type === 'circle') {
+        const radius = feature.properties.radius + distance;
+        return radius > 0
+            ? turf.circle(feature.geometry.coordinates, radius, { steps: CIRCLE_STEPS, units: 'meters' })
+            : null;
+    }
+    return turf.buffer(turf.feature(feature.geometry), distance, { units: 'meters' }) ?? null;
+}
+
+/**
+ * Create buffer zones around elements as new polygon elements.
+ * The source elements and the distance are kept in the `buffer` property of each result.
+ * @param {Array<string>} ids - IDs of the source elements
+ * @param {number} distance - Distance in meters; negative values are allowed for polygons and circles only
+ * @param {boolean} dissolve - True to merge every zone into one element
+ * @returns {Array<string>|null} IDs of the new elements, or null if nothing was created
+ */
+export function createBuffers(ids, distance, dissolve) {
+    const sources = ids.map(id => state.features.find(f => f.id === id)).filter(f => BUFFER_TYPES.has(f?.properties.type));
+    if (sources.length === 0) {
+        alert('Choisissez au moins un élément.');
+        return null;
+    }
+    if (!Number.isFinite(distance) || distance === 0) {
+        alert('Indiquez une distance non nulle en mètres.');
+        return null;
+    }
+    if (distance < 0 && sources.some(f => !AREA_TYPES.has(f.properties.type))) {
+        alert('Une distance négative ne s\'applique qu\'aux surfaces (polygones, cercles et formes).');
+        return null;
+    }
+
+    let zones;
+    try {
+        zones = sources
+            .map(source => ({ source, zone: bufferFeature(source, distance) }))
+            .filter(({ zone }) => zone);
+        if (dissolve && zones.length > 1) {
+            const merged = turf.union(turf.featureCollection(zones.map(({ zone }) => zone)));
+            zones = [{ source: zones[0].source, zone: merged, all: zones.map(({ source }) => source) }];
+        }
+    } catch (e) {
+        console.error('Buffer failed:', e);
+        alert(`Zone tampon impossible : ${e.message}`);
+        return null;
+    }
+    if (zones.length === 0) {
+        alert('Le résultat est vide : la distance négative fait disparaître les éléments.');
+        return null;
+    }
+
+    return withHistory(`Zone tampon de ${distance} m`, [], () => {
+        const created = zones.map(({ source, zone, all }) => {
+            const title = all ? `Zone tampon ${distance} m` : `${source.properties.title || ''} (tampon ${distance} m)`;
+            const feature = buildResult(source, zone.geometry, title);
+            feature.properties.buffer = { sourceIds: (all ?? [source]).map(f => f.id), distance };
+            restoreFeature(feature);
+            return feature.id;
+        });
+
+        updateElementList();
+        saveState();
+        return created;
+    });
+}
+
+/**
+ * List the elements of the given types
+ * @param {Set<string>} types - Accepted element types
+ * @returns {Array<Object>} Matching features
+ */
+function candidates(types) {
+    return state.features.filter(f => types.has(f.properties.type));
+}
+
+/**
+ * Fill the base element select and the list of other elements for the chosen operation
+ */
+function updateOperationDialog() {
+    const operation = OPERATIONS[document.getElementById('operation-type').value];
+    const baseSelect = document.getElementById('operation-base');
+    const previousBase = baseSelect.value;
+    const checked = new Set([...document.querySelectorAll('#operation-element-list input:checked')].map(input => input.value));
+
+    document.getElementById('operation-info').textContent = operation.help;
+
+    const bases = candidates(operation.baseTypes);
+    baseSelect.innerHTML = bases.map(f =>
+        `<option value="${escapeXML(f.id)}">${escapeXML(f.properties.title || '')}</option>`
+    ).join('');
+    if (bases.some(f => f.id === previousBase)) baseSelect.value = previousBase;
+
+    const others = candidates(operation.otherTypes).filter(f => f.id !== baseSelect.value);
+    document.getElementById('operation-element-list').innerHTML = others.map(f => `
+        <label class="radio-option">
+            <input type="checkbox" value="${escapeXML(f.id)}"${checked.has(f.id) ? ' checked' : ''}>
+            ${getIcon(f.properties.type)} ${escapeXML(f.properties.title || '')}
+        </label>`).join('') || '<p class="modal-info">Aucun élément compatible</p>';
+
+    document.getElementById('btn-apply-operation').disabled = bases.length === 0 || others.length === 0;
+}
+
+/**
+ * Open the operations dialog
+ */
+function openOperationsDialog() {
+    document.getElementById('operation-element-list').innerHTML = '';
+    updateOperationDialog();
+    openModal('modal-operations');
+}
+
+/**
+ * Apply the operation chosen in the dialog
+ */
+function confirmOperation() {
+    const name = document.getElementById('operation-type').value;
+    const baseId = document.getElementById('operation-base').value;
+    const otherIds = [...document.querySelectorAll('#operation-element-list input:checked')].map(input => input.value);
+    const keep = document.getElementById('operation-keep').checked;
+
+    if (applyOperation(name, baseId, otherIds, keep)) closeModal('modal-operations');
+}
+
+/**
+ * Open the buffer dialog
+ * @param {string} [id] - Element to check in the list
+ */
+export function openBufferDialog(id) {
+    state.map.closePopup();
+    document.getElementById('buffer-element-list').innerHTML = candidates(BUFFER_TYPES).map(f => `
+        <label class="radio-option">
+            <input type="checkbox" value="${escapeXML(f.id)}"${f.id === id ? ' checked' : ''}>
+            ${getIcon(f.properties.type)} ${escapeXML(f.properties.title || '')}
+        </label>`).join('') || '<p class="modal-info">Aucun élément sur la carte</p>';
+    openModal('modal-buffer');
+}
+
+/**
+ * Create the buffers set in the dialog
+ */
+function confirmBuffer() {
+    const ids = [...document.querySelectorAll('#buffer-element-list input:checked')].map(input => input.value);
+    const distance = Number.parseFloat(document.getElementById('buffer-distance').value);
+    const dissolve = document.querySelector('input[name="buffer-mode"]:checked')?.value === 'dissolve';
+
+    if (createBuffers(ids, distance, dissolve)) closeModal('modal-buffer');
+}
+
+/**
+ * Initialize the operations and buffer dialogs
+ */
+export function initOperations() {
+    const typeSelect = document.getElementById('operation-type');
+    if (!typeSelect) return;
+
+    typeSelect.innerHTML = Object.entries(OPERATIONS)
+        .map(([name, operation]) => `<option value="${name}">${operation.label}</option>`)
+        .join('');
+
+    typeSelect.addEventListener('change', updateOperationDialog);
+    document.getElementById('operation-base')?.addEventListener('change', updateOperationDialog);
+    document.getElementById('btn-operations')?.addEventListener('click', openOperationsDialog);
+    document.getElementById('btn-cancel-operation')?.addEventListener('click', () => closeModal('modal-operations'));
+    document.getElementById('btn-apply-operation')?.addEventListener('click', confirmOperation);
+
+    document.getElementById('btn-buffer')?.addEventListener('click', () => openBufferDialog());
+    document.getElementById('btn-cancel-buffer')?.addEventListener('click', () => closeModal('modal-buffer'));
+    document.getElementById('btn-confirm-buffer')?.addEventListener('click', confirmBuffer);
+}
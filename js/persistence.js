@@ -1,31 +1,48 @@
 /**
- * Data persistence - localStorage, import/export
+ * Data persistence - IndexedDB, import/export
  * @module persistence
  */
 
+import { DATA_VERSION, STORAGE_SAVE_DELAY } from './config.js';
+import { featuresToCSV, initCSVImport, openCSVImport } from './csv.js';
 import { toggleAllElementsVisibility } from './elements.js';
 import { restoreFeature } from './geojson.js';
+import { parseGPX, toGPX } from './gpx.js';
+import { initImportDialog, openImportDialog } from './importer.js';
+import { parseKML, parseKMZ, toKML, toKMZ } from './kml.js';
 import { restoreLayerSettings } from './layers.js';
+import { migrateFeatures } from './migrations.js';
+import { getCurrentProjectId, touchCurrentProject } from './projects.js';
 import { state } from './state.js';
+import { loadProjectData, requestPersistentStorage, saveProjectData, updateStorageWarning } from './storage.js';
+import { downloadFile } from './utils.js';
+import { toFeatureCollection } from './validation.js';
 
 /** @type {boolean} Flag to prevent saving during restore */
 let _restoring = false;
 
-/**
- * Save application state to localStorage
- */
-export function saveState() {
-    if (!state.map || _restoring) return;
+/** @type {Map<string, string>} Serialized records last written for the current project, by feature ID */
+let savedRecords = new Map();
 
-    // Create features with visibility state
-    const featuresWithVisibility = state.features.map(f => {
-        const featureCopy = structuredClone(f);
-        featureCopy.properties._visible = state.featureVisibility.get(f.id) !== false;
-        return featureCopy;
-    });
+/** @type {boolean} True if features may have changed since the last write */
+let featuresDirty = false;
+
+/** @type {string|null} Serialized folders, layer settings and order last written for the current project */
+let savedSettings = null;
+
+/** @type {number|null} Pending write timer */
+let saveTimer = null;
 
-    // Collect layer settings
-    const layerSettings = {
+/** @type {Promise<void>} Last write; writes are chained so they never overlap */
+let lastWrite = Promise.resolve();
+
+/**
+ * Collect the layer settings from the layer controls
+ * @returns {Object} Layer settings
+ */
+export function collectLayerSettings() {
+    return {
+        baseLayer: document.getElementById('base-layer-select')?.value,
         orthoEnabled: document.getElementById('overlay-ortho')?.checked || false,
         orthoOpacity: Number.parseInt(document.getElementById('ortho-opacity')?.value, 10) || 50,
         buildingsEnabled: document.getElementById('overlay-buildings')?.checked || false,
@@ -35,60 +52,209 @@ export function saveState() {
         contourEnabled: document.getElementById('overlay-contour')?.checked || false,
         contourAltitude: Number.parseInt(document.getElementById('contour-altitude')?.value, 10) || 1000
     };
+}
 
-    const geoJSON = {
+/**
+ * Serialize the parts of the project metadata that count as a modification (not the view)
+ * @param {{folders: Array<Object>, layerSettings: Object, order: Array<string>}} meta - Project metadata
+ * @returns {string} JSON text
+ */
+function serializeSettings({ folders, layerSettings, order }) {
+    return JSON.stringify({ folders, layerSettings, order });
+}
+
+/**
+ * Build the stored record of a feature
+ * @param {string} projectId - Project ID
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Object} Feature record
+ */
+function toRecord(projectId, feature) {
+    return { projectId, id: feature.id, feature, visible: state.featureVisibility.get(feature.id) !== false };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the whole map (features, view, folders and layers)
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function stateToGeoJSON() {
+    return {
         type: 'FeatureCollection',
-        features: featuresWithVisibility,
+        features: state.features.map(f => {
+            const featureCopy = structuredClone(f);
+            featureCopy.properties._visible = state.featureVisibility.get(f.id) !== false;
+            return featureCopy;
+        }),
         properties: {
             center: state.map.getCenter(),
             zoom: state.map.getZoom(),
             savedAt: new Date().toISOString(),
-            version: '4.1',
+            version: DATA_VERSION,
             folders: state.folders,
-            layerSettings: layerSettings
+            layerSettings: collectLayerSettings()
         }
     };
+}
 
-    localStorage.setItem('ignMapData', JSON.stringify(geoJSON));
+/**
+ * Schedule a write of the current project after features, folders or layers changed
+ */
+export function saveState() {
+    if (!state.map || _restoring || state.sharePreview || !getCurrentProjectId()) return;
+    featuresDirty = true;
+    scheduleSave();
+}
+
+/**
+ * Schedule a write of the map view only (features are not compared)
+ */
+export function saveView() {
+    if (!state.map || _restoring || state.sharePreview || !getCurrentProjectId()) return;
+    scheduleSave();
+}
+
+/**
+ * (Re)start the write timer so bursts of changes produce a single write
+ */
+function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushState, STORAGE_SAVE_DELAY);
 }
 
 /**
- * Restore application state from localStorage
+ * Write pending changes of the current project to IndexedDB now.
+ * Only features whose content or visibility changed since the last write are stored.
+ * @returns {Promise<void>} Resolves once the write is done
  */
-export function restoreState() {
-    const saved = localStorage.getItem('ignMapData');
-    if (!saved) return;
+export function flushState() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    const projectId = getCurrentProjectId();
+    if (!state.map || _restoring || state.sharePreview || !projectId) return lastWrite;
+
+    const changed = [];
+    let removed = [];
+    if (featuresDirty) {
+        const current = new Map();
+        state.features.forEach(feature => {
+            const record = toRecord(projectId, feature);
+            const json = JSON.stringify(record);
+            current.set(feature.id, json);
+            // Clone now: the feature may be edited again before the transaction runs
+            if (savedRecords.get(feature.id) !== json) changed.push(structuredClone(record));
+        });
+        removed = [...savedRecords.keys()].filter(id => !current.has(id));
+        savedRecords = current;
+        featuresDirty = false;
+    }
+
+    const center = state.map.getCenter();
+    const meta = {
+        projectId,
+        center: { lat: center.lat, lng: center.lng },
+        zoom: state.map.getZoom(),
+        savedAt: new Date().toISOString(),
+        version: DATA_VERSION,
+        folders: structuredClone(state.folders),
+        layerSettings: collectLayerSettings(),
+        order: state.features.map(f => f.id)
+    };
+
+    // A view-only save (the map was moved) does not change the project's modification date
+    const settings = serializeSettings(meta);
+    if (changed.length > 0 || removed.length > 0 || settings !== savedSettings) {
+        savedSettings = settings;
+        touchCurrentProject(new Blob([JSON.stringify(meta), ...savedRecords.values()]).size);
+    }
+
+    lastWrite = lastWrite
+        .then(() => saveProjectData(meta, changed, removed))
+        .then(() => updateStorageWarning())
+        .catch(error => {
+            console.error('Error saving state:', error);
+            // Rewrite every feature on the next save
+            if (getCurrentProjectId() === projectId) {
+                savedRecords = new Map();
+                featuresDirty = true;
+                savedSettings = null;
+            }
+            updateStorageWarning(error);
+        });
+    return lastWrite;
+}
+
+/**
+ * Restore the current project's state from IndexedDB
+ * @returns {Promise<void>}
+ */
+export async function restoreState() {
+    const projectId = getCurrentProjectId();
+    savedRecords = new Map();
+    featuresDirty = false;
+    savedSettings = null;
+    let needsRewrite = false;
 
     _restoring = true;
     try {
-        const data = JSON.parse(saved);
-        const props = data.properties || {};
+        const { meta, records } = await loadProjectData(projectId);
+        if (!meta) return;
 
         // Restore map view
-        if (props.center && props.zoom) {
-            state.map.setView(props.center, props.zoom);
+        if (meta.center && meta.zoom) {
+            state.map.setView(meta.center, meta.zoom);
         }
 
         // Restore folders
-        if (props.folders) {
-            state.folders = props.folders;
+        if (meta.folders) {
+            state.folders = meta.folders;
         }
 
         // Restore layer settings
-        if (props.layerSettings) {
-            restoreLayerSettings(props.layerSettings);
+        if (meta.layerSettings) {
+            restoreLayerSettings(meta.layerSettings);
         }
 
-        // Restore features (restoreFeature handles all types including measurements)
-        data.features.forEach(feature => {
-            const visible = feature.properties._visible !== false;
-            restoreFeature(feature, visible);
+        // Restore features in list order; records missing from the order come last
+        const byId = new Map(records.map(record => [record.id, record]));
+        const ordered = (meta.order || []).filter(id => byId.has(id)).map(id => byId.get(id));
+        ordered.forEach(record => byId.delete(record.id));
+        const restored = [...ordered, ...byId.values()];
+
+        // Upgrade records saved by older versions; invalid ones stay in storage but are not loaded
+        const { features, quarantined, migrated } = migrateFeatures(restored.map(r => r.feature), meta.version);
+        const visibility = new Map(restored.map(r => [r.feature, r.visible]));
+        quarantined.forEach(({ feature, reason }) => {
+            console.warn(`Element ${feature?.id} not loaded (${reason})`);
+        });
+
+        features.forEach(feature => {
+            try {
+                // restoreFeature handles all types including measurements
+                restoreFeature(feature, visibility.get(feature));
+            } catch (error) {
+                console.warn(`Element ${feature.id} not loaded:`, error);
+                return;
+            }
+            // Migrated features are left out so that the next save rewrites them
+            if (!migrated.has(feature)) {
+                savedRecords.set(feature.id, JSON.stringify(toRecord(projectId, feature)));
+            }
+        });
+        needsRewrite = migrated.size > 0;
+        savedSettings = serializeSettings({
+            folders: state.folders,
+            layerSettings: collectLayerSettings(),
+            order: state.features.map(f => f.id)
         });
     } catch (error) {
         console.error('Error restoring state:', error);
+        updateStorageWarning(error);
     } finally {
         _restoring = false;
     }
+
+    if (needsRewrite) saveState();
 }
 
 /**
@@ -110,20 +276,81 @@ export function initDataManagement() {
 
     // File input change
     document.getElementById('file-input')?.addEventListener('change', handleImport);
+
+    initImportDialog();
+    initCSVImport();
+
+    // Write pending changes before the page is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushState();
+    });
+    requestPersistentStorage();
+    updateStorageWarning();
+}
+
+/** @constant {Object} Export formats: file extension, MIME type and serializer */
+const EXPORT_FORMATS = {
+    geojson: {
+        extension: 'geojson',
+        mimeType: 'application/geo+json',
+        serialize: () => JSON.stringify(stateToGeoJSON())
+    },
+    gpx: {
+        extension: 'gpx',
+        mimeType: 'application/gpx+xml',
+        serialize: () => toGPX(state.features, state.folders)
+    },
+    kml: {
+        extension: 'kml',
+        mimeType: 'application/vnd.google-earth.kml+xml',
+        serialize: () => toKML(state.features, state.folders, state.featureVisibility)
+    },
+    kmz: {
+        extension: 'kmz',
+        mimeType: 'application/vnd.google-earth.kmz',
+        serialize: () => toKMZ(state.features, state.folders, state.featureVisibility)
+    },
+    csv: {
+        extension: 'csv',
+        mimeType: 'text/csv;charset=utf-8',
+        serialize: () => featuresToCSV(state.features, state.folders)
+    }
+};
+
+/** @constant {Set<string>} Extensions of spreadsheet files, imported through the column mapping dialog */
+const CSV_EXTENSIONS = new Set(['csv', 'tsv', 'txt']);
+
+/**
+ * Export data in the format selected in the Data section
+ */
+async function exportData() {
+    const format = EXPORT_FORMATS[document.getElementById('export-format')?.value] || EXPORT_FORMATS.geojson;
+    const content = await format.serialize();
+    if (!content) return;
+
+    downloadFile(content, `ign-map-${new Date().toISOString().slice(0, 10)}.${format.extension}`, format.mimeType);
 }
 
 /**
- * Export data as GeoJSON file
+ * Read an imported file into a FeatureCollection, choosing the parser from its extension
+ * @param {File} file - Imported file
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
  */
-function exportData() {
-    const saved = localStorage.getItem('ignMapData');
-    if (!saved) return;
-
-    const blob = new Blob([saved], { type: 'application/geo+json' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = `ign-map-${new Date().toISOString().slice(0, 10)}.geojson`;
-    a.click();
+async function readImportFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    if (extension === 'kmz') {
+        return parseKMZ(await file.arrayBuffer());
+    }
+
+    const text = await file.text();
+    if (extension === 'gpx') {
+        return parseGPX(text);
+    }
+    if (extension === 'kml') {
+        return parseKML(text);
+    }
+    return JSON.parse(text);
 }
 
 /**
@@ -133,42 +360,16 @@ function exportData() {
 async function handleImport(e) {
     const file = e.target.files[0];
     if (!file) return;
+    // Allow re-importing the same file
+    e.target.value = '';
 
     try {
-        const text = await file.text();
-        const data = JSON.parse(text);
-
-        // Clear existing features
-        state.featureLayers.forEach(layer => state.map.removeLayer(layer));
-        state.features = [];
-        state.featureLayers.clear();
-        state.featureVisibility.clear();
-        state.folders = [];
-
-        // Restore map view
-        const props = data.properties || {};
-        if (props.center && props.zoom) {
-            state.map.setView(props.center, props.zoom);
-        }
-
-        // Restore folders
-        if (props.folders) {
-            state.folders = props.folders;
+        if (CSV_EXTENSIONS.has(file.name.split('.').pop().toLowerCase())) {
+            openCSVImport(await file.text(), file.name);
+            return;
         }
-
-        // Import features
-        data.features.forEach(feature => {
-            const type = feature.properties.type;
-            const visible = feature.properties._visible !== false;
-            if (type.startsWith('measurement-')) {
-                restoreMeasurementFeature(feature, visible);
-            } else {
-                restoreFeature(feature, visible);
-            }
-        });
-
-        saveState();
-        alert('Import réussi !');
+        const data = toFeatureCollection(await readImportFile(file));
+        openImportDialog(data, file.name);
     } catch (error) {
         console.error('Import error:', error);
         alert('Erreur lors de l\'import: ' + error.message);
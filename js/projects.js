@@ -0,0 +1,303 @@
+/**
+ * Project management - several named maps stored side by side
+ * @module projects
+ */
+
+import { updateElementList } from './elements.js';
+import { clearAllElements } from './geojson.js';
+import { clearHistory, loadHistory } from './history.js';
+import { flushState, restoreState } from './persistence.js';
+import { leaveSharePreview } from './share.js';
+import { state } from './state.js';
+import { copyProjectData, deleteProjectData, migrateFromLocalStorage } from './storage.js';
+import { closeModal, escapeXML, formatBytes, generateId, openModal } from './utils.js';
+
+/** @constant {string} localStorage key of the project index (project data lives in IndexedDB) */
+const INDEX_KEY = 'ignMapProjects';
+
+/** @constant {string} localStorage key of the current project ID */
+const CURRENT_KEY = 'ignMapCurrentProject';
+
+/** @constant {string} Legacy single-map localStorage key */
+const LEGACY_DATA_KEY = 'ignMapData';
+
+/**
+ * @typedef {Object} ProjectInfo
+ * @property {string} id - Project ID
+ * @property {string} name - Display name
+ * @property {string} createdAt - ISO creation date
+ * @property {string} updatedAt - ISO date of the last save
+ * @property {number} size - Size of the saved data in bytes
+ */
+
+/** @type {Array<ProjectInfo>} */
+let projects = [];
+
+/** @type {string|null} */
+let currentProjectId = null;
+
+/**
+ * Get the localStorage key where earlier versions kept a project's data
+ * @param {string} id - Project ID
+ * @returns {string} Storage key
+ */
+function legacyDataKey(id) {
+    return `${LEGACY_DATA_KEY}:${id}`;
+}
+
+/**
+ * Get the ID of the project currently open
+ * @returns {string|null} Project ID
+ */
+export function getCurrentProjectId() {
+    return currentProjectId;
+}
+
+/**
+ * Get the project currently open
+ * @returns {ProjectInfo|undefined} Project info
+ */
+export function getCurrentProject() {
+    return projects.find(p => p.id === currentProjectId);
+}
+
+/**
+ * Save the project index
+ */
+function saveIndex() {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(projects));
+    localStorage.setItem(CURRENT_KEY, currentProjectId);
+}
+
+/**
+ * Create a project entry
+ * @param {string} name - Project name
+ * @returns {ProjectInfo} New project
+ */
+function addProject(name) {
+    const now = new Date().toISOString();
+    const project = { id: `project-${generateId()}`, name, createdAt: now, updatedAt: now, size: 0 };
+    projects.push(project);
+    return project;
+}
+
+/**
+ * Update the modification date and size of the current project after a save
+ * @param {number} size - Size of the saved data in bytes
+ */
+export function touchCurrentProject(size) {
+    const project = getCurrentProject();
+    if (!project) return;
+    project.updatedAt = new Date().toISOString();
+    project.size = size;
+    saveIndex();
+}
+
+/**
+ * Load the project index, migrating the legacy single-map storage on first run
+ */
+function loadProjects() {
+    try {
+        projects = JSON.parse(localStorage.getItem(INDEX_KEY) || '[]');
+    } catch (error) {
+        console.error('Error loading projects:', error);
+        projects = [];
+    }
+
+    if (projects.length === 0) {
+        const project = addProject('Ma carte');
+        const legacy = localStorage.getItem(LEGACY_DATA_KEY);
+        if (legacy) {
+            localStorage.setItem(legacyDataKey(project.id), legacy);
+            localStorage.removeItem(LEGACY_DATA_KEY);
+            project.size = new Blob([legacy]).size;
+        }
+    }
+
+    const savedCurrent = localStorage.getItem(CURRENT_KEY);
+    currentProjectId = projects.some(p => p.id === savedCurrent) ? savedCurrent : projects[0].id;
+    saveIndex();
+}
+
+/**
+ * Replace the elements on the map by those of the current project
+ * (also ends the preview of a shared link)
+ * @returns {Promise<void>}
+ */
+export async function loadCurrentProject() {
+    leaveSharePreview();
+    state.map.closePopup();
+    clearAllElements();
+    await restoreState();
+    updateElementList();
+    await loadHistory();
+}
+
+/**
+ * Open another project, after writing pending changes of the current one
+ * @param {string} id - Project ID
+ * @returns {Promise<void>}
+ */
+export async function switchProject(id) {
+    if (id === currentProjectId || !projects.some(p => p.id === id)) return;
+
+    await flushState();
+    currentProjectId = id;
+    saveIndex();
+
+    await loadCurrentProject();
+    updateProjectUI();
+}
+
+/**
+ * Create an empty project and open it
+ * @param {string} name - Project name
+ * @returns {Promise<void>}
+ */
+export async function createProject(name) {
+    const project = addProject(name);
+    saveIndex();
+    await switchProject(project.id);
+}
+
+/**
+ * Rename a project
+ * @param {string} id - Project ID
+ * @param {string} name - New name
+ */
+export function renameProject(id, name) {
+    const project = projects.find(p => p.id === id);
+    if (!project || !name) return;
+    project.name = name;
+    saveIndex();
+    updateProjectUI();
+}
+
+/**
+ * Duplicate a project (its data, not its history)
+ * @param {string} id - Project ID
+ * @returns {Promise<void>}
+ */
+export async function duplicateProject(id) {
+    const source = projects.find(p => p.id === id);
+    if (!source) return;
+    if (id === currentProjectId) await flushState();
+
+    const copy = addProject(`${source.name} (copie)`);
+    await copyProjectData(id, copy.id);
+    copy.size = source.size;
+    saveIndex();
+    updateProjectUI();
+}
+
+/**
+ * Delete a project and its data; the last project is replaced by an empty one
+ * @param {string} id - Project ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProject(id) {
+    const index = projects.findIndex(p => p.id === id);
+    if (index === -1) return;
+
+    // Let a pending write finish so it cannot recreate the deleted data
+    if (id === currentProjectId) await flushState();
+    await deleteProjectData(id);
+    clearHistory(id);
+    projects.splice(index, 1);
+
+    if (id === currentProjectId) {
+        currentProjectId = (projects[0] || addProject('Ma carte')).id;
+        saveIndex();
+        await loadCurrentProject();
+    } else {
+        saveIndex();
+    }
+    updateProjectUI();
+}
+
+/**
+ * Refresh the project selector and the project manager table
+ */
+function updateProjectUI() {
+    const select = document.getElementById('project-select');
+    if (select) {
+        select.innerHTML = projects
+            .map(p => `<option value="${p.id}"${p.id === currentProjectId ? ' selected' : ''}>${escapeXML(p.name)}</option>`)
+            .join('');
+    }
+
+    const list = document.getElementById('project-list');
+    if (!list) return;
+
+    const sorted = [...projects].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    list.innerHTML = sorted.map(p => `
+        <tr data-project-id="${p.id}" class="${p.id === currentProjectId ? 'current' : ''}">
+            <td class="project-name">${escapeXML(p.name)}</td>
+            <td>${new Date(p.updatedAt).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })}</td>
+            <td>${formatBytes(p.size)}</td>
+            <td class="project-actions">
+                <button class="project-btn" data-action="open" title="Ouvrir"><i class="fas fa-folder-open"></i></button>
+                <button class="project-btn" data-action="rename" title="Renommer"><i class="fas fa-pencil-alt"></i></button>
+                <button class="project-btn" data-action="duplicate" title="Dupliquer"><i class="fas fa-copy"></i></button>
+                <button class="project-btn" data-action="delete" title="Supprimer"><i class="fas fa-trash"></i></button>
+            </td>
+        </tr>`).join('');
+}
+
+/**
+ * Handle a click on one of the project manager actions
+ * @param {MouseEvent} e - Click event
+ */
+function handleProjectAction(e) {
+    const button = e.target.closest('button[data-action]');
+    const row = e.target.closest('tr[data-project-id]');
+    if (!button || !row) return;
+
+    const id = row.dataset.projectId;
+    const project = projects.find(p => p.id === id);
+    if (!project) return;
+
+    switch (button.dataset.action) {
+        case 'open':
+            switchProject(id);
+            closeModal('modal-projects');
+            break;
+        case 'rename': {
+            const name = prompt('Nouveau nom du projet :', project.name)?.trim();
+            if (name) renameProject(id, name);
+            break;
+        }
+        case 'duplicate':
+            duplicateProject(id);
+            break;
+        case 'delete':
+            if (confirm(`Supprimer définitivement le projet « ${project.name} » ?`)) {
+                deleteProject(id);
+            }
+            break;
+    }
+}
+
+/**
+ * Initialize projects: migrate legacy storage, select the current project and bind the UI.
+ * Must run before the saved state is restored.
+ * @returns {Promise<void>}
+ */
+export async function initProjects() {
+    loadProjects();
+    await migrateFromLocalStorage(projects.map(p => p.id), legacyDataKey);
+
+    document.getElementById('project-select')?.addEventListener('change', (e) => switchProject(e.target.value));
+    document.getElementById('btn-manage-projects')?.addEventListener('click', () => {
+        updateProjectUI();
+        openModal('modal-projects');
+    });
+    document.getElementById('btn-close-projects')?.addEventListener('click', () => closeModal('modal-projects'));
+    document.getElementById('btn-new-project')?.addEventListener('click', () => {
+        const name = prompt('Nom du nouveau projet :', 'Nouveau projet')?.trim();
+        if (name) createProject(name);
+    });
+    document.getElementById('project-list')?.addEventListener('click', handleProjectAction);
+
+    updateProjectUI();
+}
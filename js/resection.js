@@ -0,0 +1,378 @@
+/**
+ * Resection - find where one stands from compass bearings taken towards known points
+ * (markers or points picked on the map): least-squares intersection of the rays, drawn
+ * with an error ellipse or a triangle of error
+ * @module resection
+ */
+
+import { CONFIG } from './config.js';
+import { describeAxes, formatPosition, getDisplayCRS, parsePosition } from './crs.js';
+import { setActiveTool } from './drawing.js';
+import { updateElementList } from './elements.js';
+import { elementToGeoJSON, restoreFeature } from './geojson.js';
+import { withHistory } from './history.js';
+import { saveState } from './persistence.js';
+import { state } from './state.js';
+import { calculateDestination, closeModal, escapeXML, formatCoord, generateId, openModal } from './utils.js';
+
+/** @constant {number} Earth radius in meters, as in calculateDestination */
+const EARTH_RADIUS = 6371e3;
+
+/** @constant {number} Scale of the 1-sigma ellipse giving a 95 % confidence region in two dimensions */
+const CONFIDENCE_95 = Math.sqrt(5.991);
+
+/** @constant {number} Rays are drawn this much longer than the distance to the position */
+const RAY_OVERSHOOT = 1.2;
+
+/** @constant {number} Number of empty sightings shown when the dialog first opens */
+const INITIAL_SIGHTINGS = 3;
+
+/** @constant {number} Number of reweighting passes of the least-squares fit */
+const FIT_ITERATIONS = 3;
+
+/** @constant {number} Triangles of error smaller than this area (m²) are replaced by an ellipse */
+const MIN_TRIANGLE_AREA = 1;
+
+/** @type {HTMLTableRowElement|null} Sighting row waiting for a point picked on the map */
+let pickingRow = null;
+
+/**
+ * @typedef {Object} Sighting
+ * @property {{lat: number, lng: number}} point - Known point
+ * @property {number} bearing - True bearing in degrees from the unknown position towards the known point
+ * @property {string} [title] - Name of the known point
+ */
+
+/**
+ * @typedef {Object} ResectionResult
+ * @property {{lat: number, lng: number}} position - Best-fit position
+ * @property {Array<Array<number>>} covariance - 2×2 covariance in m² (east, north)
+ * @property {Array<number>} residuals - Distance in meters from the position to each ray
+ * @property {Array<number>} distances - Distance in meters from each known point to the position, along its ray
+ * @property {Array<Array<number>>} lines - Each ray as [east, north, direction east, direction north] in the local frame
+ * @property {Function} toLatLng - Converts a local [east, north] position back to {lat, lng}
+ */
+
+/**
+ * Intersect the back-bearings of several sightings, weighting each ray by its distance
+ * (an angular error moves the ray further away from a distant point)
+ * @param {Array<Sighting>} sightings - At least two sightings
+ * @param {number} sigma - Standard deviation of the bearings in degrees
+ * @returns {ResectionResult|null} Result, or null if the rays are parallel
+ */
+export function locateFromBearings(sightings, sigma) {
+    // Local plane around the known points, precise enough at compass range
+    const lat0 = sightings.reduce((sum, s) => sum + s.point.lat, 0) / sightings.length;
+    const lng0 = sightings.reduce((sum, s) => sum + s.point.lng, 0) / sightings.length;
+    const k = Math.PI / 180 * EARTH_RADIUS;
+    const cosLat = Math.cos(lat0 * Math.PI / 180);
+    const toLocal = p => [(p.lng - lng0) * k * cosLat, (p.lat - lat0) * k];
+    const toLatLng = ([x, y]) => ({ lat: lat0 + y / k, lng: lng0 + x / (k * cosLat) });
+
+    // Each ray leaves its known point along the back-bearing
+    const lines = sightings.map(s => {
+        const angle = (s.bearing + 180) * Math.PI / 180;
+        return [...toLocal(s.point), Math.sin(angle), Math.cos(angle)];
+    });
+    const sigmaRad = sigma * Math.PI / 180;
+
+    let position = null;
+    let covariance = null;
+    for (let pass = 0; pass < FIT_ITERATIONS; pass++) {
+        // Normal equations of the distances to the rays: sum(w n nᵀ) p = sum(w n nᵀ a)
+        let [nxx, nxy, nyy, bx, by] = [0, 0, 0, 0, 0];
+        lines.forEach(([ax, ay, dx, dy]) => {
+            const range = position ? Math.max(Math.hypot(position[0] - ax, position[1] - ay), 1) : 1;
+            const w = 1 / (sigmaRad * range) ** 2;
+            const [nx, ny] = [dy, -dx];
+            const c = nx * ax + ny * ay;
+            nxx += w * nx * nx;
+            nxy += w * nx * ny;
+            nyy += w * ny * ny;
+            bx += w * nx * c;
+            by += w * ny * c;
+        });
+        const det = nxx * nyy - nxy * nxy;
+        if (!(det > 1e-9 * (nxx + nyy) ** 2)) return null;
+        position = [(nyy * bx - nxy * by) / det, (nxx * by - nxy * bx) / det];
+        covariance = [[nyy / det, -nxy / det], [-nxy / det, nxx / det]];
+    }
+
+    return {
+        position: toLatLng(position),
+        covariance,
+        residuals: lines.map(([ax, ay, dx, dy]) => Math.abs(dy * (position[0] - ax) - dx * (position[1] - ay))),
+        distances: lines.map(([ax, ay, dx, dy]) => dx * (position[0] - ax) + dy * (position[1] - ay)),
+        lines,
+        toLatLng
+    };
+}
+
+/**
+ * Get the 95 % error ellipse of a result, as the parameters of an ellipse shape
+ * @param {Array<Array<number>>} covariance - 2×2 covariance in m² (east, north)
+ * @returns {{radiusX: number, radiusY: number, rotation: number}} Semi-axes in meters and rotation in degrees
+ */
+export function errorEllipse(covariance) {
+    const [[cxx, cxy], [, cyy]] = covariance;
+    const mean = (cxx + cyy) / 2;
+    const spread = Math.hypot((cxx - cyy) / 2, cxy);
+    // Angle of the major axis, counterclockwise from east; ellipse shapes turn clockwise from east
+    const angle = Math.atan2(2 * cxy, cxx - cyy) / 2 * 180 / Math.PI;
+    return {
+        radiusX: Math.max(CONFIDENCE_95 * Math.sqrt(mean + spread), 0.01),
+        radiusY: Math.max(CONFIDENCE_95 * Math.sqrt(Math.max(mean - spread, 0)), 0.01),
+        rotation: (360 - angle) % 360
+    };
+}
+
+/**
+ * Get the triangle of error of three rays (their pairwise intersections)
+ * @param {ResectionResult} result - Result of three sightings
+ * @returns {Array<{lat: number, lng: number}>|null} Corners, or null if two rays are parallel
+ */
+export function errorTriangle(result) {
+    const corners = [];
+    for (const [i, j] of [[0, 1], [1, 2], [2, 0]]) {
+        const [ax, ay, adx, ady] = result.lines[i];
+        const [bx, by, bdx, bdy] = result.lines[j];
+        const det = adx * -bdy + bdx * ady;
+        if (Math.abs(det) < 1e-9) return null;
+        const t = ((bx - ax) * -bdy + bdx * (by - ay)) / det;
+        corners.push(result.toLatLng([ax + t * adx, ay + t * ady]));
+    }
+    return corners;
+}
+
+/**
+ * List the markers usable as known points
+ * @returns {Array<Object>} Marker features
+ */
+function knownMarkers() {
+    return state.features.filter(f => f.properties.type === 'marker');
+}
+
+/**
+ * Fill the known point list of a row, keeping its current choice
+ * @param {HTMLTableRowElement} row - Sighting row
+ */
+function fillSourceOptions(row) {
+    const select = row.querySelector('.ref-source');
+    const current = select.value;
+    select.innerHTML = '<option value="">Coordonnées</option>' + knownMarkers()
+        .map(f => `<option value="${escapeXML(f.id)}">${escapeXML(f.properties.title || 'Marqueur')}</option>`)
+        .join('');
+    select.value = knownMarkers().some(f => f.id === current) ? current : '';
+    updateSourceRow(row);
+}
+
+/**
+ * Show the position of the chosen marker, or let the coordinates be typed
+ * @param {HTMLTableRowElement} row - Sighting row
+ */
+function updateSourceRow(row) {
+    const marker = state.features.find(f => f.id === row.querySelector('.ref-source').value);
+    const coords = row.querySelector('.ref-coords');
+    coords.disabled = !!marker;
+    if (marker) {
+        const [lng, lat] = marker.geometry.coordinates;
+        coords.value = formatPosition({ lat, lng });
+    }
+}
+
+/**
+ * Add an empty sighting row
+ */
+function addSightingRow() {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><select class="ref-source"></select></td>
+        <td><input type="text" class="ref-coords" placeholder="${describeAxes()}"></td>
+        <td><button class="project-btn" data-action="pick" title="Pointer sur la carte"><i class="fas fa-crosshairs"></i></button></td>
+        <td><input type="number" class="ref-bearing" step="any" min="0" max="360"></td>
+        <td><button class="project-btn" data-action="remove" title="Supprimer la visée"><i class="fas fa-times"></i></button></td>`;
+    document.getElementById('resection-sightings').appendChild(row);
+    fillSourceOptions(row);
+}
+
+/**
+ * Read the sightings of the dialog, skipping empty rows
+ * @returns {{sightings: Array<Sighting>, error: string|null}} Sightings, or the first input error
+ */
+function readSightings() {
+    const declination = Number.parseFloat(document.getElementById('resection-declination').value) || 0;
+    const sightings = [];
+    const rows = [...document.querySelectorAll('#resection-sightings tr')];
+    for (const [i, row] of rows.entries()) {
+        const coordsText = row.querySelector('.ref-coords').value.trim();
+        const bearingText = row.querySelector('.ref-bearing').value.trim();
+        if (!coordsText && !bearingText) continue;
+
+        const point = parsePosition(coordsText);
+        const bearing = Number.parseFloat(bearingText);
+        if (!point || !Number.isFinite(bearing)) {
+            return { sightings, error: `Visée ${i + 1} : indiquez un point connu (${describeAxes()}) et l'azimut observé en degrés.` };
+        }
+        const marker = state.features.find(f => f.id === row.querySelector('.ref-source').value);
+        sightings.push({
+            point,
+            bearing: (bearing + declination + 360) % 360,
+            title: marker?.properties.title || formatCoord(point, 5)
+        });
+    }
+    return { sightings, error: sightings.length >= 2 ? null : 'Indiquez au moins deux visées.' };
+}
+
+/**
+ * Rewrite the typed coordinates of the rows in the display coordinate system, if it changed
+ * since they were entered
+ */
+function followDisplayCRS() {
+    const body = document.getElementById('resection-sightings');
+    const previous = body.dataset.crs;
+    if (previous && previous !== getDisplayCRS()) {
+        body.querySelectorAll('.ref-coords').forEach(input => {
+            const point = parsePosition(input.value, previous);
+            if (point) input.value = formatPosition(point);
+            input.placeholder = describeAxes();
+        });
+    }
+    body.dataset.crs = getDisplayCRS();
+    document.getElementById('resection-axes').textContent = describeAxes();
+}
+
+/**
+ * Open the resection dialog
+ */
+export function openResectionDialog() {
+    setActiveTool(null);
+    const body = document.getElementById('resection-sightings');
+    followDisplayCRS();
+    if (!body.children.length) {
+        for (let i = 0; i < INITIAL_SIGHTINGS; i++) addSightingRow();
+    } else {
+        [...body.children].forEach(fillSourceOptions);
+    }
+    openModal('modal-resection');
+}
+
+/**
+ * Fill the row waiting for a point with a position picked on the map, then reopen the dialog
+ * @param {{lat: number, lng: number}} latlng - Picked position
+ */
+export function handleResectionPick(latlng) {
+    followDisplayCRS();
+    if (pickingRow) {
+        pickingRow.querySelector('.ref-source').value = '';
+        updateSourceRow(pickingRow);
+        pickingRow.querySelector('.ref-coords').value = formatPosition(latlng);
+        pickingRow = null;
+    }
+    setActiveTool(null);
+    openModal('modal-resection');
+}
+
+/**
+ * Build an element feature in the result folder
+ * @param {string} type - Element type
+ * @param {Object} data - Element data, as for elementToGeoJSON
+ * @param {string} folderId - Result folder
+ * @returns {Object} GeoJSON feature
+ */
+function buildFeature(type, data, folderId) {
+    const color = CONFIG.colors[`drawing-${type}`] || CONFIG.colors.default;
+    return elementToGeoJSON({ id: generateId(), type, data: { color, ...data, folderId } });
+}
+
+/**
+ * Compute the position from the dialog and add it to the map, in a new folder, with the rays
+ * and the error ellipse (or the triangle of error for exactly three sightings)
+ * @returns {Array<string>|null} IDs of the new elements, or null if nothing was created
+ */
+export function computeResection() {
+    const { sightings, error } = readSightings();
+    if (error) {
+        alert(error);
+        return null;
+    }
+
+    const sigma = Number.parseFloat(document.getElementById('resection-sigma').value);
+    const result = locateFromBearings(sightings, sigma > 0 ? sigma : 1);
+    if (!result) {
+        alert('Les visées sont parallèles : choisissez des points connus dans des directions différentes.');
+        return null;
+    }
+    if (result.distances.some(d => d <= 0)) {
+        alert('Les visées ne se croisent pas : vérifiez les azimuts (mesurés depuis votre position vers chaque point connu).');
+        return null;
+    }
+
+    const ellipse = errorEllipse(result.covariance);
+    const triangle = sightings.length === 3 ? errorTriangle(result) : null;
+    const useTriangle = triangle && turf.area(turf.polygon([[...triangle, triangle[0]].map(p => [p.lng, p.lat])])) >= MIN_TRIANGLE_AREA;
+
+    const description = [
+        `Relèvement sur ${sightings.length} visées`,
+        ...sightings.map((s, i) => `${s.title} : azimut ${s.bearing.toFixed(1)}°, écart ${result.residuals[i].toFixed(1)} m`),
+        `Ellipse d'erreur à 95 % : ${(ellipse.radiusX * 2).toFixed(1)} m × ${(ellipse.radiusY * 2).toFixed(1)} m`
+    ].join('\n');
+
+    const folder = { id: `folder-${generateId()}`, name: 'Relèvement', collapsed: false, visible: true };
+    const features = [
+        buildFeature('marker', { ...result.position, title: 'Position relevée', description }, folder.id),
+        ...sightings.map((s, i) => {
+            const back = (s.bearing + 180) % 360;
+            const distance = result.distances[i] * RAY_OVERSHOOT;
+            return buildFeature('bearing', {
+                title: `Visée depuis « ${s.title} »`,
+                start: s.point,
+                end: calculateDestination(s.point, distance, back),
+                distance,
+                bearing: back
+            }, folder.id);
+        }),
+        useTriangle
+            ? buildFeature('polygon', { title: 'Triangle d\'erreur', points: triangle }, folder.id)
+            : buildFeature('ellipse', { title: 'Ellipse d\'erreur (95 %)', center: result.position, ...ellipse }, folder.id)
+    ];
+
+    const ids = withHistory('Relèvement par azimuts', [], () => {
+        state.folders.push(folder);
+        features.forEach(feature => restoreFeature(feature));
+        updateElementList();
+        saveState();
+        return features.map(f => f.id);
+    });
+
+    closeModal('modal-resection');
+    state.map.fitBounds(L.geoJSON(turf.featureCollection(features)).getBounds(), { padding: [40, 40] });
+    return ids;
+}
+
+/**
+ * Initialize the resection dialog
+ */
+export function initResection() {
+    document.getElementById('btn-resection')?.addEventListener('click', openResectionDialog);
+    document.getElementById('btn-add-sighting')?.addEventListener('click', addSightingRow);
+    document.getElementById('btn-cancel-resection')?.addEventListener('click', () => closeModal('modal-resection'));
+    document.getElementById('btn-confirm-resection')?.addEventListener('click', computeResection);
+
+    const body = document.getElementById('resection-sightings');
+    body?.addEventListener('change', e => {
+        if (e.target.matches('.ref-source')) updateSourceRow(e.target.closest('tr'));
+    });
+    body?.addEventListener('click', e => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const row = button.closest('tr');
+        if (button.dataset.action === 'remove') {
+            row.remove();
+        } else {
+            // Hide the dialog while the point is picked
+            pickingRow = row;
+            closeModal('modal-resection');
+            setActiveTool('resection');
+        }
+    });
+}
@@ -0,0 +1,235 @@
+/**
+ * Parametric shapes - rectangles, ellipses, circular sectors and regular polygons.
+ * Like circles, they are described by a center and dimensions kept in their properties;
+ * their geometry is the polygon rebuilt from those parameters.
+ * @module shapes
+ */
+
+/** @constant {number} Number of vertices of an ellipse outline */
+const ELLIPSE_STEPS = 64;
+
+/** @constant {number} Largest angle between two vertices of a sector arc, in degrees */
+const SECTOR_STEP = 5;
+
+/** @constant {number} Smallest number of sides of a regular polygon */
+const MIN_SIDES = 3;
+
+/** @constant {number} Largest number of sides of a regular polygon */
+const MAX_SIDES = 360;
+
+/**
+ * @typedef {Object} ShapeField
+ * @property {string} key - Property name
+ * @property {string} label - Field label
+ * @property {number} value - Default value in the creation dialog
+ * @property {string} kind - 'length' (meters, scaled by transforms), 'angle' (degrees, rotated by transforms) or 'count'
+ */
+
+/** @constant {Object<string, Array<ShapeField>>} Parameters of each shape type, besides the center */
+export const SHAPE_FIELDS = {
+    'rectangle': [
+        { key: 'width', label: 'Largeur (m)', value: 100, kind: 'length' },
+        { key: 'height', label: 'Hauteur (m)', value: 50, kind: 'length' },
+        { key: 'rotation', label: 'Rotation (degrés)', value: 0, kind: 'angle' }
+    ],
+    'ellipse': [
+        { key: 'radiusX', label: 'Demi-axe est-ouest (m)', value: 100, kind: 'length' },
+        { key: 'radiusY', label: 'Demi-axe nord-sud (m)', value: 50, kind: 'length' },
+        { key: 'rotation', label: 'Rotation (degrés)', value: 0, kind: 'angle' }
+    ],
+    'sector': [
+        { key: 'radius', label: 'Rayon (m)', value: 500, kind: 'length' },
+        { key: 'startBearing', label: 'Azimut de début (degrés)', value: 0, kind: 'angle' },
+        { key: 'endBearing', label: 'Azimut de fin (degrés)', value: 90, kind: 'angle' }
+    ],
+    'regular-polygon': [
+        { key: 'radius', label: 'Rayon (m)', value: 100, kind: 'length' },
+        { key: 'sides', label: 'Nombre de côtés', value: 6, kind: 'count' },
+        { key: 'rotation', label: 'Rotation (degrés)', value: 0, kind: 'angle' }
+    ]
+};
+
+/**
+ * Check whether an element type is a parametric shape
+ * @param {string} type - Element type
+ * @returns {boolean} True for rectangles, ellipses, sectors and regular polygons
+ */
+export function isShape(type) {
+    return Object.hasOwn(SHAPE_FIELDS, type);
+}
+
+/**
+ * Check one parameter value
+ * @param {ShapeField} field - Parameter description
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidValue(field, value) {
+    if (!Number.isFinite(value)) return false;
+    if (field.kind === 'length') return value > 0;
+    if (field.kind === 'count') return Number.isInteger(value) && value >= MIN_SIDES && value <= MAX_SIDES;
+    return true;
+}
+
+/**
+ * Check that the center and every parameter of a shape are valid
+ * @param {string} type - Shape type
+ * @param {Object} params - Properties holding the center and the parameters
+ * @returns {boolean} True if the shape can be built
+ */
+export function isValidShape(type, params) {
+    return isShape(type) &&
+        Number.isFinite(params.center?.lat) && Number.isFinite(params.center?.lng) &&
+        SHAPE_FIELDS[type].every(field => isValidValue(field, params[field.key]));
+}
+
+/**
+ * Copy the center and the parameters of a shape
+ * @param {string} type - Shape type
+ * @param {Object} source - Properties or creation data
+ * @returns {Object} Center {lat, lng} and parameters
+ */
+export function getShapeParameters(type, source) {
+    const params = { center: { lat: source.center.lat, lng: source.center.lng } };
+    SHAPE_FIELDS[type].forEach(({ key }) => {
+        params[key] = source[key];
+    });
+    return params;
+}
+
+/**
+ * Bring an angle back into [0, 360)
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Normalized angle
+ */
+function normalizeAngle(angle) {
+    return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Angle swept clockwise by a sector, from its start to its end bearing
+ * @param {Object} params - Sector parameters
+ * @returns {number} Angle in (0, 360]; equal bearings give a full disc
+ */
+export function sectorSweep(params) {
+    return normalizeAngle(params.endBearing - params.startBearing) || 360;
+}
+
+/**
+ * Rotate a local offset clockwise, as bearings do
+ * @param {number} east - Offset towards the east in meters
+ * @param {number} north - Offset towards the north in meters
+ * @param {number} rotation - Angle in degrees
+ * @returns {Array<number>} Rotated [east, north] offset
+ */
+function rotateOffset(east, north, rotation) {
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [east * cos + north * sin, north * cos - east * sin];
+}
+
+/**
+ * Offset of a point at a given bearing and distance
+ * @param {number} bearing - Bearing in degrees
+ * @param {number} distance - Distance in meters
+ * @returns {Array<number>} [east, north] offset
+ */
+function polarOffset(bearing, distance) {
+    const angle = bearing * Math.PI / 180;
+    return [distance * Math.sin(angle), distance * Math.cos(angle)];
+}
+
+/**
+ * List the vertices of a shape as offsets from its center, counterclockwise
+ * @param {string} type - Shape type
+ * @param {Object} params - Shape parameters
+ * @returns {Array<Array<number>>} [east, north] offsets in meters
+ */
+function outlineOffsets(type, params) {
+    switch (type) {
+        case 'rectangle': {
+            const [w, h] = [params.width / 2, params.height / 2];
+            return [[-w, -h], [w, -h], [w, h], [-w, h]].map(([e, n]) => rotateOffset(e, n, params.rotation));
+        }
+        case 'ellipse':
+            return Array.from({ length: ELLIPSE_STEPS }, (_, i) => {
+                const t = 2 * Math.PI * i / ELLIPSE_STEPS;
+                return rotateOffset(params.radiusX * Math.cos(t), params.radiusY * Math.sin(t), params.rotation);
+            });
+        case 'sector': {
+            const sweep = sectorSweep(params);
+            const steps = Math.max(2, Math.ceil(sweep / SECTOR_STEP));
+            // The arc is walked from the end bearing back to the start bearing
+            const arc = Array.from({ length: sweep === 360 ? steps : steps + 1 },
+                (_, i) => polarOffset(params.startBearing + sweep * (steps - i) / steps, params.radius));
+            return sweep === 360 ? arc : [[0, 0], ...arc];
+        }
+        case 'regular-polygon':
+            return Array.from({ length: params.sides },
+                (_, i) => polarOffset(params.rotation - 360 * i / params.sides, params.radius));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Build the polygon of a shape. Offsets are laid out geodesically from the center.
+ * @param {string} type - Shape type
+ * @param {Object} params - Center and parameters
+ * @returns {Object} GeoJSON Polygon geometry
+ */
+export function buildShapeGeometry(type, params) {
+    const center = [params.center.lng, params.center.lat];
+    const ring = outlineOffsets(type, params).map(([east, north]) => {
+        const distance = Math.hypot(east, north);
+        if (distance === 0) return center;
+        const bearing = Math.atan2(east, north) * 180 / Math.PI;
+        return turf.destination(center, distance, bearing, { units: 'meters' }).geometry.coordinates;
+    });
+    ring.push(ring[0]);
+    return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * Move, rotate and scale the parameters of a shape
+ * @param {string} type - Shape type
+ * @param {Object} params - Original center and parameters
+ * @param {Object} change - Transformation
+ * @param {{lat: number, lng: number}} change.center - New center
+ * @param {number} [change.angle=0] - Clockwise rotation in degrees
+ * @param {number} [change.factor=1] - Scale factor applied to lengths
+ * @returns {Object} New center and parameters
+ */
+export function transformShape(type, params, { center, angle = 0, factor = 1 }) {
+    const result = { center };
+    SHAPE_FIELDS[type].forEach(({ key, kind }) => {
+        const value = params[key];
+        if (kind === 'length') result[key] = value * factor;
+        else if (kind === 'angle') result[key] = angle ? normalizeAngle(value + angle) : value;
+        else result[key] = value;
+    });
+    return result;
+}
+
+/**
+ * Describe the dimensions of a shape in a few words
+ * @param {string} type - Shape type
+ * @param {Object} params - Shape parameters
+ * @returns {string} Description such as "100 m × 50 m"
+ */
+export function describeShape(type, params) {
+    const m = value => `${Number(value.toFixed(1))} m`;
+    switch (type) {
+        case 'rectangle':
+            return `${m(params.width)} × ${m(params.height)}`;
+        case 'ellipse':
+            return `${m(params.radiusX * 2)} × ${m(params.radiusY * 2)}`;
+        case 'sector':
+            return `Rayon: ${m(params.radius)}, ${Number(params.startBearing.toFixed(1))}° → ${Number(params.endBearing.toFixed(1))}°`;
+        case 'regular-polygon':
+            return `${params.sides} côtés, rayon: ${m(params.radius)}`;
+        default:
+            return '';
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * Shareable links - view, layers and selected elements compressed into the URL hash
+ * @module share
+ */
+
+import { DATA_VERSION } from './config.js';
+import { updateElementList } from './elements.js';
+import { clearAllElements, restoreFeature } from './geojson.js';
+import { clearHistory } from './history.js';
+import { openImportDialog } from './importer.js';
+import { restoreLayerSettings } from './layers.js';
+import { collectLayerSettings, flushState } from './persistence.js';
+import { loadCurrentProject } from './projects.js';
+import { state } from './state.js';
+import { closeModal, escapeXML, generateId, getIcon, openModal } from './utils.js';
+import { validateImport } from './validation.js';
+
+/** @constant {string} URL hash prefix of shared links */
+const HASH_PREFIX = '#share=';
+
+/** @constant {number} Format version of the shared payload */
+const SHARE_FORMAT = 1;
+
+/** @constant {number} Decimals kept for shared coordinates (about 10 cm) */
+const COORD_PRECISION = 6;
+
+/** @constant {number} Link length above which some applications may truncate it */
+const LONG_LINK_LENGTH = 8000;
+
+/** @constant {Array<string>} Properties not worth sharing (stored altitudes no longer match the rounded coordinates) */
+const LOCAL_PROPERTIES = ['_visible', 'folderId', 'id', 'elevation'];
+
+/** @type {Object|null} FeatureCollection of the shared link being previewed */
+let sharedData = null;
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} base64url string
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} text - base64url string
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Pipe bytes through a (de)compression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} transform - Stream transform
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode a payload for the URL hash: "z" + deflated JSON, or "j" + plain JSON when
+ * the browser has no CompressionStream
+ * @param {Object} payload - Payload
+ * @returns {Promise<string>} Encoded payload
+ */
+async function encodePayload(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === 'undefined') {
+        return `j${toBase64Url(bytes)}`;
+    }
+    return `z${toBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+/**
+ * Decode a payload read from the URL hash
+ * @param {string} encoded - Encoded payload
+ * @returns {Promise<Object>} Payload
+ */
+async function decodePayload(encoded) {
+    let bytes = fromBase64Url(encoded.slice(1));
+    if (encoded[0] === 'z') {
+        bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (encoded[0] !== 'j') {
+        throw new Error('format inconnu');
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Round every number of a coordinates array
+ * @param {*} value - Position, list of positions or nested lists
+ * @returns {*} Rounded copy
+ */
+function roundCoordinates(value) {
+    if (Array.isArray(value)) return value.map(roundCoordinates);
+    return typeof value === 'number' ? Number(value.toFixed(COORD_PRECISION)) : value;
+}
+
+/**
+ * Copy a geometry with rounded coordinates
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object} Compact geometry
+ */
+function compactGeometry(geometry) {
+    if (geometry.type === 'GeometryCollection') {
+        return { type: geometry.type, geometries: geometry.geometries.map(compactGeometry) };
+    }
+    return { type: geometry.type, coordinates: roundCoordinates(geometry.coordinates) };
+}
+
+/**
+ * Build the payload of a shared link
+ * @param {Array<string>} ids - IDs of the elements to include
+ * @returns {Object} Payload
+ */
+function buildPayload(ids) {
+    const center = state.map.getCenter();
+    const selected = new Set(ids);
+    return {
+        v: SHARE_FORMAT,
+        c: roundCoordinates([center.lat, center.lng]),
+        z: state.map.getZoom(),
+        l: collectLayerSettings(),
+        f: state.features
+            .filter(f => selected.has(f.id))
+            .map(f => {
+                const properties = { ...f.properties };
+                LOCAL_PROPERTIES.forEach(key => delete properties[key]);
+                return [compactGeometry(f.geometry), properties];
+            })
+    };
+}
+
+/**
+ * Build a shareable link for the current view and some elements
+ * @param {Array<string>} [ids=[]] - IDs of the elements to include
+ * @returns {Promise<string>} URL
+ */
+export async function createShareLink(ids = []) {
+    const encoded = await encodePayload(buildPayload(ids));
+    return `${location.origin}${location.pathname}${location.search}${HASH_PREFIX}${encoded}`;
+}
+
+/**
+ * Remove the share hash from the address bar without reloading
+ */
+function clearShareHash() {
+    if (location.hash.startsWith(HASH_PREFIX)) {
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
+    }
+}
+
+/**
+ * Display the shared link found in the URL hash, if any, instead of the current project.
+ * Nothing is saved while the preview is shown.
+ * @returns {Promise<boolean>} True if a shared link is being previewed
+ */
+export async function openSharedLink() {
+    if (!location.hash.startsWith(HASH_PREFIX)) return false;
+
+    let payload;
+    try {
+        payload = await decodePayload(location.hash.slice(HASH_PREFIX.length));
+        if (payload?.v !== SHARE_FORMAT) throw new Error(`version ${payload?.v} non prise en charge`);
+    } catch (error) {
+        console.error('Invalid share link:', error);
+        alert('Lien de partage invalide : ' + error.message);
+        clearShareHash();
+        return false;
+    }
+
+    // Keep the project safe before replacing what is on the map
+    await flushState();
+    state.sharePreview = true;
+    state.map.closePopup();
+    clearAllElements();
+    clearHistory();
+
+    // Shared links come from anyone: validate them like an imported file.
+    // IDs are not shared: each element gets a new one to key its layer and visibility.
+    const features = (Array.isArray(payload.f) ? payload.f : []).map(([geometry, properties]) => ({
+        type: 'Feature',
+        id: generateId(),
+        geometry,
+        properties
+    }));
+    sharedData = validateImport({ type: 'FeatureCollection', features, properties: { version: DATA_VERSION } }).data;
+    sharedData.features.forEach(feature => restoreFeature(feature, true));
+    updateElementList();
+
+    if (Array.isArray(payload.c) && Number.isFinite(payload.z)) {
+        state.map.setView(payload.c, payload.z);
+    }
+    if (payload.l) {
+        restoreLayerSettings(payload.l);
+    }
+
+    showBanner(sharedData.features.length);
+    return true;
+}
+
+/**
+ * End the shared link preview (the caller reloads the project)
+ */
+export function leaveSharePreview() {
+    if (!state.sharePreview) return;
+    state.sharePreview = false;
+    sharedData = null;
+    clearShareHash();
+    document.getElementById('share-banner')?.classList.add('hidden');
+}
+
+/**
+ * Show the preview banner
+ * @param {number} count - Number of shared elements
+ */
+function showBanner(count) {
+    const text = count > 0
+        ? `Aperçu d'une carte partagée (${count} élément(s)). Votre projet n'est pas modifié.`
+        : 'Aperçu d\'une vue partagée. Votre projet n\'est pas modifié.';
+    document.getElementById('share-banner-text').textContent = text;
+    document.getElementById('btn-import-shared')?.classList.toggle('hidden', count === 0);
+    document.getElementById('share-banner')?.classList.remove('hidden');
+}
+
+/**
+ * Go back to the project and offer to import the shared elements
+ */
+async function importShared() {
+    const data = sharedData;
+    await loadCurrentProject();
+    if (data?.features.length) openImportDialog(data, 'Carte partagée');
+}
+
+/**
+ * Fill the share dialog with the list of elements
+ */
+function openShareDialog() {
+    const list = document.getElementById('share-element-list');
+    list.innerHTML = state.features.map(f => `
+        <label class="radio-option">
+            <input type="checkbox" value="${escapeXML(f.id)}">
+            ${getIcon(f.properties.type)} ${escapeXML(f.properties.title || '')}
+        </label>`).join('') || '<p class="modal-info">Aucun élément sur la carte</p>';
+
+    const selectAll = document.getElementById('share-select-all');
+    selectAll.checked = false;
+    selectAll.disabled = state.features.length === 0;
+
+    updateShareLink();
+    openModal('modal-share');
+}
+
+/**
+ * Regenerate the link from the elements checked in the share dialog
+ */
+async function updateShareLink() {
+    const ids = [...document.querySelectorAll('#share-element-list input:checked')].map(input => input.value);
+    const link = await createShareLink(ids);
+
+    document.getElementById('share-link').value = link;
+    document.getElementById('share-link-info').textContent = link.length > LONG_LINK_LENGTH
+        ? `Lien très long (${link.length} caractères) : certaines messageries risquent de le tronquer.`
+        : `${ids.length} élément(s) inclus, ${link.length} caractères.`;
+}
+
+/**
+ * Copy the generated link to the clipboard
+ */
+async function copyShareLink() {
+    const input = document.getElementById('share-link');
+    try {
+        await navigator.clipboard.writeText(input.value);
+        document.getElementById('share-link-info').textContent = 'Lien copié dans le presse-papiers.';
+    } catch {
+        // Clipboard API unavailable (e.g. non-secure context): let the user copy it
+        input.select();
+    }
+}
+
+/**
+ * Initialize the share dialog, the preview banner and shared link detection
+ */
+export function initShare() {
+    document.getElementById('btn-share')?.addEventListener('click', openShareDialog);
+    document.getElementById('btn-close-share')?.addEventListener('click', () => closeModal('modal-share'));
+    document.getElementById('btn-copy-share')?.addEventListener('click', copyShareLink);
+    document.getElementById('share-element-list')?.addEventListener('change', updateShareLink);
+    document.getElementById('share-select-all')?.addEventListener('change', (e) => {
+        document.querySelectorAll('#share-element-list input').forEach(input => { input.checked = e.target.checked; });
+        updateShareLink();
+    });
+
+    document.getElementById('btn-import-shared')?.addEventListener('click', importShared);
+    document.getElementById('btn-close-shared')?.addEventListener('click', loadCurrentProject);
+
+    // A shared link pasted into an already open tab
+    window.addEventListener('hashchange', openSharedLink);
+}
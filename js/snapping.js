@@ -0,0 +1,190 @@
+/**
+ * Snapping - attach drawing and measurement clicks to nearby vertices and edges
+ * of the elements and of the loaded buildings
+ * @module snapping
+ */
+
+import { SNAP_TOLERANCE } from './config.js';
+import { state } from './state.js';
+
+/** @constant {string} localStorage key of the snapping switch */
+const STORAGE_KEY = 'ignMapSnapping';
+
+/** @type {boolean} True if snapping is enabled */
+let enabled = localStorage.getItem(STORAGE_KEY) === 'true';
+
+/** @type {WeakMap<Array, Array<number>>} Bounding box [west, south, east, north] of each coordinates array */
+const bboxCache = new WeakMap();
+
+/**
+ * @typedef {Object} SnapResult
+ * @property {L.LatLng} latlng - Snapped position
+ * @property {string} kind - 'vertex' or 'edge'
+ * @property {string} source - 'element', 'building' or 'drawing'
+ */
+
+/**
+ * Collect the lines (open or closed) and isolated points of a geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Array<Array<Array<number>>>} paths - Receives position lists
+ */
+function collectPaths(geometry, paths) {
+    if (!geometry) return;
+    switch (geometry.type) {
+        case 'Point':
+            paths.push([geometry.coordinates]);
+            break;
+        case 'MultiPoint':
+        case 'LineString':
+            paths.push(geometry.coordinates);
+            break;
+        case 'Polygon':
+        case 'MultiLineString':
+            paths.push(...geometry.coordinates);
+            break;
+        case 'MultiPolygon':
+            geometry.coordinates.forEach(polygon => paths.push(...polygon));
+            break;
+        case 'GeometryCollection':
+            geometry.geometries.forEach(part => collectPaths(part, paths));
+            break;
+    }
+}
+
+/**
+ * Get the bounding box of a position list (edits replace the coordinates arrays, so the cache stays valid)
+ * @param {Array<Array<number>>} path - Positions [lng, lat]
+ * @returns {Array<number>} [west, south, east, north]
+ */
+function pathBbox(path) {
+    let bbox = bboxCache.get(path);
+    if (!bbox) {
+        bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        path.forEach(([lng, lat]) => {
+            bbox[0] = Math.min(bbox[0], lng);
+            bbox[1] = Math.min(bbox[1], lat);
+            bbox[2] = Math.max(bbox[2], lng);
+            bbox[3] = Math.max(bbox[3], lat);
+        });
+        bboxCache.set(path, bbox);
+    }
+    return bbox;
+}
+
+/**
+ * List the snap candidates: visible elements, loaded buildings and the shape being drawn
+ * @returns {Array<{path: Array<Array<number>>, source: string}>} Candidate paths
+ */
+function snapCandidates() {
+    const candidates = [];
+    const add = (geometry, source) => {
+        const paths = [];
+        collectPaths(geometry, paths);
+        paths.forEach(path => candidates.push({ path, source }));
+    };
+
+    state.features
+        .filter(f => state.featureVisibility.get(f.id) !== false)
+        .forEach(f => add(f.geometry, 'element'));
+
+    if (state.buildingsLayer && state.map.hasLayer(state.buildingsLayer)) {
+        state.buildingsLayer.eachLayer(layer => add(layer.feature?.geometry, 'building'));
+    }
+
+    const drawn = state.measurement.active ? state.measurement.points : state.drawing.points;
+    if (drawn?.length) {
+        candidates.push({ path: drawn.map(p => [p.lng, p.lat]), source: 'drawing' });
+    }
+    return candidates;
+}
+
+/**
+ * Find the closest vertex, or failing that the closest edge, within the pixel tolerance
+ * @param {L.LatLng} latlng - Cursor position
+ * @returns {SnapResult|null} Snap target, or null if nothing is close enough
+ */
+export function findSnapTarget(latlng) {
+    if (!enabled || !state.map) return null;
+
+    // Unrounded pixel coordinates, so that edge positions are not shifted by rounding
+    const map = state.map;
+    const zoom = map.getZoom();
+    const cursor = map.project(latlng, zoom);
+    const area = L.latLngBounds(
+        map.unproject(cursor.subtract([SNAP_TOLERANCE, SNAP_TOLERANCE]), zoom),
+        map.unproject(cursor.add([SNAP_TOLERANCE, SNAP_TOLERANCE]), zoom)
+    );
+    const [west, south, east, north] = [area.getWest(), area.getSouth(), area.getEast(), area.getNorth()];
+
+    let vertex = null;
+    let edge = null;
+    snapCandidates().forEach(({ path, source }) => {
+        const bbox = pathBbox(path);
+        if (bbox[0] > east || bbox[2] < west || bbox[1] > north || bbox[3] < south) return;
+
+        const points = path.map(([lng, lat]) => map.project([lat, lng], zoom));
+        points.forEach((point, i) => {
+            const distance = point.distanceTo(cursor);
+            if (distance <= SNAP_TOLERANCE && (!vertex || distance < vertex.distance)) {
+                vertex = { distance, point, source, position: path[i] };
+            }
+            if (i === 0) return;
+            const closest = L.LineUtil.closestPointOnSegment(cursor, points[i - 1], point);
+            const edgeDistance = closest.distanceTo(cursor);
+            if (edgeDistance <= SNAP_TOLERANCE && (!edge || edgeDistance < edge.distance)) {
+                edge = { distance: edgeDistance, point: closest, source };
+            }
+        });
+    });
+
+    // Vertices win over edges so that shared corners are reused exactly
+    if (vertex) {
+        return { latlng: L.latLng(vertex.position[1], vertex.position[0]), kind: 'vertex', source: vertex.source };
+    }
+    if (edge) {
+        return { latlng: map.unproject(edge.point, zoom), kind: 'edge', source: edge.source };
+    }
+    return null;
+}
+
+/**
+ * Snap a position if snapping is enabled and a target is close enough
+ * @param {L.LatLng} latlng - Clicked or hovered position
+ * @returns {L.LatLng} Snapped or original position
+ */
+export function snapLatLng(latlng) {
+    return findSnapTarget(latlng)?.latlng ?? latlng;
+}
+
+/**
+ * Show the snap target under the cursor
+ * @param {SnapResult|null} target - Snap target, or null to hide the indicator
+ */
+export function showSnapIndicator(target) {
+    if (state.drawing.snapLayer) {
+        state.map.removeLayer(state.drawing.snapLayer);
+        state.drawing.snapLayer = null;
+    }
+    if (!target) return;
+
+    state.drawing.snapLayer = L.circleMarker(target.latlng, {
+        radius: target.kind === 'vertex' ? 7 : 5,
+        className: `snap-indicator snap-${target.kind}`,
+        interactive: false
+    }).addTo(state.map);
+}
+
+/**
+ * Initialize the snapping switch
+ */
+export function initSnapping() {
+    const toggle = document.getElementById('snap-toggle');
+    if (!toggle) return;
+
+    toggle.checked = enabled;
+    toggle.addEventListener('change', () => {
+        enabled = toggle.checked;
+        localStorage.setItem(STORAGE_KEY, String(enabled));
+        if (!enabled) showSnapIndicator(null);
+    });
+}
@@ -9,7 +9,10 @@
  * @property {Array<{lat: number, lng: number}>} points - Collection of drawing points
  * @property {L.Layer|null} tempLayer - Temporary layer for preview
  * @property {L.Layer|null} cursorLayer - Cursor preview layer
- * @property {{lat: number, lng: number}|null} center - Center point for circles
+ * @property {L.Layer|null} snapLayer - Snap target indicator
+ * @property {{lat: number, lng: number}|null} center - Center point for circles and shapes
+ * @property {string|null} shape - Shape type of the open creation dialog
+ * @property {{id: string, kind: string}|null} target - Element receiving the drawn hole or part, if any
  */
 
 /**
@@ -34,6 +37,7 @@
  * @property {L.GeoJSON|null} buffersLayer - Buffer zones layer
  * @property {L.LatLng|null} contextMenuLocation - Context menu click location
  * @property {MeasurementState} measurement - Measurement tool state
+ * @property {boolean} sharePreview - True while a shared link is displayed instead of the project
  */
 
 /**
@@ -69,7 +73,10 @@ export const state = {
         points: [],
         tempLayer: null,
         cursorLayer: null,
-        center: null
+        snapLayer: null,
+        center: null,
+        shape: null,
+        target: null
     },
 
     /** @type {L.GeoJSON|null} Buildings WFS layer */
@@ -87,7 +94,10 @@ export const state = {
         points: [],
         tempLayers: [],
         result: null
-    }
+    },
+
+    /** @type {boolean} True while a shared link is displayed instead of the project (nothing is saved) */
+    sharePreview: false
 };
 
 /**
@@ -111,6 +121,10 @@ export function clearCursorLayer() {
         state.map.removeLayer(state.drawing.cursorLayer);
         state.drawing.cursorLayer = null;
     }
+    if (state.drawing.snapLayer && state.map) {
+        state.map.removeLayer(state.drawing.snapLayer);
+        state.drawing.snapLayer = null;
+    }
 }
 
 /**
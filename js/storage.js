@@ -0,0 +1,280 @@
+/**
+ * IndexedDB storage - per-feature records, per-project metadata and undo/redo history
+ * @module storage
+ */
+
+import { STORAGE_WARNING_RATIO } from './config.js';
+import { formatBytes } from './utils.js';
+
+/** @constant {string} IndexedDB database name */
+const DB_NAME = 'cartouille';
+
+/** @constant {number} IndexedDB schema version */
+const DB_VERSION = 2;
+
+/** @constant {string} Object store of features, keyed by [projectId, id] */
+const FEATURES_STORE = 'features';
+
+/** @constant {string} Object store of project metadata (view, folders, layers, order), keyed by projectId */
+const META_STORE = 'meta';
+
+/** @constant {string} Object store of undo/redo histories, keyed by projectId */
+const HISTORY_STORE = 'history';
+
+/**
+ * @typedef {Object} FeatureRecord
+ * @property {string} projectId - Owning project
+ * @property {string} id - Feature ID
+ * @property {Object} feature - GeoJSON feature
+ * @property {boolean} visible - Visibility on the map
+ */
+
+/**
+ * @typedef {Object} ProjectMeta
+ * @property {string} projectId - Project ID
+ * @property {Object} center - Map center
+ * @property {number} zoom - Map zoom
+ * @property {string} savedAt - ISO save date
+ * @property {string} version - Data format version
+ * @property {Array<Object>} folders - Folders
+ * @property {Object} layerSettings - Layer settings
+ * @property {Array<string>} order - Feature IDs in list order
+ */
+
+/**
+ * @typedef {Object} HistoryRecord
+ * @property {string} projectId - Owning project
+ * @property {Array<Object>} undo - Undo stack, oldest first
+ * @property {Array<Object>} redo - Redo stack, oldest first
+ */
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to complete
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction annulée'));
+    });
+}
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(FEATURES_STORE)) {
+                    const store = db.createObjectStore(FEATURES_STORE, { keyPath: ['projectId', 'id'] });
+                    store.createIndex('projectId', 'projectId');
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE, { keyPath: 'projectId' });
+                }
+                if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                    db.createObjectStore(HISTORY_STORE, { keyPath: 'projectId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Load a project's metadata and features
+ * @param {string} projectId - Project ID
+ * @returns {Promise<{meta: ProjectMeta|undefined, records: Array<FeatureRecord>}>} Stored data
+ */
+export async function loadProjectData(projectId) {
+    const db = await openDatabase();
+    const tx = db.transaction([META_STORE, FEATURES_STORE], 'readonly');
+    const [meta, records] = await Promise.all([
+        promisify(tx.objectStore(META_STORE).get(projectId)),
+        promisify(tx.objectStore(FEATURES_STORE).index('projectId').getAll(projectId))
+    ]);
+    return { meta, records };
+}
+
+/**
+ * Write a project's metadata along with changed and removed features, in one transaction
+ * @param {ProjectMeta} meta - Project metadata
+ * @param {Array<FeatureRecord>} changed - Features to write
+ * @param {Array<string>} removed - IDs of features to delete
+ * @returns {Promise<void>}
+ */
+export async function saveProjectData(meta, changed, removed) {
+    const db = await openDatabase();
+    const tx = db.transaction([META_STORE, FEATURES_STORE], 'readwrite');
+    const features = tx.objectStore(FEATURES_STORE);
+
+    tx.objectStore(META_STORE).put(meta);
+    changed.forEach(record => features.put(record));
+    removed.forEach(id => features.delete([meta.projectId, id]));
+
+    await transactionDone(tx);
+}
+
+/**
+ * Delete all data of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProjectData(projectId) {
+    const db = await openDatabase();
+    const tx = db.transaction([META_STORE, FEATURES_STORE], 'readwrite');
+    tx.objectStore(META_STORE).delete(projectId);
+    tx.objectStore(FEATURES_STORE).delete(IDBKeyRange.bound([projectId], [projectId, []]));
+    await transactionDone(tx);
+}
+
+/**
+ * Copy all data of a project into another one
+ * @param {string} fromId - Source project ID
+ * @param {string} toId - Destination project ID
+ * @returns {Promise<void>}
+ */
+export async function copyProjectData(fromId, toId) {
+    const { meta, records } = await loadProjectData(fromId);
+    if (!meta) return;
+    await saveProjectData(
+        { ...meta, projectId: toId },
+        records.map(record => ({ ...record, projectId: toId })),
+        []
+    );
+}
+
+/**
+ * Load the undo/redo history of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<HistoryRecord|undefined>} Stored history
+ */
+export async function loadHistoryData(projectId) {
+    const db = await openDatabase();
+    return promisify(db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).get(projectId));
+}
+
+/**
+ * Write the undo/redo history of a project
+ * @param {HistoryRecord} record - History
+ * @returns {Promise<void>}
+ */
+export async function saveHistoryData(record) {
+    const db = await openDatabase();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    tx.objectStore(HISTORY_STORE).put(record);
+    await transactionDone(tx);
+}
+
+/**
+ * Delete the undo/redo history of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryData(projectId) {
+    const db = await openDatabase();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    tx.objectStore(HISTORY_STORE).delete(projectId);
+    await transactionDone(tx);
+}
+
+/**
+ * Move projects saved by earlier versions in localStorage into IndexedDB (runs once per project)
+ * @param {Array<string>} projectIds - IDs of the known projects
+ * @param {Function} keyFor - Returns the legacy localStorage key of a project
+ * @returns {Promise<void>}
+ */
+export async function migrateFromLocalStorage(projectIds, keyFor) {
+    for (const projectId of projectIds) {
+        const saved = localStorage.getItem(keyFor(projectId));
+        if (!saved) continue;
+
+        try {
+            const data = JSON.parse(saved);
+            const props = data.properties || {};
+            const features = Array.isArray(data.features) ? data.features : [];
+            const records = features.map(feature => {
+                const visible = feature.properties?._visible !== false;
+                const copy = structuredClone(feature);
+                delete copy.properties?._visible;
+                return { projectId, id: copy.id, feature: copy, visible };
+            });
+
+            await saveProjectData({
+                projectId,
+                center: props.center,
+                zoom: props.zoom,
+                savedAt: props.savedAt || new Date().toISOString(),
+                version: props.version,
+                folders: props.folders || [],
+                layerSettings: props.layerSettings,
+                order: records.map(r => r.id)
+            }, records, []);
+
+            localStorage.removeItem(keyFor(projectId));
+        } catch (error) {
+            // Keep the localStorage copy so the migration can be retried
+            console.error(`Error migrating project ${projectId}:`, error);
+        }
+    }
+}
+
+/**
+ * Show a warning in the Data section when storage is close to full (or a write failed)
+ * @param {Error} [error] - Write error, if any
+ * @returns {Promise<void>}
+ */
+export async function updateStorageWarning(error) {
+    const warning = document.getElementById('storage-warning');
+    if (!warning) return;
+
+    if (error) {
+        const full = error.name === 'QuotaExceededError';
+        warning.textContent = full
+            ? 'Stockage plein : les dernières modifications n\'ont pas été enregistrées. Exportez ou supprimez des projets.'
+            : `Erreur d'enregistrement : ${error.message}`;
+        warning.classList.remove('hidden');
+        return;
+    }
+
+    if (!navigator.storage?.estimate) return;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const nearlyFull = quota > 0 && usage / quota >= STORAGE_WARNING_RATIO;
+
+    warning.textContent = nearlyFull
+        ? `Stockage presque plein : ${formatBytes(usage)} utilisés sur ${formatBytes(quota)}. Exportez ou supprimez des projets.`
+        : '';
+    warning.classList.toggle('hidden', !nearlyFull);
+}
+
+/**
+ * Ask the browser not to evict our data under storage pressure
+ */
+export function requestPersistentStorage() {
+    navigator.storage?.persist?.().catch(error => console.warn('Persistent storage unavailable:', error));
+}
@@ -0,0 +1,318 @@
+/**
+ * Transform mode - move, rotate and scale whole elements with handles on the map
+ * @module transform
+ */
+
+import { stopEditing } from './editing.js';
+import { updateElementList } from './elements.js';
+import { refreshFeatureLayer, updateDerivedProperties } from './geojson.js';
+import { captureState, recordChange } from './history.js';
+import { saveState } from './persistence.js';
+import { buildShapeGeometry, getShapeParameters, isShape, transformShape } from './shapes.js';
+import { state } from './state.js';
+
+/** @constant {number} Distance in pixels between the top of the element and the rotation handle */
+const ROTATE_HANDLE_OFFSET = 30;
+
+/** @constant {number} Smallest scale factor allowed in one drag (avoids collapsing the element) */
+const MIN_SCALE = 0.01;
+
+/**
+ * @typedef {Object} TransformSession
+ * @property {Object} feature - Feature being transformed
+ * @property {import('./history.js').Snapshot} before - Snapshot taken when the mode started
+ * @property {string} initialGeometry - Geometry and radius as JSON when the mode started
+ * @property {L.LayerGroup} handles - Handles and frame
+ * @property {Object|null} drag - Geometry, radius, shape parameters and pixel positions captured when a drag starts
+ * @property {number} angle - Rotation of the current drag in degrees
+ * @property {number} scale - Scale factor of the current drag
+ */
+
+/** @type {TransformSession|null} Transform in progress */
+let session = null;
+
+/**
+ * Check whether an element can be transformed (markers are already draggable)
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean} True if the transform mode is available
+ */
+export function isTransformable(feature) {
+    const type = feature?.properties?.type;
+    return !!type && type !== 'marker';
+}
+
+/**
+ * Get the ID of the feature being transformed
+ * @returns {string|null} Feature ID or null
+ */
+export function getTransformedId() {
+    return session?.feature.id ?? null;
+}
+
+/**
+ * Apply a function to every position of a geometry, sub-geometries of collections included
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Function} fn - Receives [lng, lat] and returns the new position
+ * @returns {Object} New geometry
+ */
+function mapPositions(geometry, fn) {
+    if (geometry.type === 'GeometryCollection') {
+        return { type: geometry.type, geometries: geometry.geometries.map(g => mapPositions(g, fn)) };
+    }
+    const walk = c => (typeof c[0] === 'number' ? fn(c) : c.map(walk));
+    return { type: geometry.type, coordinates: walk(geometry.coordinates) };
+}
+
+/**
+ * Get the bounding box of the feature being transformed, in unrounded pixels
+ * @returns {L.Bounds} Pixel bounds at the current zoom
+ */
+function pixelBounds() {
+    const zoom = state.map.getZoom();
+    const bounds = L.bounds([]);
+    mapPositions(session.feature.geometry, c => {
+        bounds.extend(state.map.project([c[1], c[0]], zoom));
+        return c;
+    });
+    const { type, radius } = session.feature.properties;
+    if (type === 'circle') {
+        // Include the circle outline, not only its center
+        const [lng, lat] = session.feature.geometry.coordinates;
+        const outline = L.latLng(lat, lng).toBounds(radius * 2);
+        bounds.extend(state.map.project(outline.getSouthWest(), zoom));
+        bounds.extend(state.map.project(outline.getNorthEast(), zoom));
+    }
+    return bounds;
+}
+
+/**
+ * Create a handle marker
+ * @param {L.Point} point - Pixel position at the current zoom
+ * @param {string} kind - 'move', 'rotate' or 'scale'
+ * @param {string} icon - FontAwesome icon name
+ * @param {string} title - Tooltip text
+ * @returns {L.Marker} Handle
+ */
+function createHandle(point, kind, icon, title) {
+    const handle = L.marker(state.map.unproject(point, state.map.getZoom()), {
+        draggable: true,
+        keyboard: false,
+        zIndexOffset: 1000,
+        icon: L.divIcon({
+            className: `transform-handle transform-${kind}`,
+            html: `<i class="fas fa-${icon}"></i>`,
+            iconSize: [24, 24]
+        })
+    });
+    handle.bindTooltip(title, { direction: 'top', offset: [0, -12] });
+    handle.on('dragstart', e => startDrag(e.target));
+    handle.on('drag', e => dragHandle(kind, e.target));
+    handle.on('dragend', endDrag);
+    return handle;
+}
+
+/**
+ * Draw the frame and the move, rotate and scale handles around the element
+ */
+function renderHandles() {
+    session.handles.clearLayers();
+    const zoom = state.map.getZoom();
+    const bounds = pixelBounds();
+    const center = bounds.getCenter();
+    const topCenter = L.point(center.x, bounds.min.y - ROTATE_HANDLE_OFFSET);
+
+    session.handles.addLayer(L.rectangle(
+        [state.map.unproject(bounds.min, zoom), state.map.unproject(bounds.max, zoom)],
+        { className: 'transform-frame', interactive: false, fill: false }
+    ));
+    session.handles.addLayer(createHandle(center, 'move', 'arrows-alt', 'Glisser pour déplacer'));
+    if (session.feature.properties.type !== 'circle') {
+        session.handles.addLayer(createHandle(topCenter, 'rotate', 'sync-alt', 'Glisser pour tourner autour du centre'));
+    }
+    session.handles.addLayer(createHandle(L.point(bounds.max.x, bounds.min.y), 'scale', 'expand-alt', 'Glisser pour agrandir ou réduire'));
+}
+
+/**
+ * Remember the geometry and the pivot when a handle starts moving
+ * @param {L.Marker} handle - Dragged handle
+ */
+function startDrag(handle) {
+    const zoom = state.map.getZoom();
+    session.drag = {
+        geometry: structuredClone(session.feature.geometry),
+        radius: session.feature.properties.radius,
+        shape: isShape(session.feature.properties.type)
+            ? getShapeParameters(session.feature.properties.type, session.feature.properties)
+            : null,
+        pivot: pixelBounds().getCenter(),
+        start: state.map.project(handle.getLatLng(), zoom),
+        zoom
+    };
+    session.handles.eachLayer(layer => {
+        if (layer !== handle) session.handles.removeLayer(layer);
+    });
+}
+
+/**
+ * Transform the element while a handle is dragged.
+ * Positions are transformed in Web Mercator pixels, which keeps shapes and angles locally.
+ * @param {string} kind - 'move', 'rotate' or 'scale'
+ * @param {L.Marker} handle - Dragged handle
+ */
+function dragHandle(kind, handle) {
+    const { geometry, radius, shape, pivot, start, zoom } = session.drag;
+    const current = state.map.project(handle.getLatLng(), zoom);
+    const from = start.subtract(pivot);
+    const to = current.subtract(pivot);
+
+    let transformPoint;
+    if (kind === 'move') {
+        const offset = current.subtract(start);
+        transformPoint = p => p.add(offset);
+    } else if (kind === 'rotate') {
+        const angle = Math.atan2(to.y, to.x) - Math.atan2(from.y, from.x);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        session.angle = (angle * 180 / Math.PI + 540) % 360 - 180;
+        transformPoint = p => {
+            const d = p.subtract(pivot);
+            return L.point(pivot.x + d.x * cos - d.y * sin, pivot.y + d.x * sin + d.y * cos);
+        };
+    } else {
+        const fromLength = Math.hypot(from.x, from.y);
+        const factor = fromLength ? Math.max(MIN_SCALE, Math.hypot(to.x, to.y) / fromLength) : 1;
+        session.scale = factor;
+        transformPoint = p => pivot.add(p.subtract(pivot).multiplyBy(factor));
+        if (radius !== undefined) session.feature.properties.radius = radius * factor;
+    }
+
+    const transformLatLng = ([lng, lat, ...rest]) => {
+        const latlng = state.map.unproject(transformPoint(state.map.project([lat, lng], zoom)), zoom);
+        return [latlng.lng, latlng.lat, ...rest];
+    };
+    if (shape) {
+        // Shapes keep their parameters and are rebuilt from them
+        const type = session.feature.properties.type;
+        const [lng, lat] = transformLatLng([shape.center.lng, shape.center.lat]);
+        Object.assign(session.feature.properties, transformShape(type, shape, {
+            center: { lat, lng },
+            angle: kind === 'rotate' ? session.angle : 0,
+            factor: kind === 'scale' ? session.scale : 1
+        }));
+        session.feature.geometry = buildShapeGeometry(type, session.feature.properties);
+    } else {
+        session.feature.geometry = mapPositions(geometry, transformLatLng);
+    }
+    updateDerivedProperties(session.feature);
+    refreshFeatureLayer(session.feature);
+    updateTransformBanner(kind);
+}
+
+/**
+ * Redraw the handles around the transformed element
+ */
+function endDrag() {
+    session.drag = null;
+    renderHandles();
+    updateTransformBanner();
+}
+
+/**
+ * Show the title and the current rotation or scale in the banner
+ * @param {string} [kind] - Handle being dragged
+ */
+function updateTransformBanner(kind) {
+    let detail = 'faites glisser les poignées pour déplacer, tourner ou redimensionner';
+    if (kind === 'rotate') detail = `rotation ${session.angle.toFixed(1)}°`;
+    if (kind === 'scale') detail = `échelle × ${session.scale.toFixed(2)}`;
+    document.getElementById('transform-banner-text').textContent =
+        `Transformation de « ${session.feature.properties.title || ''} » : ${detail}`;
+}
+
+/**
+ * Handle Enter (finish) and Escape (cancel) while transforming
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleTransformKeys(e) {
+    if (!session || e.target.matches?.('input, textarea, select')) return;
+    if (e.key === 'Enter') {
+        stopTransform(true);
+    } else if (e.key === 'Escape') {
+        stopTransform(false);
+    }
+}
+
+/**
+ * Show transform handles around an element
+ * @param {string} id - Feature ID
+ */
+export function startTransform(id) {
+    const feature = state.features.find(f => f.id === id);
+    if (!isTransformable(feature)) return;
+    if (session) stopTransform(true);
+    stopEditing(true);
+
+    if (state.featureVisibility.get(id) === false) {
+        alert('Affichez l\'élément avant de le transformer.');
+        return;
+    }
+
+    state.map.closePopup();
+    session = {
+        feature,
+        before: captureState([id]),
+        initialGeometry: JSON.stringify([feature.geometry, feature.properties.radius]),
+        handles: L.layerGroup().addTo(state.map),
+        drag: null,
+        angle: 0,
+        scale: 1
+    };
+    renderHandles();
+    updateTransformBanner();
+    document.getElementById('transform-banner')?.classList.remove('hidden');
+    state.map.on('zoomend', renderHandles);
+}
+
+/**
+ * Remove the handles without touching the feature (e.g. when it is deleted)
+ */
+export function discardTransform() {
+    if (!session) return;
+    session.handles.remove();
+    session = null;
+    state.map.off('zoomend', renderHandles);
+    document.getElementById('transform-banner')?.classList.add('hidden');
+}
+
+/**
+ * Leave transform mode
+ * @param {boolean} commit - True to keep the changes, false to restore the element
+ */
+export function stopTransform(commit) {
+    if (!session) return;
+    const { feature, before, initialGeometry } = session;
+    discardTransform();
+
+    if (JSON.stringify([feature.geometry, feature.properties.radius]) === initialGeometry) return;
+
+    if (!commit) {
+        const original = structuredClone(before.entries[0].feature);
+        feature.geometry = original.geometry;
+        feature.properties = original.properties;
+        refreshFeatureLayer(feature);
+        return;
+    }
+
+    updateElementList();
+    saveState();
+    recordChange(`Transformation de « ${feature.properties.title} »`, before);
+}
+
+/**
+ * Initialize the transform banner buttons and keyboard shortcuts
+ */
+export function initTransform() {
+    document.getElementById('btn-finish-transform')?.addEventListener('click', () => stopTransform(true));
+    document.getElementById('btn-cancel-transform')?.addEventListener('click', () => stopTransform(false));
+    document.addEventListener('keydown', handleTransformKeys);
+}
@@ -0,0 +1,204 @@
+/**
+ * Bearing traverse - a line built leg by leg from a start point, each leg given by a bearing
+ * and a distance, with an optional magnetic declination and a closure error report
+ * @module traverse
+ */
+
+import { describePosition } from './crs.js';
+import { setActiveTool } from './drawing.js';
+import { createElement } from './elements.js';
+import { state } from './state.js';
+import { calculateDestination, closeModal, formatDistance, openModal } from './utils.js';
+
+/** @constant {number} Number of empty legs shown when the dialog opens */
+const INITIAL_LEGS = 3;
+
+/** @constant {number} Closure error in meters below which a traverse is considered exactly closed */
+const CLOSURE_TOLERANCE = 0.01;
+
+/**
+ * @typedef {Object} TraverseLeg
+ * @property {number} bearing - Bearing in degrees, as read on the compass
+ * @property {number} distance - Distance in meters
+ */
+
+/**
+ * @typedef {Object} ClosureError
+ * @property {number} distance - Distance in meters between the computed end and the start point
+ * @property {number} bearing - Bearing in degrees from the start point to the computed end
+ */
+
+/**
+ * Compute the vertices of a traverse
+ * @param {{lat: number, lng: number}} start - Start point
+ * @param {Array<TraverseLeg>} legs - Legs, in order
+ * @param {number} [declination=0] - Magnetic declination in degrees, positive east (added to every bearing)
+ * @returns {Array<{lat: number, lng: number}>} Vertices, start point included
+ */
+export function computeTraverse(start, legs, declination = 0) {
+    const points = [start];
+    legs.forEach(({ bearing, distance }) => {
+        points.push(calculateDestination(points.at(-1), distance, (bearing + declination + 360) % 360));
+    });
+    return points;
+}
+
+/**
+ * Measure how far a traverse meant to close ends from its start point
+ * @param {Array<{lat: number, lng: number}>} points - Vertices of the traverse
+ * @returns {ClosureError} Closure error
+ */
+export function computeClosureError(points) {
+    const start = [points[0].lng, points[0].lat];
+    const end = [points.at(-1).lng, points.at(-1).lat];
+    return {
+        distance: turf.distance(start, end, { units: 'meters' }),
+        bearing: (turf.bearing(start, end) + 360) % 360
+    };
+}
+
+/**
+ * Describe a closure error with its relative precision
+ * @param {ClosureError} closure - Closure error
+ * @param {number} length - Total length of the traverse in meters
+ * @returns {string} Description such as "1.20 m vers 35.0°, précision 1/850"
+ */
+export function describeClosure(closure, length) {
+    if (closure.distance < CLOSURE_TOLERANCE) return 'fermeture exacte';
+    return `${formatDistance(closure.distance)} vers ${closure.bearing.toFixed(1)}°, ` +
+        `précision 1/${Math.round(length / closure.distance)}`;
+}
+
+/**
+ * Add an empty leg row to the table
+ * @param {TraverseLeg} [leg] - Values to fill in
+ */
+function addLegRow(leg) {
+    const body = document.getElementById('traverse-legs');
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td class="traverse-index"></td>
+        <td><input type="number" class="leg-bearing" step="any" min="0" max="360" value="${leg?.bearing ?? ''}"></td>
+        <td><input type="number" class="leg-distance" step="any" min="0" value="${leg?.distance ?? ''}"></td>
+        <td><button class="project-btn" data-action="remove" title="Supprimer le segment"><i class="fas fa-times"></i></button></td>`;
+    body.appendChild(row);
+    renumberLegs();
+}
+
+/**
+ * Number the leg rows from 1
+ */
+function renumberLegs() {
+    document.querySelectorAll('#traverse-legs .traverse-index').forEach((cell, i) => {
+        cell.textContent = i + 1;
+    });
+}
+
+/**
+ * Read the legs of the table, skipping empty rows
+ * @returns {{legs: Array<TraverseLeg>, error: string|null}} Legs, or the first input error
+ */
+function readLegs() {
+    const legs = [];
+    const rows = [...document.querySelectorAll('#traverse-legs tr')];
+    for (const [i, row] of rows.entries()) {
+        const bearingText = row.querySelector('.leg-bearing').value.trim();
+        const distanceText = row.querySelector('.leg-distance').value.trim();
+        if (!bearingText && !distanceText) continue;
+
+        const bearing = Number.parseFloat(bearingText);
+        const distance = Number.parseFloat(distanceText);
+        if (!Number.isFinite(bearing) || !(distance > 0)) {
+            return { legs, error: `Segment ${i + 1} : indiquez un azimut en degrés et une distance positive en mètres.` };
+        }
+        legs.push({ bearing, distance });
+    }
+    return { legs, error: legs.length ? null : 'Indiquez au moins un segment.' };
+}
+
+/**
+ * Read the declination field
+ * @returns {number} Declination in degrees (0 when empty)
+ */
+function readDeclination() {
+    const value = Number.parseFloat(document.getElementById('traverse-declination').value);
+    return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Show the total length and, for a closed traverse, the closure error of the legs entered so far
+ */
+function updateTraverseSummary() {
+    const summary = document.getElementById('traverse-summary');
+    const { legs, error } = readLegs();
+    if (error || !state.drawing.startPoint) {
+        summary.textContent = '';
+        return;
+    }
+
+    const length = legs.reduce((sum, leg) => sum + leg.distance, 0);
+    let text = `${legs.length} segment(s), longueur totale ${formatDistance(length)}`;
+    if (document.getElementById('traverse-closed').checked) {
+        const points = computeTraverse(state.drawing.startPoint, legs, readDeclination());
+        text += ` — écart de fermeture : ${describeClosure(computeClosureError(points), length)}`;
+    }
+    summary.textContent = text;
+}
+
+/**
+ * Open the traverse dialog from a start point
+ * @param {{lat: number, lng: number}} start - Start point
+ */
+export function openTraverseDialog(start) {
+    state.drawing.startPoint = start;
+    document.getElementById('traverse-start').textContent = `Départ : ${describePosition(start)}`;
+    document.getElementById('traverse-legs').innerHTML = '';
+    for (let i = 0; i < INITIAL_LEGS; i++) addLegRow();
+    updateTraverseSummary();
+    openModal('modal-traverse');
+}
+
+/**
+ * Create the traverse line from the dialog.
+ * The legs, the declination and the closure error are kept in the `traverse` property of the line.
+ */
+export function createTraverse() {
+    const start = state.drawing.startPoint;
+    if (!start) return;
+
+    const { legs, error } = readLegs();
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    const declination = readDeclination();
+    const closed = document.getElementById('traverse-closed').checked;
+    const points = computeTraverse(start, legs, declination);
+    createElement('line', {
+        points,
+        title: closed ? 'Cheminement fermé' : 'Cheminement',
+        traverse: { legs, declination, closure: closed ? computeClosureError(points) : null }
+    });
+    closeModal('modal-traverse');
+    setActiveTool(null);
+    state.drawing.startPoint = null;
+}
+
+/**
+ * Initialize the traverse dialog
+ */
+export function initTraverse() {
+    document.getElementById('btn-add-leg')?.addEventListener('click', () => addLegRow());
+    document.getElementById('btn-cancel-traverse')?.addEventListener('click', () => closeModal('modal-traverse'));
+    document.getElementById('btn-confirm-traverse')?.addEventListener('click', createTraverse);
+    document.getElementById('traverse-legs')?.addEventListener('click', e => {
+        if (!e.target.closest('button[data-action="remove"]')) return;
+        e.target.closest('tr').remove();
+        renumberLegs();
+        updateTraverseSummary();
+    });
+    ['traverse-legs', 'traverse-declination', 'traverse-closed'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', updateTraverseSummary);
+    });
+}
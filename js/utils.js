@@ -110,6 +110,10 @@ export function getIcon(type) {
         'line': '<i class="fas fa-route"></i>',
         'bearing': '<i class="fas fa-location-arrow"></i>',
         'polygon': '<i class="fas fa-draw-polygon"></i>',
+        'rectangle': '<i class="fas fa-square-full"></i>',
+        'ellipse': '<i class="fas fa-egg"></i>',
+        'sector': '<i class="fas fa-chart-pie"></i>',
+        'regular-polygon': '<i class="fas fa-shapes"></i>',
         'measurement-distance': '<i class="fas fa-ruler"></i>',
         'measurement-area': '<i class="fas fa-vector-square"></i>',
         'measurement-bearing': '<i class="fas fa-compass"></i>',
@@ -145,23 +149,6 @@ export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).slice(2, 11);
 }
 
-/**
- * Parse points from text (one per line, lat,lng format)
- * @param {string} text - Text with coordinates
- * @returns {Array} Array of point objects with lat/lng
- */
-export function parsePointsFromText(text) {
-    return text.split('\n')
-        .map(line => {
-            const parts = line.split(',');
-            if (parts.length < 2) return null;
-            const lat = Number.parseFloat(parts[0].trim());
-            const lng = Number.parseFloat(parts[1].trim());
-            return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
-        })
-        .filter(Boolean);
-}
-
 /**
  * Format distance for display
  * @param {number} meters - Distance in meters
@@ -186,6 +173,21 @@ export function formatArea(squareMeters) {
     return `${(squareMeters / 10000).toFixed(4)} ha`;
 }
 
+/**
+ * Format a storage size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size string
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} o`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} Ko`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(2)} Mo`;
+}
+
 /**
  * Convert GeoJSON coordinates [lng, lat] to Leaflet [lat, lng]
  * @param {Array<number>} coord - GeoJSON coordinate [lng, lat]
@@ -231,3 +233,66 @@ export function geoJSONToPoints(coords) {
 export function formatCoord(point, precision = 6) {
     return `${point.lat.toFixed(precision)}, ${point.lng.toFixed(precision)}`;
 }
+
+/**
+ * Trigger a browser download of text or binary content
+ * @param {string|Blob|ArrayBuffer} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/**
+ * Escape a string for use in XML text or attributes
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+export function escapeXML(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&apos;');
+}
+
+/**
+ * Get the direct children of an XML element by local name (namespace agnostic)
+ * @param {Element} parent - Parent element
+ * @param {string} name - Local name
+ * @returns {Array<Element>} Matching children
+ */
+export function childElements(parent, name) {
+    return [...parent.children].filter(el => el.localName === name);
+}
+
+/**
+ * Get the trimmed text of the first direct child with the given local name
+ * @param {Element} parent - Parent element
+ * @param {string} name - Local name
+ * @returns {string|null} Text content or null if absent
+ */
+export function childText(parent, name) {
+    const el = childElements(parent, name)[0];
+    return el ? el.textContent.trim() : null;
+}
+
+/**
+ * Parse an XML string, throwing on malformed input
+ * @param {string} text - XML text
+ * @returns {Document} Parsed document
+ */
+export function parseXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('XML invalide');
+    }
+    return doc;
+}
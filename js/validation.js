@@ -0,0 +1,276 @@
+/**
+ * GeoJSON validation before import - structure checks, mapping of third-party features
+ * onto element types and a per-feature report
+ * @module validation
+ */
+
+import { CONFIG, DATA_VERSION } from './config.js';
+import { compareVersions, isElementType, migrateFeature, validateFeature } from './migrations.js';
+import { generateId } from './utils.js';
+
+/** @constant {Object<string, {type: string, label: string}>} Element type for each geometry kept as one element */
+const FOREIGN_TYPES = {
+    Point: { type: 'marker', label: 'marqueur' },
+    LineString: { type: 'line', label: 'ligne' },
+    MultiLineString: { type: 'line', label: 'multiligne' },
+    Polygon: { type: 'polygon', label: 'polygone' },
+    MultiPolygon: { type: 'polygon', label: 'multipolygone' }
+};
+
+/** @constant {Object<string, string>} Simple geometry type of each Multi* type split into several elements */
+const MULTI_TYPES = {
+    MultiPoint: 'Point'
+};
+
+/** @constant {Set<string>} Geometry types defined by RFC 7946 */
+const GEOMETRY_TYPES = new Set([
+    'Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon', 'GeometryCollection'
+]);
+
+/**
+ * @typedef {Object} ReportEntry
+ * @property {number} index - Position of the feature in the file (1-based)
+ * @property {string} title - Feature title or a placeholder
+ * @property {string} status - 'ok', 'migrated', 'converted' or 'error'
+ * @property {string} message - Details shown to the user
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {Object} data - FeatureCollection holding only importable features, at the current data version
+ * @property {Array<ReportEntry>} report - One entry per feature of the file
+ * @property {Array<string>} warnings - File-level warnings
+ */
+
+/**
+ * Turn the root of a GeoJSON document into a FeatureCollection.
+ * RFC 7946 allows a single Feature or a bare geometry as the root object.
+ * @param {Object} data - Parsed GeoJSON
+ * @returns {Object} FeatureCollection
+ * @throws {Error} If the document is not GeoJSON
+ */
+export function toFeatureCollection(data) {
+    if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) return data;
+    if (Array.isArray(data?.features)) return data;
+    if (data?.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+    if (GEOMETRY_TYPES.has(data?.type)) {
+        return { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: data, properties: {} }] };
+    }
+    throw new Error('Aucune collection d\'éléments trouvée dans le fichier');
+}
+
+/**
+ * Describe what is wrong with a position, if anything
+ * @param {*} position - GeoJSON position
+ * @returns {string|null} Problem or null
+ */
+function checkPosition(position) {
+    if (!Array.isArray(position) || position.length < 2) return 'position sans longitude/latitude';
+    if (!position.every(Number.isFinite)) return 'coordonnée non numérique ou infinie';
+    const [lng, lat] = position;
+    if (Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+        return `coordonnées hors limites (${lng}, ${lat}) : le fichier n'est peut-être pas en WGS 84`;
+    }
+    return null;
+}
+
+/**
+ * Check a geometry against RFC 7946 structure rules
+ * @param {*} geometry - GeoJSON geometry
+ * @returns {string|null} First problem found, or null if the geometry is valid
+ */
+function checkGeometry(geometry) {
+    if (!geometry) return 'géométrie absente';
+    if (!GEOMETRY_TYPES.has(geometry.type)) return `type de géométrie non pris en charge : ${geometry.type}`;
+
+    if (geometry.type === 'GeometryCollection') {
+        if (!Array.isArray(geometry.geometries) || geometry.geometries.length === 0) return 'collection de géométries vide';
+        for (const part of geometry.geometries) {
+            const problem = checkGeometry(part);
+            if (problem) return problem;
+        }
+        return null;
+    }
+
+    const coords = geometry.coordinates;
+    const checkLine = (line, min) => {
+        if (!Array.isArray(line) || line.length < min) return `moins de ${min} positions`;
+        return line.map(checkPosition).find(Boolean) || null;
+    };
+    const checkPolygon = (rings) => {
+        if (!Array.isArray(rings) || rings.length === 0) return 'polygone sans contour';
+        for (const ring of rings) {
+            const problem = checkLine(ring, 4);
+            if (problem) return problem;
+            const first = ring[0];
+            const last = ring.at(-1);
+            if (first[0] !== last[0] || first[1] !== last[1]) return 'contour de polygone non fermé';
+        }
+        return null;
+    };
+    const checkMany = (parts, check) => {
+        if (!Array.isArray(parts) || parts.length === 0) return 'géométrie multiple vide';
+        return parts.map(check).find(Boolean) || null;
+    };
+
+    switch (geometry.type) {
+        case 'Point': return checkPosition(coords);
+        case 'LineString': return checkLine(coords, 2);
+        case 'Polygon': return checkPolygon(coords);
+        case 'MultiPoint': return checkMany(coords, checkPosition);
+        case 'MultiLineString': return checkMany(coords, line => checkLine(line, 2));
+        case 'MultiPolygon': return checkMany(coords, checkPolygon);
+        default: return null;
+    }
+}
+
+/**
+ * Split a geometry into the geometries of single elements (collections and multi-points are split,
+ * multi-part lines and polygons are kept whole)
+ * @param {Object} geometry - Valid GeoJSON geometry
+ * @returns {Array<Object>} Element geometries
+ */
+function splitGeometry(geometry) {
+    if (geometry.type === 'GeometryCollection') {
+        return geometry.geometries.flatMap(splitGeometry);
+    }
+    const simpleType = MULTI_TYPES[geometry.type];
+    if (simpleType) {
+        return geometry.coordinates.map(coordinates => ({ type: simpleType, coordinates }));
+    }
+    return [geometry];
+}
+
+/**
+ * Read a simplestyle-spec color from third-party properties
+ * @param {Object} props - Feature properties
+ * @param {string} type - Element type
+ * @returns {string} Color
+ */
+function foreignColor(props, type) {
+    const color = type === 'marker' ? props['marker-color'] : props.stroke ?? props.fill;
+    return typeof color === 'string' && color ? color : CONFIG.colors[`drawing-${type}`] || CONFIG.colors.default;
+}
+
+/**
+ * Map a third-party feature onto element types, one element per simple geometry
+ * @param {Object} feature - Valid GeoJSON feature without an element type
+ * @param {number} index - Position in the file (1-based)
+ * @returns {{features: Array<Object>, message: string}} Elements and a description of the conversion
+ */
+function mapForeignFeature(feature, index) {
+    const source = feature.properties && typeof feature.properties === 'object' ? feature.properties : {};
+    const { name, nom, title, desc, description, type: sourceType, ...extra } = source;
+    const baseTitle = String(title ?? name ?? nom ?? `Élément ${index}`);
+    const parts = splitGeometry(feature.geometry);
+
+    const features = parts.map((geometry, i) => {
+        const mapping = FOREIGN_TYPES[geometry.type];
+        const properties = {
+            ...extra,
+            type: mapping.type,
+            title: parts.length > 1 ? `${baseTitle} (${i + 1})` : baseTitle,
+            description: String(description ?? desc ?? ''),
+            color: foreignColor(source, mapping.type),
+            folderId: null
+        };
+        if (sourceType !== undefined) properties.sourceType = sourceType;
+
+        if (mapping.type === 'line') {
+            properties.distance = turf.length({ type: 'Feature', geometry, properties: {} }, { units: 'meters' });
+        }
+
+        const id = parts.length === 1 && (typeof feature.id === 'string' || typeof feature.id === 'number')
+            ? String(feature.id)
+            : generateId();
+        return { type: 'Feature', id, geometry, properties };
+    });
+
+    const counts = new Map();
+    parts.forEach(geometry => {
+        const { label } = FOREIGN_TYPES[geometry.type];
+        counts.set(label, (counts.get(label) || 0) + 1);
+    });
+    const summary = [...counts].map(([label, count]) => `${count} ${label}${count > 1 ? 's' : ''}`).join(', ');
+    const message = `${feature.geometry.type} → ${summary}`;
+    return { features, message };
+}
+
+/**
+ * Validate a FeatureCollection before import.
+ * Elements of this application are migrated from the file's data version and checked;
+ * third-party features (no known element type) are mapped onto markers, lines and polygons,
+ * multi-points and collections being split into one element per part. Nothing is added to the map.
+ * @param {Object} data - GeoJSON FeatureCollection
+ * @returns {ValidationResult} Importable data and the report
+ */
+export function validateImport(data) {
+    const props = data.properties || {};
+    const fromVersion = props.version ?? '0';
+    const migratedMessage = props.version ? `Mis à jour depuis le format ${fromVersion}` : 'Complété (fichier sans numéro de version)';
+    const warnings = [];
+    const report = [];
+    const features = [];
+
+    if (compareVersions(fromVersion, DATA_VERSION) > 0) {
+        warnings.push(`Fichier créé par une version plus récente (${fromVersion}) : certains éléments peuvent être ignorés`);
+    }
+    const crsName = data.crs?.properties?.name;
+    if (crsName && !/CRS84|4326/.test(crsName)) {
+        warnings.push(`Système de coordonnées déclaré non pris en charge (${crsName}) : seul WGS 84 est accepté`);
+    }
+
+    data.features.forEach((input, i) => {
+        const index = i + 1;
+        const title = String(input?.properties?.title ?? input?.properties?.name ?? `Élément ${index}`);
+
+        if (!input || typeof input !== 'object' || input.type !== 'Feature') {
+            report.push({ index, title, status: 'error', message: 'Objet qui n\'est pas un Feature GeoJSON' });
+            return;
+        }
+        const feature = structuredClone(input);
+        feature.properties = feature.properties && typeof feature.properties === 'object' ? feature.properties : {};
+
+        if (!isElementType(feature.properties.type)) {
+            const problem = checkGeometry(feature.geometry);
+            if (problem) {
+                report.push({ index, title, status: 'error', message: `Géométrie invalide : ${problem}` });
+                return;
+            }
+            const mapped = mapForeignFeature(feature, index);
+            features.push(...mapped.features);
+            report.push({ index, title, status: 'converted', message: mapped.message });
+            return;
+        }
+
+        try {
+            // Older elements may have no geometry yet (e.g. start/end properties): check it once migrated
+            const migrated = migrateFeature(feature, fromVersion);
+            const problem = checkGeometry(feature.geometry);
+            if (problem) {
+                report.push({ index, title, status: 'error', message: `Géométrie invalide : ${problem}` });
+                return;
+            }
+            const reason = validateFeature(feature);
+            if (reason) {
+                report.push({ index, title, status: 'error', message: reason });
+                return;
+            }
+            features.push(feature);
+            report.push({
+                index,
+                title,
+                status: migrated ? 'migrated' : 'ok',
+                message: migrated ? migratedMessage : feature.properties.type
+            });
+        } catch (error) {
+            report.push({ index, title, status: 'error', message: `Migration impossible : ${error.message}` });
+        }
+    });
+
+    return {
+        data: { ...data, features, properties: { ...props, version: DATA_VERSION } },
+        report,
+        warnings
+    };
+}
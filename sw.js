@@ -0,0 +1,194 @@
+/**
+ * Service worker - offline app shell, libraries and map tiles
+ * @module sw
+ */
+
+/** @constant {string} Cache of the application files; bump the version when the list changes */
+const SHELL_CACHE = 'cartouille-shell-v13';
+
+/** @constant {string} Cache of tiles seen while browsing (size-limited) */
+const RUNTIME_TILE_CACHE = 'cartouille-tiles-runtime';
+
+/** @constant {string} Cache of downloaded areas, filled and purged by js/offline.js */
+const OFFLINE_TILE_CACHE = 'cartouille-tiles-offline';
+
+/** @constant {number} Maximum number of tiles kept in the runtime cache */
+const RUNTIME_TILE_LIMIT = 3000;
+
+/** @constant {number} Number of runtime tiles written between two trims of the cache */
+const TRIM_INTERVAL = 100;
+
+/** @constant {Array<string>} Application files, relative to the service worker scope */
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'parc_chartreuse_data.js',
+    'js/config.js',
+    'js/coordinates.js',
+    'js/crs.js',
+    'js/csv.js',
+    'js/drawing.js',
+    'js/editing.js',
+    'js/elements.js',
+    'js/elevation.js',
+    'js/events.js',
+    'js/folders.js',
+    'js/geojson.js',
+    'js/freehand.js',
+    'js/gpx.js',
+    'js/history.js',
+    'js/importer.js',
+    'js/kml.js',
+    'js/layers.js',
+    'js/main.js',
+    'js/map.js',
+    'js/measurements.js',
+    'js/migrations.js',
+    'js/offline.js',
+    'js/operations.js',
+    'js/persistence.js',
+    'js/projects.js',
+    'js/resection.js',
+    'js/shapes.js',
+    'js/share.js',
+    'js/snapping.js',
+    'js/state.js',
+    'js/storage.js',
+    'js/transform.js',
+    'js/traverse.js',
+    'js/ui.js',
+    'js/utils.js',
+    'js/validation.js'
+];
+
+/** @constant {Array<string>} Versioned libraries loaded from unpkg */
+const LIBRARY_FILES = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
+    'https://unpkg.com/leaflet.vectorgrid@1.3.0/dist/Leaflet.VectorGrid.bundled.min.js',
+    'https://unpkg.com/@turf/turf@7.1.0/turf.min.js',
+    'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js',
+    'https://unpkg.com/@fortawesome/fontawesome-free@6.7.2/css/all.min.css'
+];
+
+/** @type {number} Runtime tiles written since the last trim */
+let writesSinceTrim = 0;
+
+/**
+ * Check whether a request is a map tile (IGN WMTS GetTile or OpenStreetMap)
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for tiles
+ */
+function isTileRequest(url) {
+    if (url.hostname === 'tile.openstreetmap.org') return true;
+    return url.hostname === 'data.geopf.fr' && url.searchParams.get('REQUEST') === 'GetTile';
+}
+
+/**
+ * Remove the oldest runtime tiles beyond the limit
+ * @returns {Promise<void>}
+ */
+async function trimRuntimeTiles() {
+    const cache = await caches.open(RUNTIME_TILE_CACHE);
+    const keys = await cache.keys();
+    const excess = keys.length - RUNTIME_TILE_LIMIT;
+    // Keys are returned in insertion order
+    await Promise.all(keys.slice(0, Math.max(0, excess)).map(key => cache.delete(key)));
+}
+
+/**
+ * Serve a tile from the downloaded areas or the runtime cache, or fetch it and keep it in the runtime cache
+ * @param {Request} request - Tile request
+ * @returns {Promise<Response>} Tile
+ */
+async function tileResponse(request) {
+    const cached = await caches.match(request, { cacheName: OFFLINE_TILE_CACHE, ignoreVary: true }) ||
+        await caches.match(request, { cacheName: RUNTIME_TILE_CACHE, ignoreVary: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME_TILE_CACHE);
+        await cache.put(request, response.clone());
+        if (++writesSinceTrim >= TRIM_INTERVAL) {
+            writesSinceTrim = 0;
+            trimRuntimeTiles();
+        }
+    }
+    return response;
+}
+
+/**
+ * Serve a versioned library from the cache, fetching it on first use
+ * @param {Request} request - Library request
+ * @returns {Promise<Response>} Library file
+ */
+async function libraryResponse(request) {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE, ignoreVary: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve an application file from the network when possible (so updates are picked up),
+ * falling back to the cached copy offline
+ * @param {Request} request - Same-origin request
+ * @returns {Promise<Response>} File
+ */
+async function shellResponse(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        // Libraries are cached on a best-effort basis: one failing CDN file must not block install
+        await Promise.allSettled(LIBRARY_FILES.map(url => cache.add(new Request(url, { mode: 'cors' }))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('cartouille-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (isTileRequest(url)) {
+        event.respondWith(tileResponse(request));
+    } else if (url.hostname === 'unpkg.com') {
+        event.respondWith(libraryResponse(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(shellResponse(request));
+    }
+    // Other requests (WFS, geocoding, elevation...) go straight to the network
+});